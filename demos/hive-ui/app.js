@@ -1,34 +1,149 @@
 import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+import {
+  ROOT_KEY,
+  computeDiagnostics,
+  computeModuleDeps,
+  computeModuleMetrics,
+  createGraphQuery,
+  formatObject,
+  isPrivateObject,
+  moduleDisplayName,
+  moduleForNodeId,
+  objectSignature,
+  parseSourceLocation,
+  signatureForRef,
+} from "./graph-model.mjs";
+import {
+  LAYOUT_X_SPACING,
+  LAYOUT_Y_SPACING,
+  dependencyLayout,
+  treeLayout,
+} from "./layout.mjs";
+import { NODE_STYLES, curveBias, curveControl, renderDot, renderSvg } from "./export.mjs";
+import { createCanvasRenderer } from "./canvas-renderer.mjs";
+import { createEdgeBatch } from "./edge-batch.mjs";
+import { describeRule } from "./layering.mjs";
+import { createLayeringView } from "./layering-view.mjs";
+import { LIVE_POLL_MS, createLiveMode } from "./live-mode.mjs";
+import { createConfigView } from "./config-view.mjs";
+import { createIsolateMode } from "./isolate-mode.mjs";
 
 const state = {
   graph: null,
+  graphSource: null,
+  diff: null,
+  layeringRules: null,
+  layering: null,
+  live: null,
+  liveFlash: null,
+  diagnostics: null,
+  panelView: "details",
+  pathFinder: null,
+  pathHighlight: null,
+  closure: null,
+  valueGroups: null,
+  groupHighlight: null,
+  configHighlight: null,
+  isolate: null,
   nodes: new Map(),
   nodeMeshes: [],
   edges: [],
-  edgeMeshes: [],
+  entityEdges: [],
+  memberEdges: [],
   moduleDeps: new Map(),
   moduleDepObjects: new Map(),
+  moduleMetrics: new Map(),
+  metricColor: "",
+  metricsSort: { key: "fanIn", descending: true },
   expandedModules: new Set(),
+  moduleFilter: null,
+  showInternals: false,
+  internals: new Map(),
+  layoutMode: "tree",
+  forcePositions: null,
   selectedId: null,
+  multiSelect: [],
+  selectedEdge: null,
   hoveredId: null,
   moduleOrder: [],
-  objectIndex: [],
-  objectRefIndex: new Map(),
+  query: null,
   searchEntries: [],
+  searchMatches: [],
+  searchActive: 0,
+  searchLimit: 50,
   history: [],
   historyLocked: false,
+  locationPushPending: false,
+  sourceTemplate: "",
+  sourceLinks: [],
+  sourceRef: "",
 };
 
-const ROOT_KEY = "__root__";
-
 const palette = {
   module: "#1f7a8c",
   highlight: "#f5b700",
   connected: "#00a6d6",
   edge: "rgba(47, 72, 88, 0.35)",
+  depEdge: "rgba(242, 106, 79, 0.75)",
+  added: "#2a9d5c",
+  removed: "#d64545",
+  changed: "#8a5cf6",
+  path: "#e76f51",
+  closure: "#f26a4f",
+  contributor: "#2a9d5c",
+  heat: "#d62828",
+  consumer: "#8a5cf6",
+  member: "#c8baa0",
+  provides: "#1f7a8c",
+  consumes: "#6b645a",
+  depends: "#6b645a",
+  invokes: "#c17c00",
+  violation: "#e03131",
+  flash: "#ffd43b",
+};
+
+const ENTITY_EDGE_KINDS = ["provides", "consumes", "depends", "invokes"];
+const ENTITY_LABEL_MAX = 28;
+const PATH_RESULT_LIMIT = 100;
+const SEARCH_PAGE_SIZE = 50;
+const MODULE_METRICS = [
+  { key: "constructors", label: "Constructors", short: "Ctors" },
+  { key: "invokers", label: "Invokers", short: "Inv" },
+  { key: "provided", label: "Provided", short: "Prov" },
+  { key: "consumed", label: "Consumed", short: "Cons" },
+  { key: "fanIn", label: "Fan-in", short: "In" },
+  { key: "fanOut", label: "Fan-out", short: "Out" },
+  { key: "privateRatio", label: "Private", short: "Priv", percent: true },
+];
+const METRIC_SCALE_BOOST = 0.6;
+const SEARCH_FIELD_WEIGHTS = {
+  type: 1,
+  function: 1,
+  name: 0.9,
+  group: 0.8,
+  file: 0.7,
+  flag: 1,
+  module: 0.6,
 };
 
 const EDGE_TOOLTIP_MAX = 8;
+const DEP_EDGE_SEGMENTS = 28;
+const EDGE_PICK_SLOP = 1.5;
+const LOCATION_SYNC_DELAY = 250;
+const MODULE_FILTER_DELAY = 150;
+const DEFAULT_GRAPH_URL = "./graph.json";
+const EMBEDDED_GRAPH_ID = "hive-graph";
+const DIFF_STATUSES = ["added", "removed", "changed"];
+const LIVE_FLASH_BLINKS = 3;
+const LIVE_FLASH_BLINK_MS = 300;
+const RECENT_GRAPHS_KEY = "hive-ui.recentGraphs";
+const RECENT_GRAPH_DATA_PREFIX = "hive-ui.recentGraph:";
+const MAX_RECENT_GRAPHS = 8;
+const SOURCE_TEMPLATE_KEY = "hive-ui.sourceTemplate";
+const SOURCE_REF_KEY = "hive-ui.sourceRef";
+const SOURCE_PLACEHOLDERS = /\{(file|line|package|function|dir|ref)\}/g;
+const DEFAULT_SOURCE_REF = "HEAD";
+const UNSAFE_LINK_SCHEMES = /^\s*(javascript|data|vbscript):/i;
 
 const viewport = document.getElementById("viewport");
 const tooltip = document.getElementById("tooltip");
@@ -36,13 +151,107 @@ const detailsBody = document.getElementById("details-body");
 const detailsPanel = document.getElementById("details");
 const moduleList = document.getElementById("module-list");
 const objectQuery = document.getElementById("object-query");
+const moduleFilterInput = document.getElementById("module-filter");
+const moduleFilterCount = document.getElementById("module-filter-count");
 const objectResults = document.getElementById("object-results");
+const searchVisibility = document.getElementById("search-visibility");
+const searchKind = document.getElementById("search-kind");
+const searchGrouped = document.getElementById("search-grouped");
+const searchOptional = document.getElementById("search-optional");
 const navBackButton = document.getElementById("nav-back");
+const graphFileInput = document.getElementById("graph-file");
+const recentGraphsSelect = document.getElementById("recent-graphs");
+const graphSourceLabel = document.getElementById("graph-source");
+const compareFileInput = document.getElementById("compare-file");
+const compareButton = document.getElementById("compare-graph");
+const diffLegend = document.getElementById("diff-legend");
+const rulesFileInput = document.getElementById("rules-file");
+const rulesButton = document.getElementById("layering-rules");
+const liveButton = document.getElementById("live-mode");
+const liveUrlInput = document.getElementById("live-url");
+const panelTabs = document.getElementById("panel-tabs");
+const diagnosticsBody = document.getElementById("diagnostics-body");
+const internalsButton = document.getElementById("toggle-internals");
+const layoutSelect = document.getElementById("layout-mode");
+const exportSelect = document.getElementById("export-view");
+const pathSourceInput = document.getElementById("path-source");
+const pathTargetInput = document.getElementById("path-target");
+const pathAllInput = document.getElementById("path-all");
+const pathMaxHopsInput = document.getElementById("path-max-hops");
+const pathEndpoints = document.getElementById("path-endpoints");
+const pathResults = document.getElementById("path-results");
+const groupsBody = document.getElementById("groups-body");
+const configBody = document.getElementById("config-body");
+const isolateBar = document.getElementById("isolate-bar");
+const isolateTitle = document.getElementById("isolate-title");
+const isolateHopsInput = document.getElementById("isolate-hops");
+const isolateHopsValue = document.getElementById("isolate-hops-value");
+const isolateDirectionSelect = document.getElementById("isolate-direction");
+const shortcutHelp = document.getElementById("shortcut-help");
+const sourceSettings = document.getElementById("source-settings");
+const sourceTemplateInput = document.getElementById("source-template");
+const sourceRefInput = document.getElementById("source-ref");
+const metricsBody = document.getElementById("metrics-body");
+const metricColorSelect = document.getElementById("metric-color");
+
+const layeringView = createLayeringView({
+  state,
+  button: rulesButton,
+  fileInput: rulesFileInput,
+  rebuildEdges,
+  renderDetails,
+  renderPanelView,
+  setLocationParam,
+  showLoadError,
+});
+
+const configView = createConfigView({
+  state,
+  body: configBody,
+  panel: detailsPanel,
+  select: (signature) => (signature ? selectConfig(signature) : clearConfig()),
+  renderMembers: renderValueGroupMembers,
+  handleChipClick,
+});
+
+const isolateMode = createIsolateMode({
+  state,
+  bar: isolateBar,
+  title: isolateTitle,
+  hopsInput: isolateHopsInput,
+  hopsValue: isolateHopsValue,
+  directionSelect: isolateDirectionSelect,
+  captureViewState,
+  restoreViewState,
+  selectedModulePath,
+  setSelected,
+  updateGraph,
+  frameNodes,
+});
+
+const liveMode = createLiveMode({
+  state,
+  button: liveButton,
+  urlInput: liveUrlInput,
+  validateGraph,
+  computeGraphDiff,
+  loadGraph,
+  enterCompareMode,
+  captureViewState,
+  restoreViewState,
+  resolveVisibleModule,
+  setLocationParam,
+  updateGraphSourceLabel,
+});
 
 const DEFAULT_ZOOM = 1.2;
+const LAYOUT_MODES = ["tree", "layered", "force"];
+const LAYOUT_TWEEN_MS = 450;
+const KEY_ZOOM_STEP = 1.2;
+const KEY_PAN_STEP = 80;
 
 const scene = new THREE.Scene();
-const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+const renderer = createRenderer();
 renderer.setPixelRatio(window.devicePixelRatio || 1);
 viewport.appendChild(renderer.domElement);
 
@@ -53,7 +262,17 @@ camera.zoom = DEFAULT_ZOOM;
 const nodeGroup = new THREE.Group();
 const treeEdgeGroup = new THREE.Group();
 const depEdgeGroup = new THREE.Group();
-scene.add(treeEdgeGroup, depEdgeGroup, nodeGroup);
+const entityEdgeGroup = new THREE.Group();
+scene.add(treeEdgeGroup, depEdgeGroup, entityEdgeGroup, nodeGroup);
+const treeEdges = createEdgeBatch();
+const depEdges = createEdgeBatch({ segments: DEP_EDGE_SEGMENTS });
+const entityEdges = createEdgeBatch();
+treeEdgeGroup.add(treeEdges.mesh);
+depEdgeGroup.add(depEdges.mesh);
+entityEdgeGroup.add(entityEdges.mesh);
+treeEdgeGroup.position.z = -1;
+depEdgeGroup.position.z = -1;
+entityEdgeGroup.position.z = -1;
 
 const raycaster = new THREE.Raycaster();
 const pointer = new THREE.Vector2();
@@ -62,7 +281,23 @@ let isDragging = false;
 let lastPointer = null;
 let zoomTween = null;
 let panTween = null;
+let layoutTween = null;
 let pulseTargets = new Set();
+let locationSyncTimer = null;
+let locationSearch = window.location.search;
+let animationStarted = false;
+let shownArrangement = "tree";
+
+function createRenderer() {
+  if (new URLSearchParams(window.location.search).get("renderer") !== "canvas") {
+    try {
+      return new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    } catch (err) {
+      console.warn(`WebGL is unavailable, using the 2D canvas renderer: ${err.message}`);
+    }
+  }
+  return createCanvasRenderer();
+}
 
 function resize() {
   const rect = viewport.getBoundingClientRect();
@@ -100,1078 +335,4131 @@ function animate() {
       panTween = null;
     }
   }
+  if (layoutTween) {
+    const t = Math.min(1, (now - layoutTween.start) / layoutTween.duration);
+    const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    layoutTween.moves.forEach(({ node, from }) => {
+      const to = node.layoutTarget;
+      node.mesh.position.set(from.x + (to.x - from.x) * eased, from.y + (to.y - from.y) * eased, 1);
+    });
+    if (t >= 1) {
+      finishLayoutTween();
+    }
+  }
+  if (state.liveFlash) {
+    const blink = Math.floor((now - state.liveFlash.start) / LIVE_FLASH_BLINK_MS);
+    if (blink >= LIVE_FLASH_BLINKS * 2) {
+      state.liveFlash = null;
+      applyHighlight();
+    } else if (state.liveFlash.on !== (blink % 2 === 0)) {
+      state.liveFlash.on = blink % 2 === 0;
+      applyHighlight();
+    }
+  }
   if (pulseTargets.size > 0) {
     const pulseTime = now / 140;
     pulseTargets.forEach((node) => {
       const factor = 1 + 0.06 * Math.sin(pulseTime);
-      const scaleX = node.baseScale.x * factor;
-      const scaleY = node.baseScale.y * factor;
+      const scaleX = node.baseScale.x * node.metricScale * factor;
+      const scaleY = node.baseScale.y * node.metricScale * factor;
       node.mesh.scale.set(scaleX, scaleY, 1);
     });
   }
   renderer.render(scene, camera);
 }
 
-function fetchGraph() {
-  return fetch("./graph.json").then((res) => res.json());
+function fetchGraph(url) {
+  return fetch(url).then((res) => {
+    if (!res.ok) {
+      throw new Error(`${res.status} ${res.statusText}`.trim());
+    }
+    return res.json();
+  });
 }
 
-function buildModuleDeps() {
-  state.moduleDeps.clear();
-  state.moduleDepObjects.clear();
-  Object.keys(state.graph.modules || {}).forEach((path) => {
-    state.moduleDeps.set(path, new Set());
-  });
+function validateGraph(graph) {
+  if (!graph || typeof graph !== "object" || !graph.modules) {
+    throw new Error("not a hive graph (no modules)");
+  }
+  if (graph.version && graph.version !== "v1") {
+    throw new Error(`unsupported graph version ${graph.version}`);
+  }
+}
 
-  (state.graph.edges || []).forEach((edge) => {
-    if (edge.kind !== "depends" && edge.kind !== "invokes") {
-      return;
-    }
-    const fromModule = moduleForNodeId(edge.from);
-    const toModule = moduleForNodeId(edge.to);
-    if (!fromModule || !toModule || fromModule === toModule) {
-      return;
-    }
-    if (!state.graph.modules[fromModule] || !state.graph.modules[toModule]) {
-      return;
-    }
-    state.moduleDeps.get(toModule).add(fromModule);
+function hiveSuppliedFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has("hive-supplied")) {
+    return null;
+  }
+  return params
+    .get("hive-supplied")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+}
 
-    if (!state.moduleDepObjects.has(toModule)) {
-      state.moduleDepObjects.set(toModule, new Map());
-    }
-    const providerMap = state.moduleDepObjects.get(toModule);
-    if (!providerMap.has(fromModule)) {
-      providerMap.set(fromModule, new Set());
-    }
-    const labels = providerMap.get(fromModule);
-    const obj = state.graph.objects && state.graph.objects[edge.from];
-    if (obj) {
-      labels.add(formatObject(obj));
-    }
-  });
+function graphUrlFromLocation() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get("graph") || DEFAULT_GRAPH_URL;
+}
+
+function setLocationParam(name, value) {
+  const params = new URLSearchParams(window.location.search);
+  if (value) {
+    params.set(name, value);
+  } else {
+    params.delete(name);
+  }
+  const search = params.toString();
+  locationSearch = search ? `?${search}` : "";
+  window.history.replaceState(
+    window.history.state,
+    "",
+    `${window.location.pathname}${locationSearch}${window.location.hash}`
+  );
 }
 
-function moduleForNodeId(id) {
-  if (!id) {
+function graphSourceKey(source) {
+  if (!source) {
     return "";
   }
-  if (id.startsWith("module:")) {
-    return id.slice("module:".length);
+  return source.id || (source.url ? `url:${source.url}` : `${source.kind}:${source.name}`);
+}
+
+function loadGraph(graph, source, diff = null, reload = false) {
+  validateGraph(graph);
+  const kept = reload
+    ? {
+        forcePositions: state.forcePositions,
+        closure: state.closure,
+        pathFinder: state.pathFinder,
+        pathHighlight: state.pathHighlight,
+        groupHighlight: state.groupHighlight,
+        configHighlight: state.configHighlight,
+      }
+    : null;
+  resetGraphState(reload);
+  state.graph = graph;
+  state.graphSource = source;
+  state.diff = diff;
+  state.moduleFilter = computeModuleFilter(moduleFilterInput ? moduleFilterInput.value : "");
+  state.diagnostics = null;
+  state.internals = new Map();
+  state.forcePositions = kept ? kept.forcePositions : null;
+  state.pathFinder = null;
+  state.pathHighlight = null;
+  state.closure = null;
+  state.valueGroups = null;
+  state.groupHighlight = null;
+  state.configHighlight = null;
+  buildModuleDeps();
+  layeringView.evaluate();
+  isolateMode.refresh();
+  buildNodes();
+  buildObjectIndex();
+  if (kept) {
+    reapplyHighlights(kept);
+  }
+  updateGraph();
+  renderSearchResults(objectQuery ? objectQuery.value : "");
+  renderDetails();
+  renderPathEndpoints();
+  renderPathResults();
+  renderPanelView();
+  updateGraphSourceLabel();
+  updateCompareControls();
+  layeringView.updateControls();
+  liveMode.updateControls();
+  startAnimation();
+}
+
+function resetGraphState(reload = false) {
+  clearTimeout(locationSyncTimer);
+  state.locationPushPending = false;
+  state.expandedModules = new Set();
+  state.selectedId = null;
+  state.hoveredId = null;
+  if (!reload) {
+    state.history = [];
+    state.isolate = null;
+    isolateMode.updateControls();
+  }
+  state.edges = [];
+  state.entityEdges = [];
+  state.memberEdges = [];
+  zoomTween = null;
+  panTween = null;
+  layoutTween = null;
+  pulseTargets.clear();
+  state.liveFlash = null;
+  state.nodes.forEach((node) => {
+    node.mesh.material.map?.dispose();
+    node.mesh.material.dispose();
+  });
+  [treeEdges, depEdges, entityEdges].forEach((batch) => batch.clear());
+  camera.position.set(0, 0, 200);
+  camera.zoom = DEFAULT_ZOOM;
+  camera.updateProjectionMatrix();
+  hideTooltip();
+  updateBackButton();
+}
+
+function reapplyHighlights({ closure, pathFinder, pathHighlight, groupHighlight, configHighlight }) {
+  if (closure) {
+    const { modulePath, signature } = closure.origin;
+    if (modulePath ? state.graph.modules[modulePath] : state.query.objectsBySignature.has(signature)) {
+      state.closure = closureFor(closure.direction, closure.origin);
+    }
   }
-  if (state.graph.constructors && state.graph.constructors[id]) {
-    return state.graph.constructors[id].modulePath || "";
+  if (pathFinder) {
+    const endpoint = (resolved) => resolved && resolvePathEndpoint(resolved.label);
+    const finder = computePaths(
+      endpoint(pathFinder.source),
+      endpoint(pathFinder.target),
+      pathFinder.all,
+      pathFinder.maxHops
+    );
+    const active = pathFinder.paths[pathFinder.active];
+    finder.active = active ? finder.paths.findIndex((path) => path.join(" ") === active.join(" ")) : -1;
+    state.pathFinder = finder;
+    if (pathHighlight && finder.active >= 0) {
+      state.pathHighlight = pathHighlightFor(finder.paths[finder.active]);
+    }
   }
-  if (state.graph.invokers && state.graph.invokers[id]) {
-    return state.graph.invokers[id].modulePath || "";
+  if (groupHighlight && findValueGroup(groupHighlight)) {
+    state.groupHighlight = groupHighlight;
   }
-  if (state.graph.decorators && state.graph.decorators[id]) {
-    return state.graph.decorators[id].modulePath || "";
+  if (configHighlight && configView.find(configHighlight)) {
+    state.configHighlight = configHighlight;
   }
-  if (state.graph.objects && state.graph.objects[id]) {
-    return state.graph.objects[id].modulePath || "";
+}
+
+function startAnimation() {
+  if (animationStarted) {
+    return;
   }
-  return "";
+  animationStarted = true;
+  animate();
 }
 
-function buildObjectIndex() {
-  state.objectIndex = [];
-  state.objectRefIndex = new Map();
-  state.searchEntries = [];
+function loadGraphFromUrl(url) {
+  return fetchGraph(url)
+    .then((graph) => {
+      liveMode.stop();
+      loadGraph(graph, { kind: "url", name: url, url });
+      setLocationParam("graph", url !== DEFAULT_GRAPH_URL ? url : null);
+      setLocationParam("compare", null);
+      writeLocation(captureViewState(), false);
+      rememberRecentGraph(state.graphSource, null);
+    })
+    .catch((err) => showLoadError(url, err));
+}
 
-  Object.values(state.graph.objects || {}).forEach((obj) => {
-    const label = formatObject(obj);
-    const providers = providerModulesForObject(obj);
-    if (providers.length === 0) {
-      return;
-    }
-    const entry = {
-      id: obj.id,
-      type: obj.type,
-      name: obj.name || "",
-      group: obj.group || "",
-      label,
-      providers,
-      isPrivate: isPrivateObject(obj),
-    };
-    state.objectIndex.push(entry);
-    const signature = objectSignature(obj.type, obj.name, obj.group);
-    if (!state.objectRefIndex.has(signature)) {
-      state.objectRefIndex.set(signature, []);
-    }
-    state.objectRefIndex.get(signature).push(entry);
-    providers.forEach((modulePath) => {
-      state.searchEntries.push({
-        label,
-        modulePath,
-        signature,
-        searchKey: label.toLowerCase(),
-        isPrivate: entry.isPrivate,
+function loadGraphFromFile(file, handle = null) {
+  if (!file) {
+    return Promise.resolve();
+  }
+  return file
+    .text()
+    .then((text) => {
+      const graph = JSON.parse(text);
+      liveMode.stop();
+      loadGraph(graph, {
+        kind: "file",
+        name: file.name,
+        id: `file:${file.name}:${file.size}:${file.lastModified}`,
+        handle,
       });
-    });
-  });
+      setLocationParam("graph", null);
+      setLocationParam("compare", null);
+      writeLocation(captureViewState(), false);
+      rememberRecentGraph(state.graphSource, JSON.stringify(graph));
+    })
+    .catch((err) => showLoadError(file.name, err));
+}
 
-  state.searchEntries.sort((a, b) => {
-    const label = a.label.localeCompare(b.label);
-    if (label !== 0) {
-      return label;
-    }
-    return a.modulePath.localeCompare(b.modulePath);
-  });
+function loadRecentGraph(id) {
+  const entry = loadRecentGraphs().find((item) => item.id === id);
+  if (!entry) {
+    return Promise.resolve();
+  }
+  if (entry.kind === "url") {
+    return loadGraphFromUrl(entry.url);
+  }
+  const text = storage()?.getItem(`${RECENT_GRAPH_DATA_PREFIX}${entry.id}`);
+  if (!text) {
+    showLoadError(entry.name, new Error("contents are no longer cached, open the file again"));
+    return Promise.resolve();
+  }
+  try {
+    const graph = JSON.parse(text);
+    liveMode.stop();
+    loadGraph(graph, { kind: "file", name: entry.name, id: entry.id });
+    setLocationParam("graph", null);
+    setLocationParam("compare", null);
+    writeLocation(captureViewState(), false);
+    rememberRecentGraph(state.graphSource, text);
+  } catch (err) {
+    showLoadError(entry.name, err);
+  }
+  return Promise.resolve();
 }
 
-function buildNodes() {
-  state.nodes.clear();
-  state.nodeMeshes = [];
-  nodeGroup.clear();
+function showLoadError(name, err) {
+  detailsBody.innerHTML = `<div class="muted">Failed to load ${escapeHtml(name)}: ${escapeHtml(
+    err && err.message ? err.message : err
+  )}</div>`;
+}
 
-  const modules = Object.keys(state.graph.modules || {});
-  modules.sort();
-  state.moduleOrder = modules;
+function showCompareError(url, err) {
+  updateGraphSourceLabel();
+  if (graphSourceLabel) {
+    graphSourceLabel.textContent += ` (baseline ${url} failed: ${
+      err && err.message ? err.message : err
+    })`;
+  }
+}
 
-  const rootSprite = createRootSprite();
-  rootSprite.userData = {
-    id: `module:${ROOT_KEY}`,
-    label: "root",
-    modulePath: ROOT_KEY,
-    type: "module",
-  };
-  const rootNode = {
-    id: `module:${ROOT_KEY}`,
-    modulePath: ROOT_KEY,
-    mesh: rootSprite,
-    baseScale: { x: rootSprite.scale.x, y: rootSprite.scale.y },
-  };
-  rootSprite.renderOrder = 2;
-  state.nodes.set(rootNode.id, rootNode);
-  state.nodeMeshes.push(rootSprite);
-  nodeGroup.add(rootSprite);
+function updateGraphSourceLabel() {
+  if (!graphSourceLabel) {
+    return;
+  }
+  const name = state.graphSource ? state.graphSource.name : "";
+  const live = state.live ? ` · ${state.live.error ? "live, failing" : "live"}` : "";
+  graphSourceLabel.textContent = `${state.diff ? `${name} vs ${state.diff.baseName}` : name}${live}`;
+  graphSourceLabel.title = state.live
+    ? liveMode.status()
+    : state.graphSource?.url || state.graphSource?.name || "";
+}
 
-  modules.forEach((path) => {
-    const nodeId = `module:${path}`;
-    const sprite = createModuleSprite(moduleDisplayName(path));
-    sprite.userData = { id: nodeId, label: path, modulePath: path, type: "module" };
-    const node = {
-      id: nodeId,
-      modulePath: path,
-      mesh: sprite,
-      baseScale: { x: sprite.scale.x, y: sprite.scale.y },
-    };
-    sprite.renderOrder = 2;
-    state.nodes.set(nodeId, node);
-    state.nodeMeshes.push(sprite);
-    nodeGroup.add(sprite);
-  });
+function storage() {
+  try {
+    return window.localStorage;
+  } catch (err) {
+    return null;
+  }
 }
 
-function layoutTree() {
-  const positions = new Map();
-  const edges = [];
+function loadRecentGraphs() {
+  try {
+    const list = JSON.parse(storage()?.getItem(RECENT_GRAPHS_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+}
 
-  const roots = state.moduleOrder.filter((path) => {
-    const parent = state.graph.modules[path]?.parent || "";
-    return parent === "" || !state.graph.modules[parent];
+function rememberRecentGraph(source, text) {
+  const store = storage();
+  if (!store || !source) {
+    return;
+  }
+  const entry = {
+    id: source.id || `url:${source.url}`,
+    kind: source.kind,
+    name: source.name,
+    url: source.url || "",
+    loadedAt: Date.now(),
+    cached: false,
+  };
+  const list = [entry, ...loadRecentGraphs().filter((item) => item.id !== entry.id)];
+  list.splice(MAX_RECENT_GRAPHS).forEach((item) => {
+    store.removeItem(`${RECENT_GRAPH_DATA_PREFIX}${item.id}`);
   });
-  roots.sort();
+  if (entry.kind === "file" && text) {
+    entry.cached = cacheRecentGraph(store, entry.id, text, list);
+  }
+  try {
+    store.setItem(RECENT_GRAPHS_KEY, JSON.stringify(list));
+  } catch (err) {
+    // The list itself is tiny; if even that does not fit, just skip it.
+  }
+  renderRecentGraphs();
+}
 
-  const countVisible = (modulePath) => {
-    let count = 1;
-    if (!state.expandedModules.has(modulePath)) {
-      return count;
+function cacheRecentGraph(store, id, text, list) {
+  // Evict the oldest cached dumps until the new one fits the storage quota.
+  const evictable = list.filter((item) => item.id !== id && item.cached).reverse();
+  for (;;) {
+    try {
+      store.setItem(`${RECENT_GRAPH_DATA_PREFIX}${id}`, text);
+      return true;
+    } catch (err) {
+      const victim = evictable.shift();
+      if (!victim) {
+        return false;
+      }
+      store.removeItem(`${RECENT_GRAPH_DATA_PREFIX}${victim.id}`);
+      victim.cached = false;
     }
-    const children = (state.graph.modules[modulePath]?.children || []).slice();
-    children.sort();
-    children.forEach((child) => {
-      count += countVisible(child);
+  }
+}
+
+function renderRecentGraphs() {
+  if (!recentGraphsSelect) {
+    return;
+  }
+  const list = loadRecentGraphs();
+  recentGraphsSelect.innerHTML = [
+    `<option value="">Recent graphs${list.length === 0 ? " (none)" : ""}</option>`,
+    ...list.map((item) => {
+      const suffix = item.kind === "file" && !item.cached ? " (not cached)" : "";
+      return `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)}${escapeHtml(
+        suffix
+      )}</option>`;
+    }),
+  ].join("");
+  recentGraphsSelect.disabled = list.length === 0;
+}
+
+function setupGraphLoading() {
+  const openButton = document.getElementById("open-graph");
+  if (openButton && graphFileInput) {
+    openButton.addEventListener("click", () => {
+      if (typeof window.showOpenFilePicker === "function") {
+        openGraphFileHandle();
+      } else {
+        graphFileInput.click();
+      }
     });
-    return count;
-  };
+    graphFileInput.addEventListener("change", () => {
+      const file = graphFileInput.files && graphFileInput.files[0];
+      loadGraphFromFile(file).finally(() => {
+        graphFileInput.value = "";
+      });
+    });
+  }
+  if (recentGraphsSelect) {
+    recentGraphsSelect.addEventListener("change", () => {
+      const id = recentGraphsSelect.value;
+      recentGraphsSelect.value = "";
+      if (id) {
+        loadRecentGraph(id);
+      }
+    });
+  }
 
-  const place = (modulePath, depth, centerY) => {
-    positions.set(modulePath, { x: depth, y: centerY });
-    if (!state.expandedModules.has(modulePath)) {
+  const hasFiles = (event) =>
+    Array.from(event.dataTransfer?.types || []).includes("Files");
+  viewport.addEventListener("dragover", (event) => {
+    if (!hasFiles(event)) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "copy";
+    viewport.classList.add("drop-target");
+  });
+  viewport.addEventListener("dragleave", (event) => {
+    if (!viewport.contains(event.relatedTarget)) {
+      viewport.classList.remove("drop-target");
+    }
+  });
+  viewport.addEventListener("drop", (event) => {
+    if (!hasFiles(event)) {
       return;
     }
-    const children = (state.graph.modules[modulePath]?.children || []).slice();
-    children.sort();
-    const sizes = children.map((child) => countVisible(child));
-    const total = sizes.reduce((sum, val) => sum + val, 0);
-    let cursor = centerY - (total / 2);
-    children.forEach((child, idx) => {
-      const childSize = sizes[idx];
-      const childCenter = cursor + childSize / 2;
-      edges.push([modulePath, child]);
-      place(child, depth + 1, childCenter);
-      cursor += childSize;
+    event.preventDefault();
+    viewport.classList.remove("drop-target");
+    loadGraphFromFile(event.dataTransfer.files[0]);
+  });
+  renderRecentGraphs();
+}
+
+function openGraphFileHandle() {
+  return window
+    .showOpenFilePicker({
+      types: [{ description: "Hive graph", accept: { "application/json": [".json"] } }],
+    })
+    .then(([handle]) => handle.getFile().then((file) => loadGraphFromFile(file, handle)))
+    .catch((err) => {
+      if (err && err.name !== "AbortError") {
+        showLoadError("graph file", err);
+      }
     });
-  };
+}
 
-  positions.set(ROOT_KEY, { x: 0, y: 0 });
+function enterCompareMode(
+  baseGraph,
+  baseName,
+  current = state.diff ? state.diff.current : state.graph,
+  reload = false
+) {
+  validateGraph(baseGraph);
+  const view = captureViewState();
+  const diff = computeGraphDiff(baseGraph, current);
+  diff.base = baseGraph;
+  diff.baseName = baseName;
+  diff.current = current;
+  loadGraph(diff.merged, state.graphSource, diff, reload);
+  restoreViewState(view);
+  writeLocation(captureViewState(), false);
+}
 
-  const rootSizes = roots.map((root) => countVisible(root));
-  const totalRoots = rootSizes.reduce((sum, val) => sum + val, 0);
-  let cursor = -totalRoots / 2;
-  roots.forEach((root, idx) => {
-    const size = rootSizes[idx];
-    const centerY = cursor + size / 2;
-    edges.push([ROOT_KEY, root]);
-    place(root, 1, centerY);
-    cursor += size;
-  });
+function exitCompareMode() {
+  if (!state.diff) {
+    return;
+  }
+  const view = captureViewState();
+  loadGraph(state.diff.current, state.graphSource);
+  restoreViewState(view);
+  setLocationParam("compare", null);
+  writeLocation(captureViewState(), false);
+}
 
-  return { positions, edges };
+function compareWithUrl(url) {
+  return fetchGraph(url)
+    .then((graph) => {
+      enterCompareMode(graph, url);
+      setLocationParam("compare", url);
+    })
+    .catch((err) => showLoadError(url, err));
 }
 
-function applyLayout(layout) {
-  const xSpacing = 40;
-  const ySpacing = 14;
-  const visible = new Set();
-  const root = layout.positions.get(ROOT_KEY);
-  const rootOffsetX = root ? root.x * xSpacing : 0;
-  const rootOffsetY = root ? root.y * ySpacing : 0;
+function compareWithFile(file) {
+  if (!file) {
+    return Promise.resolve();
+  }
+  return file
+    .text()
+    .then((text) => {
+      enterCompareMode(JSON.parse(text), file.name);
+      setLocationParam("compare", null);
+    })
+    .catch((err) => showLoadError(file.name, err));
+}
 
-  layout.positions.forEach((pos, modulePath) => {
-    const node = state.nodes.get(`module:${modulePath}`);
-    if (!node) {
+function updateCompareControls() {
+  if (compareButton) {
+    compareButton.textContent = state.diff ? "Exit Compare" : "Compare…";
+  }
+  if (diffLegend) {
+    diffLegend.hidden = !state.diff;
+  }
+}
+
+function setupCompareMode() {
+  if (!compareButton || !compareFileInput) {
+    return;
+  }
+  compareButton.addEventListener("click", () => {
+    if (state.diff) {
+      exitCompareMode();
       return;
     }
-    node.mesh.visible = true;
-    node.mesh.position.set(
-      pos.x * xSpacing - rootOffsetX,
-      -pos.y * ySpacing + rootOffsetY,
-      1
-    );
-    visible.add(node.id);
+    compareFileInput.click();
   });
-
-  state.nodes.forEach((node) => {
-    if (!visible.has(node.id)) {
-      node.mesh.visible = false;
-    }
+  compareFileInput.addEventListener("change", () => {
+    const file = compareFileInput.files && compareFileInput.files[0];
+    compareWithFile(file).finally(() => {
+      compareFileInput.value = "";
+    });
   });
-
-  state.edges = layout.edges;
-  rebuildEdges();
 }
 
-function rebuildEdges() {
-  treeEdgeGroup.clear();
-  depEdgeGroup.clear();
-  state.edgeMeshes = [];
+function computeGraphDiff(base, current) {
+  const ctorMatch = matchGraphEntities(base.constructors || {}, current.constructors || {});
+  const invokerMatch = matchGraphEntities(base.invokers || {}, current.invokers || {});
+  const decoratorMatch = matchGraphEntities(base.decorators || {}, current.decorators || {});
+  const baseIds = new Map([...ctorMatch.ids, ...invokerMatch.ids, ...decoratorMatch.ids]);
+  const merged = mergeGraphs(base, current, baseIds);
+
+  const modules = new Map();
+  const entityChanges = new Map();
+  const objectChanges = new Map();
+  const addChange = (map, modulePath, change) => {
+    const key = modulePath && merged.modules[modulePath] ? modulePath : ROOT_KEY;
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(change);
+  };
 
-  state.edges.forEach(([from, to]) => {
-    const fromNode = state.nodes.get(`module:${from}`);
-    const toNode = state.nodes.get(`module:${to}`);
-    if (!fromNode || !toNode || !fromNode.mesh.visible || !toNode.mesh.visible) {
-      return;
+  Object.keys(merged.modules).forEach((path) => {
+    if (!base.modules[path]) {
+      modules.set(path, "added");
+    } else if (!current.modules[path]) {
+      modules.set(path, "removed");
+    } else {
+      modules.set(path, "same");
     }
-    const curve = new THREE.LineCurve3(
-      flatPos(fromNode.mesh.position),
-      flatPos(toNode.mesh.position)
-    );
-    const geometry = new THREE.TubeGeometry(curve, 20, 0.45, 8, false);
-    const material = new THREE.MeshBasicMaterial({
-      color: "rgba(47, 72, 88, 0.45)",
-      transparent: true,
-      opacity: 0.7,
-    });
-    const tube = new THREE.Mesh(geometry, material);
-    tube.renderOrder = 0;
-    tube.position.z = -1;
-    tube.userData = { from: fromNode.id, to: toNode.id };
-    treeEdgeGroup.add(tube);
-    state.edgeMeshes.push(tube);
   });
 
-  const { deps: visibleDeps, objects: edgeObjects } = buildVisibleModuleDeps();
-  visibleDeps.forEach((deps, modulePath) => {
-    if (modulePath === ROOT_KEY || !state.graph.modules[modulePath]) {
-      return;
-    }
-    deps.forEach((dep) => {
-      if (dep === ROOT_KEY || !state.graph.modules[dep]) {
+  [
+    ["constructor", base.constructors || {}, current.constructors || {}, ctorMatch],
+    ["invoker", base.invokers || {}, current.invokers || {}, invokerMatch],
+    ["decorator", base.decorators || {}, current.decorators || {}, decoratorMatch],
+  ].forEach(([kind, baseMap, currentMap, match]) => {
+    Object.values(currentMap).forEach((entity) => {
+      const baseId = match.reverse.get(entity.id);
+      if (!baseId) {
+        addChange(entityChanges, entity.modulePath, {
+          kind,
+          name: entity.name || entity.id,
+          status: "added",
+        });
         return;
       }
-      const fromNode = state.nodes.get(`module:${modulePath}`);
-      const toNode = state.nodes.get(`module:${dep}`);
-      if (!fromNode || !toNode || !fromNode.mesh.visible || !toNode.mesh.visible) {
-        return;
+      const before = baseMap[baseId];
+      const inputs = diffLists(refSignatures(before.inputs), refSignatures(entity.inputs));
+      const outputs = diffLists(refSignatures(before.outputs), refSignatures(entity.outputs));
+      if (inputs.changed || outputs.changed) {
+        addChange(entityChanges, entity.modulePath, {
+          kind,
+          name: entity.name || entity.id,
+          status: "changed",
+          inputs,
+          outputs,
+        });
+      }
+    });
+    Object.values(baseMap).forEach((entity) => {
+      if (!match.ids.has(entity.id)) {
+        addChange(entityChanges, entity.modulePath, {
+          kind,
+          name: entity.name || entity.id,
+          status: "removed",
+        });
       }
-      const curve = buildCurvedCurve(
-        fromNode.mesh.position,
-        toNode.mesh.position,
-        curveBias(`${modulePath}->${dep}`)
-      );
-      const geometry = new THREE.TubeGeometry(curve, 28, 0.5, 8, false);
-      const material = new THREE.MeshBasicMaterial({
-        color: "rgba(242, 106, 79, 0.75)",
-        transparent: true,
-        opacity: 0.75,
-      });
-      const tube = new THREE.Mesh(geometry, material);
-      tube.renderOrder = 0;
-      tube.position.z = -1;
-      const key = `${modulePath}->${dep}`;
-      tube.userData = {
-        from: fromNode.id,
-        to: toNode.id,
-        kind: "dep",
-        fromModule: modulePath,
-        toModule: dep,
-        objects: edgeObjects.get(key) || [],
-      };
-      depEdgeGroup.add(tube);
-      state.edgeMeshes.push(tube);
     });
   });
 
-  applyHighlight();
-}
+  Object.keys(merged.objects).forEach((id) => {
+    const before = base.objects && base.objects[id];
+    const after = current.objects && current.objects[id];
+    const obj = after || before;
+    const modulePath = graphObjectModule(merged, obj);
+    const change = {
+      label: formatObject(obj),
+      signature: objectSignature(obj.type, obj.name, obj.group),
+      status: !before ? "added" : !after ? "removed" : "changed",
+      providers: diffLists(
+        entityDescriptors(base, before && before.providedBy),
+        entityDescriptors(current, after && after.providedBy)
+      ),
+      consumers: diffLists(
+        entityDescriptors(base, before && before.consumedBy),
+        entityDescriptors(current, after && after.consumedBy)
+      ),
+    };
+    if (change.status === "changed" && !change.providers.changed && !change.consumers.changed) {
+      return;
+    }
+    addChange(objectChanges, modulePath, change);
+  });
 
-function buildVisibleModuleDeps() {
-  const visibleDeps = new Map();
-  const objectsByEdge = new Map();
-  const visibleCache = new Map();
-
-  const resolveVisible = (modulePath) => {
-    if (!modulePath || modulePath === ROOT_KEY) {
-      return ROOT_KEY;
-    }
-    if (visibleCache.has(modulePath)) {
-      return visibleCache.get(modulePath);
-    }
-    let current = modulePath;
-    while (current) {
-      const node = state.nodes.get(`module:${current}`);
-      if (node && node.mesh.visible) {
-        visibleCache.set(modulePath, current);
-        return current;
-      }
-      const parent = state.graph.modules[current]?.parent || "";
-      if (!parent || parent === current) {
-        break;
+  [entityChanges, objectChanges].forEach((map) => {
+    map.forEach((changes, path) => {
+      if (modules.get(path) === "same") {
+        modules.set(path, "changed");
       }
-      current = parent;
+      changes.sort((a, b) => (a.name || a.label).localeCompare(b.name || b.label));
+    });
+  });
+
+  const baseDeps = computeModuleDeps(base).depObjects;
+  const currentDeps = computeModuleDeps(current).depObjects;
+  const depPairs = new Map();
+  const pairLabels = (depObjects, consumer, provider) =>
+    Array.from((depObjects.get(consumer) && depObjects.get(consumer).get(provider)) || []);
+  [baseDeps, currentDeps].forEach((depObjects) => {
+    depObjects.forEach((providers, consumer) => {
+      providers.forEach((labels, provider) => {
+        const key = `${consumer}->${provider}`;
+        if (depPairs.has(key)) {
+          return;
+        }
+        const objects = diffLists(
+          pairLabels(baseDeps, consumer, provider),
+          pairLabels(currentDeps, consumer, provider)
+        );
+        let status = "same";
+        if (!baseDeps.get(consumer)?.has(provider)) {
+          status = "added";
+        } else if (!currentDeps.get(consumer)?.has(provider)) {
+          status = "removed";
+        } else if (objects.changed) {
+          status = "changed";
+        }
+        depPairs.set(key, status);
+      });
+    });
+  });
+
+  const summary = { added: 0, removed: 0, changed: 0 };
+  modules.forEach((status) => {
+    if (summary[status] !== undefined) {
+      summary[status] += 1;
     }
-    visibleCache.set(modulePath, ROOT_KEY);
-    return ROOT_KEY;
-  };
+  });
 
-  state.moduleDepObjects.forEach((providers, consumer) => {
-    const fromVisible = resolveVisible(consumer);
-    if (!fromVisible || fromVisible === ROOT_KEY) {
+  return { merged, modules, depPairs, entityChanges, objectChanges, summary };
+}
+
+function matchGraphEntities(baseMap, currentMap) {
+  const ids = new Map();
+  const reverse = new Map();
+  const pending = new Map();
+  Object.values(baseMap).forEach((entity) => {
+    const other = currentMap[entity.id];
+    if (other && entityKey(other) === entityKey(entity)) {
+      ids.set(entity.id, other.id);
+      reverse.set(other.id, entity.id);
       return;
     }
-    providers.forEach((objects, provider) => {
-      const toVisible = resolveVisible(provider);
-      if (!toVisible || toVisible === ROOT_KEY || toVisible === fromVisible) {
+    const key = entityKey(entity);
+    if (!pending.has(key)) {
+      pending.set(key, []);
+    }
+    pending.get(key).push(entity.id);
+  });
+  Object.values(currentMap)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach((entity) => {
+      if (reverse.has(entity.id)) {
         return;
       }
-      if (!visibleDeps.has(fromVisible)) {
-        visibleDeps.set(fromVisible, new Set());
-      }
-      visibleDeps.get(fromVisible).add(toVisible);
-      const edgeKey = `${fromVisible}->${toVisible}`;
-      if (!objectsByEdge.has(edgeKey)) {
-        objectsByEdge.set(edgeKey, new Set());
+      const candidates = pending.get(entityKey(entity));
+      if (candidates && candidates.length > 0) {
+        const baseId = candidates.shift();
+        ids.set(baseId, entity.id);
+        reverse.set(entity.id, baseId);
       }
-      objects.forEach((label) => objectsByEdge.get(edgeKey).add(label));
     });
+  return { ids, reverse };
+}
+
+function entityKey(entity) {
+  return `${entity.modulePath || ""}|${functionName(entity.name || entity.id)}`;
+}
+
+function functionName(name) {
+  const idx = (name || "").indexOf(" (");
+  return idx === -1 ? name || "" : name.slice(0, idx);
+}
+
+function mergeGraphs(base, current, baseIds) {
+  // Base-only constructors keep their id unless the current build reuses it.
+  const taken = new Set([
+    ...Object.keys(current.constructors || {}),
+    ...Object.keys(current.invokers || {}),
+    ...Object.keys(current.decorators || {}),
+  ]);
+  const mergedIds = new Map(baseIds);
+  const remap = (id) => {
+    if (mergedIds.has(id)) {
+      return mergedIds.get(id);
+    }
+    const mapped = taken.has(id) ? `base:${id}` : id;
+    mergedIds.set(id, mapped);
+    return mapped;
+  };
+  const union = (a, b) => Array.from(new Set([...(a || []), ...(b || [])]));
+
+  const merged = {
+    version: current.version,
+    rootModules: union(current.rootModules, base.rootModules),
+    modules: {},
+    constructors: { ...(current.constructors || {}) },
+    invokers: { ...(current.invokers || {}) },
+    decorators: { ...(current.decorators || {}) },
+    objects: {},
+    edges: [],
+  };
+
+  union(Object.keys(current.modules || {}), Object.keys(base.modules || {})).forEach((path) => {
+    const after = current.modules[path];
+    const before = base.modules[path];
+    merged.modules[path] = {
+      ...(after || before),
+      children: union(after && after.children, before && before.children),
+    };
   });
 
-  if (visibleDeps.size === 0) {
-    state.moduleDeps.forEach((deps, modulePath) => {
-      const fromVisible = resolveVisible(modulePath);
-      if (!fromVisible || fromVisible === ROOT_KEY) {
+  ["constructors", "invokers", "decorators"].forEach((kind) => {
+    Object.values(base[kind] || {}).forEach((entity) => {
+      if (baseIds.has(entity.id)) {
         return;
       }
-      deps.forEach((dep) => {
-        const toVisible = resolveVisible(dep);
-        if (!toVisible || toVisible === ROOT_KEY || toVisible === fromVisible) {
-          return;
-        }
-        if (!visibleDeps.has(fromVisible)) {
-          visibleDeps.set(fromVisible, new Set());
-        }
-        visibleDeps.get(fromVisible).add(toVisible);
-      });
+      const id = remap(entity.id);
+      merged[kind][id] = { ...entity, id };
     });
-  }
+  });
 
-  const objects = new Map();
-  objectsByEdge.forEach((set, key) => {
-    const list = Array.from(set);
-    list.sort();
-    objects.set(key, list);
+  union(Object.keys(current.objects || {}), Object.keys(base.objects || {})).forEach((id) => {
+    const after = current.objects && current.objects[id];
+    const before = base.objects && base.objects[id];
+    const beforeProviders = ((before && before.providedBy) || []).map(remap);
+    const beforeConsumers = ((before && before.consumedBy) || []).map(remap);
+    merged.objects[id] = {
+      ...(after || before),
+      providedBy: union(after && after.providedBy, beforeProviders),
+      consumedBy: union(after && after.consumedBy, beforeConsumers),
+    };
   });
 
-  return { deps: visibleDeps, objects };
+  const seen = new Set();
+  const addEdge = (edge) => {
+    const key = `${edge.from}|${edge.to}|${edge.kind}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    merged.edges.push(edge);
+  };
+  (current.edges || []).forEach(addEdge);
+  (base.edges || []).forEach((edge) => {
+    addEdge({ ...edge, from: remap(edge.from), to: remap(edge.to) });
+  });
+  return merged;
 }
 
-function buildCurvedCurve(fromPos, toPos, bias) {
-  const start = flatPos(fromPos);
-  const end = flatPos(toPos);
-  const dx = end.x - start.x;
-  const dy = end.y - start.y;
-  const dist = Math.hypot(dx, dy);
-  if (!dist) {
-    return new THREE.LineCurve3(start, end);
+function graphObjectModule(graph, obj) {
+  if (obj.modulePath && graph.modules[obj.modulePath]) {
+    return obj.modulePath;
   }
-  const nx = -dy / dist;
-  const ny = dx / dist;
-  const bend = Math.min(24, dist * 0.25) * bias;
-  const mid = new THREE.Vector3(
-    (start.x + end.x) / 2 + nx * bend,
-    (start.y + end.y) / 2 + ny * bend,
-    0
+  const providerId = (obj.providedBy || []).find(
+    (id) => graph.constructors[id] && graph.modules[graph.constructors[id].modulePath]
   );
-  return new THREE.QuadraticBezierCurve3(start, mid, end);
+  return providerId ? graph.constructors[providerId].modulePath : "";
+}
+
+function refSignatures(refs) {
+  return (refs || []).map((ref) => {
+    const label = formatObject(ref);
+    return ref.optional ? `${label} (optional)` : label;
+  });
+}
+
+function entityDescriptors(graph, ids) {
+  return (ids || []).map((id) => {
+    const entity =
+      (graph.constructors && graph.constructors[id]) ||
+      (graph.invokers && graph.invokers[id]) ||
+      (graph.decorators && graph.decorators[id]);
+    if (!entity) {
+      return id;
+    }
+    return `${entity.modulePath || "root"}: ${functionName(entity.name || entity.id)}`;
+  });
 }
 
-function flatPos(pos) {
-  return new THREE.Vector3(pos.x, pos.y, 0);
+function diffLists(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  const added = Array.from(afterSet).filter((item) => !beforeSet.has(item)).sort();
+  const removed = Array.from(beforeSet).filter((item) => !afterSet.has(item)).sort();
+  return { added, removed, changed: added.length > 0 || removed.length > 0 };
 }
 
-function curveBias(key) {
-  let hash = 0;
-  for (let i = 0; i < key.length; i += 1) {
-    hash = (hash * 31 + key.charCodeAt(i)) % 97;
+function moduleDiffStatus(modulePath) {
+  if (!state.diff || !modulePath || modulePath === ROOT_KEY) {
+    return "";
+  }
+  const status = state.diff.modules.get(modulePath) || "same";
+  if (status !== "same" || state.expandedModules.has(modulePath)) {
+    return status;
+  }
+  const subtree = state.query.moduleSubtree(modulePath);
+  for (const path of subtree) {
+    if (state.diff.modules.get(path) !== "same") {
+      return "changed";
+    }
   }
-  return hash % 2 === 0 ? 1 : -1;
+  return status;
 }
 
-function updateGraph() {
-  const layout = layoutTree();
-  applyLayout(layout);
-  buildModuleList();
+function edgeDiffStatus(pairs) {
+  if (!state.diff || !pairs || pairs.length === 0) {
+    return "";
+  }
+  const statuses = new Set(pairs.map((key) => state.diff.depPairs.get(key) || "same"));
+  return statuses.size === 1 ? statuses.values().next().value : "changed";
 }
 
-function buildModuleList() {
-  const list = moduleList || document.getElementById("module-list");
-  const previousScroll = list ? list.scrollTop : 0;
-  list.innerHTML = "";
+function buildModuleDeps() {
+  state.query = createGraphQuery(state.graph, { hiveSupplied: hiveSuppliedFromLocation() });
+  state.moduleDeps = state.query.moduleDeps;
+  state.moduleDepObjects = state.query.moduleDepObjects;
+  state.moduleMetrics = computeModuleMetrics(state.graph, state.moduleDeps);
+}
 
-  const buildTreeRow = (path, depth) => {
-    const module = state.graph.modules[path];
-    const row = document.createElement("div");
-    row.className = "module-row";
-    row.dataset.module = path;
-    row.style.marginLeft = `${12 + depth * 12}px`;
+function buildObjectIndex() {
+  state.searchEntries = [];
+  const optionalUse = collectOptionalUse();
 
-    const label = document.createElement("div");
-    label.className = "module-label";
+  state.query.objectIndex.forEach((entry) => {
+    const { label, providers } = entry;
+    const signature = objectSignature(entry.type, entry.name, entry.group);
+    const use = optionalUse.get(signature);
+    providers.forEach((modulePath) => {
+      state.searchEntries.push({
+        kind: "object",
+        label,
+        modulePath,
+        signature,
+        isPrivate: entry.isPrivate,
+        grouped: Boolean(entry.group),
+        optionalOnly: Boolean(use && use.optional > 0 && use.required === 0),
+        fields: searchFields({
+          type: entry.type,
+          name: entry.name,
+          group: entry.group,
+          module: modulePath,
+        }),
+      });
+    });
+  });
 
-    const title = document.createElement("div");
-    title.className = "module-title";
-    title.textContent = moduleDisplayName(path);
+  state.query.configObjects().forEach((config) => {
+    config.flags.forEach((flag) => {
+      state.searchEntries.push({
+        kind: "flag",
+        label: `--${flag.name}`,
+        modulePath: config.providers[0] || "",
+        signature: config.signature,
+        type: config.type,
+        isPrivate: false,
+        grouped: false,
+        optionalOnly: false,
+        fields: searchFields({ flag: flag.name, type: config.type, module: config.providers[0] || "" }),
+      });
+    });
+  });
 
-    const desc = document.createElement("div");
-    desc.className = "module-desc";
-    desc.textContent = module.description || "";
+  [
+    ["constructor", state.graph.constructors],
+    ["invoker", state.graph.invokers],
+  ].forEach(([kind, entities]) => {
+    Object.values(entities || {}).forEach((entity) => {
+      const location = parseSourceLocation(entity.name);
+      const file = location && location.file ? `${location.file}:${location.line}` : "";
+      const label = location ? location.name : functionName(entity.name);
+      state.searchEntries.push({
+        kind,
+        id: entity.id,
+        label,
+        file,
+        modulePath: entity.modulePath || "",
+        isPrivate: entity.exported === false,
+        grouped: false,
+        optionalOnly: false,
+        fields: searchFields({ function: label, file, module: entity.modulePath || "" }),
+      });
+    });
+  });
 
-    label.appendChild(title);
-    if (module.description) {
-      label.appendChild(desc);
+  state.searchEntries.sort((a, b) => {
+    const label = a.label.localeCompare(b.label);
+    if (label !== 0) {
+      return label;
     }
+    return a.modulePath.localeCompare(b.modulePath);
+  });
+}
 
-    const badge = document.createElement("div");
-    badge.className = "badge";
-    const hasChildren = (state.graph.modules[path].children || []).length > 0;
-    const isOpen = state.expandedModules.has(path);
-    badge.textContent = hasChildren ? (isOpen ? "▾" : "▸") : "•";
-
-    row.appendChild(label);
-    row.appendChild(badge);
+function searchFields(values) {
+  return Object.entries(values)
+    .filter(([, text]) => text)
+    .map(([key, text]) => ({ key, text, lower: text.toLowerCase() }));
+}
 
-    row.addEventListener("click", (event) => {
-      event.stopPropagation();
-      pushHistory();
-      if (hasChildren) {
-        toggleModule(path);
-      } else {
-        state.expandedModules.add(path);
-        updateGraph();
-      }
-      focusModule(path);
+function collectOptionalUse() {
+  const use = new Map();
+  [state.graph.constructors, state.graph.invokers, state.graph.decorators].forEach((entities) => {
+    Object.values(entities || {}).forEach((entity) => {
+      (entity.inputs || []).forEach((ref) => {
+        const signature = signatureForRef(ref);
+        if (!use.has(signature)) {
+          use.set(signature, { optional: 0, required: 0 });
+        }
+        use.get(signature)[ref.optional ? "optional" : "required"] += 1;
+      });
     });
+  });
+  return use;
+}
 
-    list.appendChild(row);
+function buildNodes() {
+  state.nodes.clear();
+  state.nodeMeshes = [];
+  nodeGroup.clear();
 
-    const isExpanded = state.expandedModules.has(path);
-    if (hasChildren && isExpanded) {
-      const children = state.graph.modules[path].children || [];
-      children.forEach((child) => buildTreeRow(child, depth + 1));
-    }
+  const modules = Object.keys(state.graph.modules || {});
+  modules.sort();
+  state.moduleOrder = modules;
+
+  const rootSprite = createRootSprite();
+  rootSprite.userData = {
+    id: `module:${ROOT_KEY}`,
+    label: "root",
+    modulePath: ROOT_KEY,
+    type: "module",
+  };
+  const rootNode = {
+    id: `module:${ROOT_KEY}`,
+    modulePath: ROOT_KEY,
+    mesh: rootSprite,
+    baseScale: { x: rootSprite.scale.x, y: rootSprite.scale.y },
+    metricScale: 1,
   };
+  rootSprite.renderOrder = 2;
+  state.nodes.set(rootNode.id, rootNode);
+  state.nodeMeshes.push(rootSprite);
+  nodeGroup.add(rootSprite);
 
-  const roots = state.graph.rootModules || [];
-  roots.forEach((path) => buildTreeRow(path, 0));
+  modules.forEach((path) => {
+    const nodeId = `module:${path}`;
+    const sprite = createModuleSprite(moduleDisplayName(path));
+    sprite.userData = { id: nodeId, label: path, modulePath: path, type: "module" };
+    const node = {
+      id: nodeId,
+      modulePath: path,
+      mesh: sprite,
+      baseScale: { x: sprite.scale.x, y: sprite.scale.y },
+      metricScale: 1,
+    };
+    sprite.renderOrder = 2;
+    state.nodes.set(nodeId, node);
+    state.nodeMeshes.push(sprite);
+    nodeGroup.add(sprite);
+  });
+}
 
-  if (list) {
-    list.scrollTop = previousScroll;
+function layoutTree() {
+  const modules = state.moduleFilter ? state.moduleFilter.modules : state.graph.modules;
+  return treeLayout(modules, state.expandedModules, visibleInternals);
+}
+
+function visibleInternals(modulePath) {
+  if (!state.showInternals) {
+    return null;
+  }
+  if ((state.graph.modules[modulePath]?.children || []).length > 0) {
+    return null;
   }
+  const internals = moduleInternals(modulePath);
+  return internals.entities.length > 0 ? internals : null;
 }
 
-function setupObjectSearch() {
-  if (!objectQuery || !objectResults) {
-    return;
+function moduleInternals(modulePath) {
+  if (state.internals.has(modulePath)) {
+    return state.internals.get(modulePath);
   }
-  objectQuery.addEventListener("input", () => {
-    renderSearchResults(objectQuery.value);
-  });
-  objectQuery.addEventListener("keydown", (event) => {
-    if (event.key === "Enter") {
-      const first = objectResults.querySelector(".object-result");
-      if (first) {
-        first.click();
+  const module = state.graph.modules[modulePath] || {};
+  const entities = [];
+  const objects = new Set();
+  [
+    [state.graph.constructors, module.constructors],
+    [state.graph.invokers, module.invokers],
+    [state.graph.decorators, module.decorators],
+  ].forEach(([entityMap, ids]) => {
+    (ids || []).forEach((id) => {
+      const entity = entityMap && entityMap[id];
+      if (!entity) {
+        return;
       }
-    }
+      entities.push(entityNodeId(id));
+      (entity.outputs || []).forEach((ref) => {
+        if (state.graph.objects && state.graph.objects[ref.id]) {
+          objects.add(entityNodeId(ref.id));
+        }
+      });
+    });
   });
-  renderSearchResults("");
+  const internals = { entities, objects: Array.from(objects) };
+  state.internals.set(modulePath, internals);
+  return internals;
 }
 
-function renderSearchResults(query) {
-  if (!objectResults) {
-    return;
+function entityNodeId(graphId) {
+  return `entity:${graphId}`;
+}
+
+function graphEntity(graphId) {
+  const graph = state.graph;
+  if (graph.constructors && graph.constructors[graphId]) {
+    return { kind: "constructor", entity: graph.constructors[graphId] };
   }
-  objectResults.innerHTML = "";
-  const q = (query || "").trim().toLowerCase();
-  if (!q) {
-    objectResults.innerHTML = '<div class="muted">Type to search for objects.</div>';
-    return;
+  if (graph.invokers && graph.invokers[graphId]) {
+    return { kind: "invoker", entity: graph.invokers[graphId] };
   }
-  const matches = state.searchEntries.filter((entry) => entry.searchKey.includes(q));
-  if (matches.length === 0) {
-    objectResults.innerHTML = '<div class="muted">No matches.</div>';
-    return;
+  if (graph.decorators && graph.decorators[graphId]) {
+    return { kind: "decorator", entity: graph.decorators[graphId] };
   }
-  matches.slice(0, 50).forEach((entry) => {
-    const row = document.createElement("button");
-    row.type = "button";
-    row.className = `object-result${entry.isPrivate ? " private" : ""}`;
-    row.innerHTML = `
-      <div class="object-result-title">${escapeHtml(entry.label)}</div>
-      <div class="object-result-module">${escapeHtml(entry.modulePath)}</div>
-    `;
-    row.addEventListener("click", () => {
-      focusModulePath(entry.modulePath);
-    });
-    objectResults.appendChild(row);
-  });
-  if (matches.length > 50) {
-    const more = document.createElement("div");
-    more.className = "muted";
-    more.textContent = `Showing first 50 of ${matches.length} matches.`;
-    objectResults.appendChild(more);
+  if (graph.objects && graph.objects[graphId]) {
+    return { kind: "object", entity: graph.objects[graphId] };
   }
+  return null;
 }
 
-function toggleModule(path) {
-  if (!path || path === ROOT_KEY) {
-    return;
+function ensureEntityNode(nodeId) {
+  if (state.nodes.has(nodeId)) {
+    return state.nodes.get(nodeId);
   }
-  if (state.expandedModules.has(path)) {
-    state.expandedModules.delete(path);
-    tweenZoomTo(DEFAULT_ZOOM);
-  } else {
-    state.expandedModules.add(path);
-    tweenZoomTo(DEFAULT_ZOOM * 0.92);
+  const graphId = nodeId.slice("entity:".length);
+  const found = graphEntity(graphId);
+  if (!found) {
+    return null;
   }
-  updateGraph();
+  const { kind, entity } = found;
+  const isObject = kind === "object";
+  const label = isObject ? formatObject(entity) : entity.name || entity.id;
+  const sprite = createEntitySprite(
+    entityCaption(found),
+    kind,
+    isObject && isPrivateObject(entity, state.graph)
+  );
+  sprite.userData = { id: nodeId, label, modulePath: entity.modulePath || "", type: kind };
+  sprite.renderOrder = 2;
+  const node = {
+    id: nodeId,
+    entityId: graphId,
+    kind,
+    modulePath: moduleForNodeId(graphId, state.graph),
+    mesh: sprite,
+    baseScale: { x: sprite.scale.x, y: sprite.scale.y },
+    metricScale: 1,
+  };
+  state.nodes.set(nodeId, node);
+  state.nodeMeshes.push(sprite);
+  nodeGroup.add(sprite);
+  return node;
 }
 
-function captureViewState() {
-  return {
-    selectedId: state.selectedId,
-    expandedModules: Array.from(state.expandedModules),
-    camera: {
-      x: camera.position.x,
-      y: camera.position.y,
-      zoom: camera.zoom,
-    },
-  };
+function entityCaption({ kind, entity }) {
+  return truncateLabel(
+    kind === "object" ? formatObject(entity) : functionName(entity.name || entity.id)
+  );
 }
 
-function restoreViewState(snapshot) {
-  if (!snapshot) {
-    return;
-  }
+function truncateLabel(text) {
+  return text.length > ENTITY_LABEL_MAX ? `${text.slice(0, ENTITY_LABEL_MAX - 1)}…` : text;
+}
+
+function applyLayout(layout, animate = false) {
+  const visible = new Set();
+  const root = layout.positions.get(ROOT_KEY);
+  const rootOffsetX = root ? root.x * LAYOUT_X_SPACING : 0;
+  const rootOffsetY = root ? root.y * LAYOUT_Y_SPACING : 0;
+  const moves = [];
+
+  const place = (node, pos) => {
+    const target = {
+      x: pos.x * LAYOUT_X_SPACING - rootOffsetX,
+      y: -pos.y * LAYOUT_Y_SPACING + rootOffsetY,
+    };
+    if (animate && node.mesh.visible) {
+      moves.push({ node, from: { x: node.mesh.position.x, y: node.mesh.position.y } });
+      node.layoutTarget = target;
+    } else {
+      node.layoutTarget = null;
+      node.mesh.position.set(target.x, target.y, 1);
+    }
+    visible.add(node.id);
+  };
+
+  layout.positions.forEach((pos, modulePath) => {
+    const node = state.nodes.get(`module:${modulePath}`);
+    if (node) {
+      place(node, pos);
+    }
+  });
+  layout.entities.forEach((pos, nodeId) => {
+    const node = ensureEntityNode(nodeId);
+    if (node) {
+      place(node, pos);
+    }
+  });
+
+  state.nodes.forEach((node) => {
+    node.mesh.visible = visible.has(node.id);
+    if (!node.mesh.visible) {
+      node.layoutTarget = null;
+    }
+  });
+
+  state.edges = layout.edges;
+  state.memberEdges = layout.memberEdges;
+  if (moves.length > 0) {
+    // Rebuilding the edges every frame is too slow for the larger graphs.
+    layoutTween = { moves, start: performance.now(), duration: LAYOUT_TWEEN_MS };
+    [treeEdgeGroup, depEdgeGroup, entityEdgeGroup].forEach((group) => (group.visible = false));
+    applyHighlight();
+    return;
+  }
+  layoutTween = null;
+  [treeEdgeGroup, depEdgeGroup, entityEdgeGroup].forEach((group) => (group.visible = true));
+  rebuildEdges();
+}
+
+function finishLayoutTween() {
+  layoutTween.moves.forEach(({ node }) => {
+    if (node.layoutTarget) {
+      node.mesh.position.set(node.layoutTarget.x, node.layoutTarget.y, 1);
+      node.layoutTarget = null;
+    }
+  });
+  layoutTween = null;
+  [treeEdgeGroup, depEdgeGroup, entityEdgeGroup].forEach((group) => (group.visible = true));
+  rebuildEdges();
+}
+
+function nodePosition(node) {
+  return node.layoutTarget || node.mesh.position;
+}
+
+function computeLayout() {
+  if (state.isolate) {
+    return isolateMode.layout();
+  }
+  const tree = layoutTree();
+  if (state.layoutMode === "tree") {
+    return tree;
+  }
+  const layout = dependencyLayout(tree, {
+    mode: state.layoutMode,
+    graph: state.graph,
+    expanded: state.expandedModules,
+    moduleDeps: state.moduleDeps,
+    ownsEntities: (modulePath) => moduleInternals(modulePath).entities.length > 0,
+    initial: state.forcePositions,
+  });
+  if (state.layoutMode === "force") {
+    state.forcePositions = layout.placed;
+  }
+  return layout;
+}
+
+function setLayoutMode(mode) {
+  if (!LAYOUT_MODES.includes(mode) || mode === state.layoutMode) {
+    return;
+  }
+  state.layoutMode = mode;
+  state.forcePositions = null;
+  if (layoutSelect) {
+    layoutSelect.value = mode;
+  }
+  updateGraph();
+  frameNodes(Array.from(state.nodes.values()));
+}
+
+function rebuildEdges() {
+  const treeSpecs = new Map();
+  state.edges.forEach(([from, to]) => {
+    const fromNode = state.nodes.get(`module:${from}`);
+    const toNode = state.nodes.get(`module:${to}`);
+    if (!fromNode || !toNode || !fromNode.mesh.visible || !toNode.mesh.visible) {
+      return;
+    }
+    treeSpecs.set(`${fromNode.id}->${toNode.id}`, {
+      points: [fromNode.mesh.position, toNode.mesh.position],
+      radius: 0.45,
+      color: palette.edge,
+      userData: { from: fromNode.id, to: toNode.id },
+    });
+  });
+
+  const depSpecs = new Map();
+  const { deps: visibleDeps, objects: edgeObjects, pairs: edgePairs } = buildVisibleModuleDeps();
+  visibleDeps.forEach((deps, modulePath) => {
+    if (modulePath === ROOT_KEY || !state.graph.modules[modulePath]) {
+      return;
+    }
+    deps.forEach((dep) => {
+      if (dep === ROOT_KEY || !state.graph.modules[dep]) {
+        return;
+      }
+      const fromNode = state.nodes.get(`module:${modulePath}`);
+      const toNode = state.nodes.get(`module:${dep}`);
+      if (!fromNode || !toNode || !fromNode.mesh.visible || !toNode.mesh.visible) {
+        return;
+      }
+      const key = `${modulePath}->${dep}`;
+      const diffStatus = edgeDiffStatus(edgePairs.get(key));
+      const violations = layeringView.edgeViolations(edgePairs.get(key));
+      depSpecs.set(key, {
+        points: curveAnchors(fromNode.mesh.position, toNode.mesh.position, curveBias(key)),
+        radius: 0.5,
+        color: violations.length > 0 ? palette.violation : palette[diffStatus] || palette.depEdge,
+        userData: {
+          from: fromNode.id,
+          to: toNode.id,
+          kind: "dep",
+          fromModule: modulePath,
+          toModule: dep,
+          objects: edgeObjects.get(key) || [],
+          pairs: edgePairs.get(key) || [],
+          diffStatus,
+          violations,
+        },
+      });
+    });
+  });
+
+  const entitySpecs = new Map();
+  state.entityEdges = state.showInternals ? buildEntityEdges() : [];
+  state.entityEdges.forEach((edge) => {
+    const fromNode = state.nodes.get(edge.from);
+    const toNode = state.nodes.get(edge.to);
+    entitySpecs.set(`${edge.from}|${edge.to}|${edge.kind}`, {
+      points: [fromNode.mesh.position, toNode.mesh.position],
+      radius: edge.kind === "member" ? 0.2 : 0.3,
+      color: palette[edge.kind] || palette.depends,
+      userData: { from: edge.from, to: edge.to, kind: "entity", relation: edge.kind },
+    });
+  });
+
+  treeEdges.sync(treeSpecs);
+  depEdges.sync(depSpecs);
+  entityEdges.sync(entitySpecs);
+  applyHighlight();
+}
+
+function forEachEdge(callback) {
+  [treeEdges, depEdges, entityEdges].forEach((batch) => {
+    batch.edges.forEach((edge) => callback(edge, batch));
+  });
+}
+
+function buildEntityEdges() {
+  const edges = [];
+  const seen = new Set();
+  const visibleCache = new Map();
+  const add = (from, to, kind) => {
+    if (!from || !to || from === to) {
+      return;
+    }
+    const key = `${from}|${to}|${kind}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    edges.push({ from, to, kind });
+  };
+  const visibleEntity = (graphId) => {
+    const node = state.nodes.get(entityNodeId(graphId));
+    return node && node.mesh.visible ? node.id : "";
+  };
+  const visibleModule = (graphId) => {
+    const modulePath = resolveVisibleModule(moduleForNodeId(graphId, state.graph), visibleCache);
+    return modulePath === ROOT_KEY ? "" : `module:${modulePath}`;
+  };
+
+  state.memberEdges.forEach(([from, to]) => add(from, to, "member"));
+  (state.graph.edges || []).forEach((edge) => {
+    if (!ENTITY_EDGE_KINDS.includes(edge.kind)) {
+      return;
+    }
+    const from = visibleEntity(edge.from);
+    const to = visibleEntity(edge.to);
+    if (!from && !to) {
+      return;
+    }
+    add(from || visibleModule(edge.from), to || visibleModule(edge.to), edge.kind);
+  });
+  return edges;
+}
+
+function resolveVisibleModule(modulePath, cache) {
+  if (!modulePath || modulePath === ROOT_KEY) {
+    return ROOT_KEY;
+  }
+  if (cache.has(modulePath)) {
+    return cache.get(modulePath);
+  }
+  if (state.isolate) {
+    const { modulePath: center, subtree, depths } = state.isolate;
+    const visible = subtree.has(modulePath) ? center : depths.has(modulePath) ? modulePath : ROOT_KEY;
+    cache.set(modulePath, visible);
+    return visible;
+  }
+  if (state.moduleFilter && !state.moduleFilter.visible.has(modulePath)) {
+    cache.set(modulePath, ROOT_KEY);
+    return ROOT_KEY;
+  }
+  let current = modulePath;
+  while (current) {
+    const node = state.nodes.get(`module:${current}`);
+    if (node && node.mesh.visible) {
+      cache.set(modulePath, current);
+      return current;
+    }
+    const parent = state.graph.modules[current]?.parent || "";
+    if (!parent || parent === current) {
+      break;
+    }
+    current = parent;
+  }
+  cache.set(modulePath, ROOT_KEY);
+  return ROOT_KEY;
+}
+
+function buildVisibleModuleDeps() {
+  const visibleDeps = new Map();
+  const objectsByEdge = new Map();
+  const pairsByEdge = new Map();
+  const visibleCache = new Map();
+
+  const resolveVisible = (modulePath) => resolveVisibleModule(modulePath, visibleCache);
+
+  state.moduleDepObjects.forEach((providers, consumer) => {
+    const fromVisible = resolveVisible(consumer);
+    if (!fromVisible || fromVisible === ROOT_KEY) {
+      return;
+    }
+    providers.forEach((objects, provider) => {
+      const toVisible = resolveVisible(provider);
+      if (!toVisible || toVisible === ROOT_KEY || toVisible === fromVisible) {
+        return;
+      }
+      if (!visibleDeps.has(fromVisible)) {
+        visibleDeps.set(fromVisible, new Set());
+      }
+      visibleDeps.get(fromVisible).add(toVisible);
+      const edgeKey = `${fromVisible}->${toVisible}`;
+      if (!objectsByEdge.has(edgeKey)) {
+        objectsByEdge.set(edgeKey, new Set());
+        pairsByEdge.set(edgeKey, []);
+      }
+      objects.forEach((label) => objectsByEdge.get(edgeKey).add(label));
+      pairsByEdge.get(edgeKey).push(`${consumer}->${provider}`);
+    });
+  });
+
+  const objects = new Map();
+  objectsByEdge.forEach((set, key) => {
+    const list = Array.from(set);
+    list.sort();
+    objects.set(key, list);
+  });
+
+  return { deps: visibleDeps, objects, pairs: pairsByEdge };
+}
+
+function curveAnchors(fromPos, toPos, bias) {
+  const start = { x: fromPos.x, y: fromPos.y };
+  const end = { x: toPos.x, y: toPos.y };
+  const control = curveControl(start, end, bias);
+  return control ? [start, control, end] : [start, end];
+}
+
+function updateGraph() {
+  const layout = computeLayout();
+  const arrangement = state.isolate ? "isolate" : state.layoutMode;
+  const animate = arrangement !== "tree" || shownArrangement !== "tree";
+  shownArrangement = arrangement;
+  applyLayout(layout, animationStarted && animate);
+  buildModuleList();
+  scheduleLocationSync();
+}
+
+function buildModuleList() {
+  const list = moduleList || document.getElementById("module-list");
+  const previousScroll = list ? list.scrollTop : 0;
+  list.innerHTML = "";
+
+  const filter = state.isolate ? null : state.moduleFilter;
+  const shown = (path) => !filter || filter.visible.has(path);
+  const buildTreeRow = (path, depth) => {
+    const module = state.graph.modules[path];
+    const row = document.createElement("div");
+    row.className = `module-row${filter && filter.matches.has(path) ? " filter-match" : ""}`;
+    row.dataset.module = path;
+    row.setAttribute("role", "treeitem");
+    row.setAttribute("aria-level", String(depth + 1));
+    row.style.marginLeft = `${12 + depth * 12}px`;
+
+    const label = document.createElement("div");
+    label.className = "module-label";
+
+    const title = document.createElement("div");
+    title.className = "module-title";
+    title.textContent = moduleDisplayName(path);
+
+    const desc = document.createElement("div");
+    desc.className = "module-desc";
+    desc.textContent = state.isolate ? isolateMode.role(path) : module.description || "";
+
+    label.appendChild(title);
+    if (desc.textContent) {
+      label.appendChild(desc);
+    }
+
+    const badge = document.createElement("div");
+    badge.className = "badge";
+    const hasChildren = (state.graph.modules[path].children || []).length > 0;
+    const isOpen = state.expandedModules.has(path);
+    const expandable = isExpandableModule(path);
+    badge.textContent = expandable ? (isOpen ? "▾" : "▸") : "•";
+    if (expandable) {
+      row.setAttribute("aria-expanded", String(isOpen));
+    }
+
+    row.appendChild(label);
+    row.appendChild(badge);
+
+    row.addEventListener("click", (event) => {
+      event.stopPropagation();
+      if (isMultiSelectClick(event)) {
+        toggleMultiSelect(path);
+        return;
+      }
+      activateModule(path);
+    });
+
+    list.appendChild(row);
+
+    const isExpanded = state.expandedModules.has(path);
+    if (hasChildren && isExpanded && !state.isolate) {
+      const children = state.graph.modules[path].children || [];
+      children.filter(shown).forEach((child) => buildTreeRow(child, depth + 1));
+    }
+  };
+
+  if (state.isolate) {
+    const { depths } = state.isolate;
+    Array.from(depths.keys())
+      .sort((a, b) => depths.get(a) - depths.get(b) || a.localeCompare(b))
+      .forEach((path) => buildTreeRow(path, 0));
+  } else {
+    const roots = state.graph.rootModules || [];
+    roots.filter(shown).forEach((path) => buildTreeRow(path, 0));
+  }
+  if (filter && filter.matches.size === 0) {
+    list.innerHTML = '<div class="muted module-filter-empty">No modules match the filter.</div>';
+  }
+  renderModuleFilterCount();
+
+  if (list) {
+    list.scrollTop = previousScroll;
+  }
+  syncModuleListSelection(false);
+}
+
+function computeModuleFilter(query) {
+  const text = (query || "").trim();
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!state.graph || terms.length === 0) {
+    return null;
+  }
+  const matches = new Set();
+  Object.entries(state.graph.modules).forEach(([path, module]) => {
+    const haystack = `${path} ${module.description || ""}`.toLowerCase();
+    if (terms.every((term) => haystack.includes(term))) {
+      matches.add(path);
+    }
+  });
+  const visible = new Set();
+  matches.forEach((path) => {
+    state.query.moduleSubtree(path).forEach((member) => visible.add(member));
+    let parent = state.graph.modules[path].parent || "";
+    while (parent && state.graph.modules[parent] && !visible.has(parent)) {
+      visible.add(parent);
+      parent = state.graph.modules[parent].parent || "";
+    }
+  });
+  const modules = {};
+  visible.forEach((path) => {
+    const module = state.graph.modules[path];
+    modules[path] = {
+      ...module,
+      children: (module.children || []).filter((child) => visible.has(child)),
+    };
+  });
+  return { query: text, matches, visible, modules, autoExpanded: new Set() };
+}
+
+function setModuleFilter(query) {
+  const previous = state.moduleFilter;
+  if (previous) {
+    previous.autoExpanded.forEach((path) => state.expandedModules.delete(path));
+  }
+  const filter = computeModuleFilter(query);
+  if (filter) {
+    filter.matches.forEach((path) => {
+      const parent = state.graph.modules[path].parent || "";
+      const before = new Set(state.expandedModules);
+      expandModulePath(parent);
+      state.expandedModules.forEach((expanded) => {
+        if (!before.has(expanded)) {
+          filter.autoExpanded.add(expanded);
+        }
+      });
+    });
+  }
+  state.moduleFilter = filter;
+  updateGraph();
+}
+
+function renderModuleFilterCount() {
+  if (!moduleFilterCount) {
+    return;
+  }
+  const filter = state.moduleFilter;
+  moduleFilterCount.hidden = !filter;
+  if (filter) {
+    const count = filter.matches.size;
+    moduleFilterCount.textContent = `${count} module${count === 1 ? "" : "s"} match`;
+  }
+}
+
+function setupModuleFilter() {
+  if (!moduleFilterInput) {
+    return;
+  }
+  let timer = null;
+  moduleFilterInput.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      setModuleFilter(moduleFilterInput.value);
+    }, MODULE_FILTER_DELAY);
+  });
+  moduleFilterInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      clearTimeout(timer);
+      setModuleFilter(moduleFilterInput.value);
+      const first = moduleRowPaths().find((path) => state.moduleFilter?.matches.has(path));
+      if (first) {
+        focusModulePath(first);
+      }
+    } else if (event.key === "Escape") {
+      clearTimeout(timer);
+      moduleFilterInput.value = "";
+      setModuleFilter("");
+      moduleFilterInput.blur();
+    }
+  });
+}
+
+function isExpandableModule(path) {
+  const hasChildren = (state.graph.modules[path].children || []).length > 0;
+  return hasChildren || (state.showInternals && moduleInternals(path).entities.length > 0);
+}
+
+function activateModule(path) {
+  pushHistory();
+  if (isExpandableModule(path)) {
+    toggleModule(path);
+  } else {
+    state.expandedModules.add(path);
+    updateGraph();
+  }
+  focusModule(path);
+}
+
+function syncModuleListSelection(reveal) {
+  if (!moduleList) {
+    return;
+  }
+  const modulePath = selectedModulePath();
+  let selectedRow = null;
+  moduleList.querySelectorAll(".module-row").forEach((row) => {
+    const path = row.dataset.module;
+    const selected = path === modulePath || state.multiSelect.includes(path);
+    row.classList.toggle("selected", selected);
+    row.setAttribute("aria-selected", String(selected));
+    if (selected) {
+      selectedRow = row;
+    }
+  });
+  if (reveal && selectedRow && selectedRow.scrollIntoView) {
+    selectedRow.scrollIntoView({ block: "nearest" });
+  }
+}
+
+function selectedModulePath() {
+  const node = state.selectedId ? state.nodes.get(state.selectedId) : null;
+  if (!node || node.modulePath === ROOT_KEY) {
+    return "";
+  }
+  return node.modulePath || "";
+}
+
+function setupObjectSearch() {
+  if (!objectQuery || !objectResults) {
+    return;
+  }
+  objectQuery.addEventListener("input", () => {
+    renderSearchResults(objectQuery.value);
+    scheduleLocationSync();
+  });
+  objectQuery.addEventListener("keydown", (event) => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      moveSearchActive(event.key === "ArrowDown" ? 1 : -1);
+    } else if (event.key === "Enter") {
+      const active = objectResults.querySelector(".object-result.active");
+      if (active) {
+        active.click();
+      }
+    } else if (event.key === "Escape") {
+      objectQuery.blur();
+    }
+  });
+  [searchVisibility, searchKind, searchGrouped, searchOptional].forEach((control) => {
+    if (control) {
+      control.addEventListener("change", () => renderSearchResults(objectQuery.value));
+    }
+  });
+  objectResults.addEventListener("click", (event) => {
+    const page = event.target.closest("[data-search-page]");
+    if (!page) {
+      return;
+    }
+    state.searchLimit =
+      page.dataset.searchPage === "all"
+        ? state.searchMatches.length
+        : state.searchLimit + SEARCH_PAGE_SIZE;
+    renderSearchPage();
+  });
+  renderSearchResults("");
+}
+
+function searchFilters() {
+  return {
+    visibility: searchVisibility ? searchVisibility.value : "",
+    kind: searchKind ? searchKind.value : "",
+    grouped: Boolean(searchGrouped && searchGrouped.checked),
+    optionalOnly: Boolean(searchOptional && searchOptional.checked),
+  };
+}
+
+function searchFilterActive(filters) {
+  return Boolean(filters.visibility || filters.kind || filters.grouped || filters.optionalOnly);
+}
+
+function passesSearchFilters(entry, filters) {
+  if (filters.visibility === "private" && !entry.isPrivate) {
+    return false;
+  }
+  if (filters.visibility === "exported" && entry.isPrivate) {
+    return false;
+  }
+  if (filters.kind && entry.kind !== filters.kind) {
+    return false;
+  }
+  if (filters.grouped && !entry.grouped) {
+    return false;
+  }
+  if (filters.optionalOnly && !entry.optionalOnly) {
+    return false;
+  }
+  return true;
+}
+
+function fuzzyMatch(text, lower, token) {
+  const start = lower.indexOf(token);
+  if (start !== -1) {
+    let score = 100 + token.length * 4 - (lower.length - token.length) * 0.1;
+    if (start === 0) {
+      score += 30;
+    } else if (isWordBoundary(text, start)) {
+      score += 15;
+    }
+    const indices = [];
+    for (let i = 0; i < token.length; i += 1) {
+      indices.push(start + i);
+    }
+    return { score, indices };
+  }
+  let score = 0;
+  let last = -1;
+  const indices = [];
+  for (const char of token) {
+    const index = lower.indexOf(char, last + 1);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === last + 1) {
+      score += 4;
+    }
+    if (isWordBoundary(text, index)) {
+      score += 3;
+    }
+    score -= (index - last - 1) * 0.05;
+    indices.push(index);
+    last = index;
+  }
+  return { score, indices };
+}
+
+function isWordBoundary(text, index) {
+  if (index === 0) {
+    return true;
+  }
+  const prev = text[index - 1];
+  const char = text[index];
+  if (!/[a-z0-9]/i.test(prev)) {
+    return true;
+  }
+  return char !== char.toLowerCase() && prev === prev.toLowerCase();
+}
+
+function matchSearchEntry(entry, tokens) {
+  let total = 0;
+  const spans = new Map();
+  for (const token of tokens) {
+    let best = null;
+    entry.fields.forEach((field) => {
+      const match = fuzzyMatch(field.text, field.lower, token);
+      if (!match) {
+        return;
+      }
+      const score = match.score * SEARCH_FIELD_WEIGHTS[field.key];
+      if (!best || score > best.score) {
+        best = { score, key: field.key, indices: match.indices };
+      }
+    });
+    if (!best) {
+      return null;
+    }
+    total += best.score;
+    if (!spans.has(best.key)) {
+      spans.set(best.key, new Set());
+    }
+    best.indices.forEach((index) => spans.get(best.key).add(index));
+  }
+  return { score: total, spans };
+}
+
+function renderSearchResults(query) {
+  if (!objectResults) {
+    return;
+  }
+  const tokens = (query || "").trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const filters = searchFilters();
+  state.searchMatches = [];
+  state.searchActive = 0;
+  state.searchLimit = SEARCH_PAGE_SIZE;
+  if (tokens.length === 0 && !searchFilterActive(filters)) {
+    objectResults.innerHTML =
+      '<div class="muted">Type to search objects, constructors, invokers and flags.</div>';
+    return;
+  }
+  state.searchEntries.forEach((entry) => {
+    if (!passesSearchFilters(entry, filters)) {
+      return;
+    }
+    const match = tokens.length > 0 ? matchSearchEntry(entry, tokens) : { score: 0, spans: new Map() };
+    if (match) {
+      state.searchMatches.push({ entry, ...match });
+    }
+  });
+  state.searchMatches.sort((a, b) => b.score - a.score);
+  renderSearchPage();
+}
+
+function renderSearchPage() {
+  objectResults.innerHTML = "";
+  const matches = state.searchMatches;
+  if (matches.length === 0) {
+    objectResults.innerHTML = '<div class="muted">No matches.</div>';
+    return;
+  }
+  matches.slice(0, state.searchLimit).forEach((match, index) => {
+    const { entry } = match;
+    const row = document.createElement("button");
+    row.type = "button";
+    row.className = `object-result${entry.isPrivate ? " private" : ""}${
+      index === state.searchActive ? " active" : ""
+    }`;
+    row.innerHTML = `
+      <div class="object-result-title">${searchResultTitle(match)}</div>
+      <div class="object-result-module">${searchResultSubtitle(match)}</div>
+    `;
+    row.addEventListener("click", () => {
+      state.searchActive = index;
+      if (entry.kind === "object") {
+        focusModulePath(entry.modulePath);
+      } else if (entry.kind === "flag") {
+        setPanelView("config");
+        selectConfig(entry.signature);
+      } else {
+        focusEntity(entry.id);
+      }
+    });
+    objectResults.appendChild(row);
+  });
+  if (matches.length > state.searchLimit) {
+    const remaining = matches.length - state.searchLimit;
+    const more = document.createElement("div");
+    more.className = "object-results-more muted";
+    more.innerHTML = `
+      Showing ${state.searchLimit} of ${matches.length} matches.
+      <button type="button" data-search-page="next">Next ${Math.min(
+        remaining,
+        SEARCH_PAGE_SIZE
+      )}</button>
+      <button type="button" data-search-page="all">Show all</button>
+    `;
+    objectResults.appendChild(more);
+  }
+}
+
+function searchResultTitle({ entry, spans }) {
+  const field = (key) => highlightMatches(entry.fields.find((f) => f.key === key)?.text || "", spans.get(key));
+  if (entry.kind === "flag") {
+    return `<span class="object-result-kind">flag</span> --${field("flag")}`;
+  }
+  if (entry.kind !== "object") {
+    const kindLabel = entry.kind === "constructor" ? "ctor" : "invoke";
+    return `<span class="object-result-kind">${kindLabel}</span> ${field("function")}`;
+  }
+  let title = field("type");
+  if (entry.fields.some((f) => f.key === "name")) {
+    title += ` (name=${field("name")})`;
+  }
+  if (entry.fields.some((f) => f.key === "group")) {
+    title += ` [group=${field("group")}]`;
+  }
+  return title;
+}
+
+function searchResultSubtitle({ entry, spans }) {
+  const module = highlightMatches(entry.modulePath, spans.get("module"));
+  if (entry.kind === "object") {
+    return module;
+  }
+  if (entry.kind === "flag") {
+    return `${highlightMatches(entry.type, spans.get("type"))} · ${module}`;
+  }
+  const file = highlightMatches(entry.file, spans.get("file"));
+  return module ? `${module} · ${file}` : file;
+}
+
+function highlightMatches(text, indices) {
+  if (!indices || indices.size === 0) {
+    return escapeHtml(text);
+  }
+  let html = "";
+  let run = "";
+  for (let i = 0; i <= text.length; i += 1) {
+    if (i < text.length && indices.has(i)) {
+      run += text[i];
+      continue;
+    }
+    if (run) {
+      html += `<mark>${escapeHtml(run)}</mark>`;
+      run = "";
+    }
+    if (i < text.length) {
+      html += escapeHtml(text[i]);
+    }
+  }
+  return html;
+}
+
+function moveSearchActive(delta) {
+  const rows = objectResults.querySelectorAll(".object-result");
+  if (rows.length === 0) {
+    return;
+  }
+  const next = Math.max(0, Math.min(rows.length - 1, state.searchActive + delta));
+  if (next === rows.length - 1 && delta > 0 && state.searchLimit < state.searchMatches.length) {
+    state.searchLimit += SEARCH_PAGE_SIZE;
+    state.searchActive = next;
+    renderSearchPage();
+  } else {
+    rows[state.searchActive]?.classList.remove("active");
+    rows[next].classList.add("active");
+    state.searchActive = next;
+  }
+  const active = objectResults.querySelectorAll(".object-result")[state.searchActive];
+  if (active && active.scrollIntoView) {
+    active.scrollIntoView({ block: "nearest" });
+  }
+}
+
+function toggleModule(path) {
+  if (!path || path === ROOT_KEY) {
+    return;
+  }
+  if (state.expandedModules.has(path)) {
+    state.expandedModules.delete(path);
+    tweenZoomTo(DEFAULT_ZOOM);
+  } else {
+    state.expandedModules.add(path);
+    tweenZoomTo(DEFAULT_ZOOM * 0.92);
+  }
+  updateGraph();
+}
+
+function captureViewState() {
+  const target = cameraTarget();
+  return {
+    selectedId: state.selectedId,
+    expandedModules: Array.from(state.expandedModules),
+    camera: {
+      x: target.x,
+      y: target.y,
+      zoom: target.zoom,
+    },
+    query: objectQuery ? objectQuery.value : "",
+    filter: state.moduleFilter ? state.moduleFilter.query : "",
+    showInternals: state.showInternals,
+    layout: state.layoutMode,
+  };
+}
+
+function cameraTarget() {
+  return {
+    x: panTween ? panTween.to.x : camera.position.x,
+    y: panTween ? panTween.to.y : camera.position.y,
+    zoom: zoomTween ? zoomTween.to : camera.zoom,
+  };
+}
+
+function restoreViewState(snapshot) {
+  if (!snapshot) {
+    return;
+  }
   state.historyLocked = true;
-  state.expandedModules = new Set(snapshot.expandedModules || []);
+  zoomTween = null;
+  panTween = null;
+  if (layoutTween) {
+    finishLayoutTween();
+  }
+  if (typeof snapshot.showInternals === "boolean") {
+    setShowInternals(snapshot.showInternals);
+  }
+  if (snapshot.layout && snapshot.layout !== state.layoutMode) {
+    state.layoutMode = snapshot.layout;
+    state.forcePositions = null;
+    if (layoutSelect) {
+      layoutSelect.value = snapshot.layout;
+    }
+  }
+  state.expandedModules = new Set(
+    (snapshot.expandedModules || []).filter((path) => state.graph.modules[path])
+  );
+  if (typeof snapshot.filter === "string") {
+    if (moduleFilterInput) {
+      moduleFilterInput.value = snapshot.filter;
+    }
+    state.moduleFilter = computeModuleFilter(snapshot.filter);
+  }
+  updateGraph();
+  if (snapshot.selectedId && state.nodes.has(snapshot.selectedId)) {
+    setSelected(snapshot.selectedId);
+  } else {
+    setSelected(null);
+  }
+  if (snapshot.camera) {
+    camera.position.set(snapshot.camera.x || 0, snapshot.camera.y || 0, 200);
+    camera.zoom = snapshot.camera.zoom || DEFAULT_ZOOM;
+    camera.updateProjectionMatrix();
+  }
+  if (objectQuery && typeof snapshot.query === "string" && objectQuery.value !== snapshot.query) {
+    objectQuery.value = snapshot.query;
+    renderSearchResults(snapshot.query);
+  }
+  state.historyLocked = false;
+}
+
+function pushHistory() {
+  if (state.historyLocked) {
+    return;
+  }
+  const snapshot = captureViewState();
+  const last = state.history[state.history.length - 1];
+  if (last && last.selectedId === snapshot.selectedId) {
+    return;
+  }
+  writeLocation(snapshot, false);
+  state.history.push(snapshot);
+  state.locationPushPending = true;
+  scheduleLocationSync();
+  updateBackButton();
+}
+
+function updateBackButton() {
+  if (!navBackButton) {
+    return;
+  }
+  navBackButton.disabled = state.history.length === 0;
+}
+
+function encodeViewState(snapshot) {
+  const params = [];
+  const selected = modulePathFromId(snapshot.selectedId);
+  if (selected) {
+    params.push(["module", selected]);
+  }
+  const expanded = (snapshot.expandedModules || []).slice().sort();
+  if (expanded.length > 0) {
+    params.push(["expanded", expanded.join(",")]);
+  }
+  if (snapshot.camera) {
+    params.push([
+      "camera",
+      [
+        snapshot.camera.x.toFixed(1),
+        snapshot.camera.y.toFixed(1),
+        snapshot.camera.zoom.toFixed(3),
+      ].join(","),
+    ]);
+  }
+  if (snapshot.query) {
+    params.push(["q", snapshot.query]);
+  }
+  if (snapshot.filter) {
+    params.push(["filter", snapshot.filter]);
+  }
+  if (snapshot.showInternals) {
+    params.push(["internals", "1"]);
+  }
+  if (snapshot.layout && snapshot.layout !== "tree") {
+    params.push(["layout", snapshot.layout]);
+  }
+  return params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%2C/gi, ",")}`)
+    .join("&");
+}
+
+function decodeViewState(hash) {
+  const raw = (hash || "").replace(/^#/, "");
+  if (!raw) {
+    return null;
+  }
+  const params = new URLSearchParams(raw);
+  const isKnownModule = (path) => path === ROOT_KEY || Boolean(state.graph.modules[path]);
+  const snapshot = {
+    selectedId: null,
+    expandedModules: (params.get("expanded") || "")
+      .split(",")
+      .filter((path) => path && state.graph.modules[path]),
+    camera: null,
+    query: params.get("q") || "",
+    filter: params.get("filter") || "",
+    showInternals: params.get("internals") === "1",
+    layout: LAYOUT_MODES.includes(params.get("layout")) ? params.get("layout") : "tree",
+  };
+  const selected = params.get("module") || "";
+  if (selected && isKnownModule(selected)) {
+    snapshot.selectedId = `module:${selected}`;
+  }
+  const [x, y, zoom] = (params.get("camera") || "").split(",").map(Number);
+  if ([x, y, zoom].every((value) => Number.isFinite(value))) {
+    snapshot.camera = { x, y, zoom: Math.min(2.5, Math.max(0.4, zoom)) };
+  }
+  return snapshot;
+}
+
+function modulePathFromId(id) {
+  if (!id || !id.startsWith("module:")) {
+    return "";
+  }
+  return id.slice("module:".length);
+}
+
+function writeLocation(snapshot, push) {
+  locationSearch = window.location.search;
+  const url = `${window.location.pathname}${locationSearch}#${encodeViewState(snapshot)}`;
+  const entry = {
+    hiveIndex: state.history.length,
+    hiveGraph: graphSourceKey(state.graphSource),
+    view: snapshot,
+    trail: state.history.slice(),
+  };
+  if (push) {
+    window.history.pushState(entry, "", url);
+  } else {
+    window.history.replaceState(entry, "", url);
+  }
+}
+
+function scheduleLocationSync() {
+  if (state.historyLocked || !state.graph) {
+    return;
+  }
+  clearTimeout(locationSyncTimer);
+  locationSyncTimer = setTimeout(
+    syncLocation,
+    state.locationPushPending ? 0 : LOCATION_SYNC_DELAY
+  );
+}
+
+function syncLocation() {
+  locationSyncTimer = null;
+  const push = state.locationPushPending;
+  state.locationPushPending = false;
+  writeLocation(captureViewState(), push);
+}
+
+function navigateBack() {
+  if (state.history.length === 0) {
+    return;
+  }
+  clearTimeout(locationSyncTimer);
+  if (state.locationPushPending) {
+    syncLocation();
+  }
+  window.history.back();
+}
+
+function handlePopState(event) {
+  if (!state.graph) {
+    return;
+  }
+  clearTimeout(locationSyncTimer);
+  state.locationPushPending = false;
+  const entry = event.state;
+  if (!entry || typeof entry.hiveIndex !== "number") {
+    // A hand-edited hash is a new browser entry on top of the current one.
+    const snapshot = decodeViewState(window.location.hash);
+    state.history.push(captureViewState());
+    restoreViewState(snapshot);
+    writeLocation(captureViewState(), false);
+    updateBackButton();
+    return;
+  }
+  if (entry.hiveGraph !== graphSourceKey(state.graphSource)) {
+    // An entry of a previously loaded graph: keep the view, restart history.
+    window.history.replaceState(null, "", `${window.location.pathname}${locationSearch}`);
+    state.history = [];
+    writeLocation(captureViewState(), false);
+    updateBackButton();
+    return;
+  }
+  state.history = historyTrail(entry);
+  restoreViewState(entry.view || decodeViewState(window.location.hash));
+  updateBackButton();
+}
+
+function historyTrail(entry) {
+  return Array.isArray(entry.trail) ? entry.trail.slice(0, entry.hiveIndex) : [];
+}
+
+function restoreInitialLocation() {
+  const stored = window.history.state;
+  const entry =
+    stored && stored.hiveGraph === graphSourceKey(state.graphSource) ? stored : null;
+  const snapshot =
+    entry && entry.view ? entry.view : decodeViewState(window.location.hash);
+  if (snapshot) {
+    restoreViewState(snapshot);
+  }
+  state.history = entry && typeof entry.hiveIndex === "number" ? historyTrail(entry) : [];
+  updateBackButton();
+  writeLocation(captureViewState(), false);
+}
+
+function expandModulePath(path) {
+  if (!path || path === ROOT_KEY) {
+    return;
+  }
+  let current = path;
+  while (current && current !== ROOT_KEY) {
+    state.expandedModules.add(current);
+    const parent = state.graph.modules[current]?.parent || "";
+    if (!parent || parent === current) {
+      break;
+    }
+    current = parent;
+  }
+}
+
+function focusModulePath(path) {
+  if (!path) {
+    return;
+  }
+  pushHistory();
+  expandModulePath(path);
   updateGraph();
-  if (snapshot.selectedId) {
-    setSelected(snapshot.selectedId);
+  focusModule(path);
+}
+
+function focusEntity(graphId) {
+  const modulePath = moduleForNodeId(graphId, state.graph);
+  pushHistory();
+  setShowInternals(true);
+  if (modulePath && state.graph.modules[modulePath]) {
+    expandModulePath(modulePath);
+  }
+  updateGraph();
+  const node = state.nodes.get(entityNodeId(graphId));
+  if (node && node.mesh.visible) {
+    tweenZoomTo(1.02);
+    panTo(nodePosition(node));
+    pulseNode(node);
+    setSelected(node.id);
+    return;
+  }
+  if (modulePath && state.graph.modules[modulePath]) {
+    focusModule(modulePath);
+  }
+}
+
+function setShowInternals(show) {
+  state.showInternals = show;
+  if (internalsButton) {
+    internalsButton.textContent = show ? "Hide Internals" : "Show Internals";
+  }
+}
+
+function focusObjectBySignature(signature) {
+  if (!signature) {
+    return;
+  }
+  const modules = state.query.providersOf(signature);
+  if (modules.length === 0) {
+    return;
+  }
+  focusModulePath(modules[0]);
+}
+
+function setSelected(id, multi = []) {
+  state.selectedId = id;
+  state.multiSelect = multi;
+  state.selectedEdge = null;
+  applyHighlight();
+  renderDetails();
+  syncModuleListSelection(true);
+  renderMetricsView();
+  scheduleLocationSync();
+}
+
+function setHovered(id) {
+  if (state.hoveredId === id) {
+    return;
+  }
+  state.hoveredId = id;
+  applyHighlight();
+}
+
+function applyHighlight() {
+  const selected = state.selectedId;
+  const connected = new Set();
+
+  if (selected) {
+    state.edges.forEach(([from, to]) => {
+      const fromId = `module:${from}`;
+      const toId = `module:${to}`;
+      if (fromId === selected || toId === selected) {
+        connected.add(fromId);
+        connected.add(toId);
+      }
+    });
+    state.entityEdges.forEach(({ from, to }) => {
+      if (from === selected || to === selected) {
+        connected.add(from);
+        connected.add(to);
+      }
+    });
+  }
+
+  const emphasis = highlightEmphasis();
+  const heat = metricHeat();
+  state.nodes.forEach((node) => {
+    if (!node.mesh.visible) {
+      return;
+    }
+    const hotness = heat ? heat(node) : null;
+    const metricScale = hotness === null ? 1 : 1 + METRIC_SCALE_BOOST * hotness;
+    if (metricScale !== node.metricScale) {
+      node.metricScale = metricScale;
+      node.mesh.scale.set(node.baseScale.x * metricScale, node.baseScale.y * metricScale, 1);
+    }
+    if (selected && node.id === selected) {
+      node.mesh.material.color.set(palette.highlight);
+      node.mesh.material.opacity = 1;
+    } else if (emphasis && emphasis.nodes.has(node.id)) {
+      node.mesh.material.color.set((emphasis.colors && emphasis.colors.get(node.id)) || emphasis.color);
+      node.mesh.material.opacity = 1;
+    } else if (emphasis) {
+      node.mesh.material.color.set("white");
+      node.mesh.material.opacity = 0.35;
+    } else if (connected.has(node.id)) {
+      node.mesh.material.color.set(palette.connected);
+      node.mesh.material.opacity = 1;
+    } else if (hotness !== null) {
+      node.mesh.material.color.set("white").lerp(heatColor, hotness);
+      node.mesh.material.opacity = 1;
+    } else if (!node.entityId && layeringView.moduleViolates(node.modulePath)) {
+      node.mesh.material.color.set(palette.violation);
+      node.mesh.material.opacity = 1;
+    } else {
+      const diffStatus = node.entityId ? "" : moduleDiffStatus(node.modulePath);
+      node.mesh.material.color.set(palette[diffStatus] || "white");
+      node.mesh.material.opacity = diffStatus === "removed" ? 0.7 : 1;
+    }
+  });
+  if (state.liveFlash && state.liveFlash.on) {
+    state.liveFlash.nodes.forEach((id) => {
+      const node = state.nodes.get(id);
+      if (node && node.mesh.visible) {
+        node.mesh.material.color.set(palette.flash);
+        node.mesh.material.opacity = 1;
+      }
+    });
+  }
+
+  const edgeFocus = selected || state.hoveredId;
+  forEachEdge((edge, batch) => {
+    const { from, to, kind, diffStatus, violations } = edge.userData;
+    const onPath = emphasis && emphasis.hasEdge(edge.userData);
+    if (kind === "dep") {
+      const diffVisible = DIFF_STATUSES.includes(diffStatus) || violations.length > 0;
+      const ambient = state.layoutMode !== "tree" || Boolean(state.isolate);
+      if (!ambient && !onPath && !diffVisible && from !== edgeFocus && to !== edgeFocus) {
+        batch.setStyle(edge, { visible: false });
+        return;
+      }
+    }
+    let opacity = 0.25;
+    if (onPath) {
+      opacity = 0.95;
+    } else if (edgeFocus && (from === edgeFocus || to === edgeFocus)) {
+      opacity = 0.9;
+    } else if (kind === "dep" && state.layoutMode !== "tree" && !state.isolate) {
+      opacity = 0.15;
+    }
+    batch.setStyle(edge, { visible: true, opacity });
+  });
+  [treeEdges, depEdges, entityEdges].forEach((batch) => batch.flush());
+}
+
+const heatColor = new THREE.Color(palette.heat);
+
+function metricHeat() {
+  const key = state.metricColor;
+  if (!key) {
+    return null;
+  }
+  let max = 0;
+  state.nodes.forEach((node) => {
+    const metrics = !node.entityId && node.mesh.visible && state.moduleMetrics.get(node.modulePath);
+    if (metrics) {
+      max = Math.max(max, metrics[key]);
+    }
+  });
+  return (node) => {
+    const metrics = !node.entityId && state.moduleMetrics.get(node.modulePath);
+    if (!metrics) {
+      return null;
+    }
+    return max > 0 ? metrics[key] / max : 0;
+  };
+}
+
+function formatMetric(metric, value) {
+  return metric.percent ? `${Math.round(value * 100)}%` : String(value);
+}
+
+function renderModuleMetrics(modulePath) {
+  const metrics = state.moduleMetrics.get(modulePath);
+  if (!metrics) {
+    return "";
+  }
+  return `
+    <div class="details-section">
+      <div class="label">Metrics</div>
+      <div class="metric-grid">
+        ${MODULE_METRICS.map(
+          (metric) => `
+            <div class="details-chip metric-chip${metric.key === state.metricColor ? " active" : ""}">
+              <span class="metric-value">${formatMetric(metric, metrics[metric.key])}</span>
+              <span class="metric-label">${metric.label}</span>
+            </div>
+          `
+        ).join("")}
+      </div>
+    </div>
+  `;
+}
+
+function renderMetricsView() {
+  if (!metricsBody || !state.graph || state.panelView !== "metrics") {
+    return;
+  }
+  const { key, descending } = state.metricsSort;
+  const rows = Array.from(state.moduleMetrics.entries()).sort(([pathA, a], [pathB, b]) => {
+    if (key === "module") {
+      return descending ? pathB.localeCompare(pathA) : pathA.localeCompare(pathB);
+    }
+    return (descending ? b[key] - a[key] : a[key] - b[key]) || pathA.localeCompare(pathB);
+  });
+  const selected = selectedModulePath();
+  const header = (column, label, title) => {
+    const sorted = column === key;
+    const arrow = sorted ? (descending ? " ▾" : " ▴") : "";
+    return `<th><button type="button" class="metrics-sort${
+      sorted ? " active" : ""
+    }" data-metric-sort="${column}" title="${escapeHtml(title)}">${label}${arrow}</button></th>`;
+  };
+  const previousScroll = detailsPanel ? detailsPanel.scrollTop : 0;
+  metricsBody.innerHTML = `
+    <table class="metrics-table">
+      <thead>
+        <tr>
+          ${header("module", "Module", "Module path")}
+          ${MODULE_METRICS.map((metric) => header(metric.key, metric.short, metric.label)).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            ([modulePath, metrics]) => `
+              <tr${modulePath === selected ? ' class="selected"' : ""}>
+                <td><button type="button" class="object-chip metrics-module" data-module="${escapeHtml(
+                  modulePath
+                )}" title="${escapeHtml(modulePath)}">${escapeHtml(modulePath)}</button></td>
+                ${MODULE_METRICS.map(
+                  (metric) => `<td>${formatMetric(metric, metrics[metric.key])}</td>`
+                ).join("")}
+              </tr>
+            `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+  if (detailsPanel) {
+    detailsPanel.scrollTop = previousScroll;
+  }
+}
+
+function setupMetricsView() {
+  if (metricsBody) {
+    metricsBody.addEventListener("click", (event) => {
+      const sort = event.target.closest("[data-metric-sort]");
+      if (!sort) {
+        handleChipClick(event);
+        return;
+      }
+      const key = sort.dataset.metricSort;
+      state.metricsSort =
+        state.metricsSort.key === key
+          ? { key, descending: !state.metricsSort.descending }
+          : { key, descending: key !== "module" };
+      renderMetricsView();
+    });
+  }
+  if (metricColorSelect) {
+    metricColorSelect.innerHTML = [
+      '<option value="">No Metric Colors</option>',
+      ...MODULE_METRICS.map(
+        (metric) => `<option value="${metric.key}">Color by ${escapeHtml(metric.label)}</option>`
+      ),
+    ].join("");
+    metricColorSelect.addEventListener("change", () => {
+      state.metricColor = metricColorSelect.value;
+      applyHighlight();
+      renderDetails();
+    });
+  }
+}
+
+function highlightEmphasis() {
+  if (state.selectedEdge) {
+    const { fromModule, toModule } = state.selectedEdge;
+    return {
+      color: palette.connected,
+      nodes: new Set([`module:${fromModule}`, `module:${toModule}`]),
+      hasEdge: (data) =>
+        data.kind === "dep" && data.fromModule === fromModule && data.toModule === toModule,
+    };
+  }
+  if (state.multiSelect.length > 1) {
+    const cache = new Map();
+    const nodes = new Set();
+    state.multiSelect.forEach((modulePath) => {
+      const visible = resolveVisibleModule(modulePath, cache);
+      if (visible !== ROOT_KEY) {
+        nodes.add(`module:${visible}`);
+      }
+    });
+    return {
+      color: palette.highlight,
+      nodes,
+      hasEdge: (data) => data.kind === "dep" && nodes.has(data.from) && nodes.has(data.to),
+    };
+  }
+  if (state.pathHighlight) {
+    const { modules, edges } = state.pathHighlight;
+    return {
+      color: palette.path,
+      nodes: modules,
+      hasEdge: (data) => edges.has(`${data.fromModule}->${data.toModule}`),
+    };
+  }
+  if (state.closure) {
+    const cache = new Map();
+    const nodes = new Set();
+    [...state.closure.roots, ...state.closure.depths.keys()].forEach((modulePath) => {
+      const visible = resolveVisibleModule(modulePath, cache);
+      if (visible !== ROOT_KEY) {
+        nodes.add(`module:${visible}`);
+      }
+    });
+    return {
+      color: palette.closure,
+      nodes,
+      hasEdge: (data) => data.kind === "dep" && nodes.has(data.from) && nodes.has(data.to),
+    };
+  }
+  if (state.groupHighlight) {
+    return valueGroupEmphasis(state.groupHighlight);
+  }
+  if (state.configHighlight) {
+    return configEmphasis(state.configHighlight);
+  }
+  return null;
+}
+
+function renderDetails() {
+  const previousScroll = detailsPanel ? detailsPanel.scrollTop : 0;
+  detailsBody.innerHTML = renderClosureSection() + renderSelectionDetails();
+  if (detailsPanel) {
+    detailsPanel.scrollTop = previousScroll;
+  }
+}
+
+function renderSelectionDetails() {
+  const selected = state.selectedId;
+  if (state.selectedEdge) {
+    return renderEdgeDetails(state.selectedEdge);
+  }
+  if (!selected) {
+    return state.diff
+      ? renderDiffSummary()
+      : '<div class="muted">Select a module to inspect dependencies.</div>';
+  }
+  const node = state.nodes.get(selected);
+  if (!node) {
+    return '<div class="muted">Selection not found.</div>';
+  }
+  if (node.entityId) {
+    return renderEntityDetails(node);
+  }
+  if (state.multiSelect.length > 1) {
+    return renderComparison(state.multiSelect);
+  }
+
+  const modulePath = node.modulePath;
+  if (modulePath === ROOT_KEY) {
+    return `
+      <div class="details-section">
+        <div class="label">Root</div>
+        <div class="details-chip">All modules</div>
+      </div>
+    `;
+  }
+  const moduleInfo = state.graph.modules[modulePath] || {};
+  const isConfig = (item) => state.query.isConfigSignature(item.signature);
+  const provided = state.query.providedObjects(modulePath);
+  const depends = state.query.dependencyObjects(modulePath);
+  const dependents = state.query.dependentModules(modulePath);
+
+  return `
+    <div class="details-section">
+      <div class="label">Module</div>
+      <div class="details-chip">${escapeHtml(modulePath)}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Description</div>
+      <div class="details-chip">${escapeHtml(moduleInfo.description || "—")}</div>
+    </div>
+    ${renderModuleMetrics(modulePath)}
+    ${renderClosureActions(
+      `data-closure-module="${escapeHtml(modulePath)}"`,
+      `<button type="button" class="details-action" data-isolate="${escapeHtml(modulePath)}">${
+        state.isolate && state.isolate.modulePath === modulePath ? "Exit Isolate" : "Isolate Neighborhood"
+      }</button>`
+    )}
+    <div class="details-section">
+      <div class="label">Reads Config</div>
+      <div class="details-list">
+        ${renderObjectChips(depends.filter(isConfig))}
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Depends On Objects</div>
+      <div class="details-list">
+        ${renderObjectChips(depends.filter((item) => !isConfig(item)))}
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Provides Config</div>
+      <div class="details-list">
+        ${renderObjectChips(provided.filter(isConfig))}
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Provides Objects</div>
+      <div class="details-list">
+        ${renderObjectChips(provided.filter((item) => !isConfig(item)))}
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Dependent Modules</div>
+      <div class="details-list">
+        ${renderModuleChips(dependents)}
+      </div>
+    </div>
+    ${renderConstructorPackages(moduleInfo.constructors || [])}
+    ${state.diff ? renderModuleDiff(modulePath) : ""}
+  `;
+}
+
+function selectEdge(data) {
+  setSelected(null);
+  state.selectedEdge = {
+    fromModule: data.fromModule,
+    toModule: data.toModule,
+    pairs: data.pairs || [],
+  };
+  applyHighlight();
+  renderDetails();
+}
+
+function edgeCrossings(pairs) {
+  const wanted = new Set(pairs);
+  const crossings = new Map();
+  (state.graph.edges || []).forEach((edge) => {
+    if (edge.kind !== "depends" && edge.kind !== "invokes") {
+      return;
+    }
+    const consumer = moduleForNodeId(edge.to, state.graph);
+    const provider = moduleForNodeId(edge.from, state.graph);
+    if (!wanted.has(`${consumer}->${provider}`)) {
+      return;
+    }
+    const obj = state.graph.objects && state.graph.objects[edge.from];
+    if (!obj) {
+      return;
+    }
+    if (!crossings.has(obj.id)) {
+      crossings.set(obj.id, {
+        object: obj,
+        label: formatObject(obj),
+        providers: (obj.providedBy || []).filter((id) => state.graph.constructors?.[id]),
+        consumers: new Set(),
+      });
+    }
+    crossings.get(obj.id).consumers.add(edge.to);
+  });
+  return Array.from(crossings.values()).sort((a, b) => a.label.localeCompare(b.label));
+}
+
+function renderEdgeDetails(edge) {
+  const crossings = edgeCrossings(edge.pairs);
+  const violations = layeringView.edgeViolations(edge.pairs);
+  return `
+    <div class="details-section">
+      <div class="label">Dependency</div>
+      <div class="details-list">
+        ${renderModuleChips([edge.fromModule])}
+        <div class="diagnostic-note">depends on</div>
+        ${renderModuleChips([edge.toModule])}
+      </div>
+    </div>
+    ${
+      violations.length > 0
+        ? renderDiagnosticSection("Layering Violations", violations, renderLayeringViolation)
+        : ""
+    }
+    <div class="details-section">
+      <div class="label">Objects Crossing (${crossings.length})</div>
+      <div class="details-list">
+        ${
+          crossings.length === 0
+            ? '<div class="muted">None</div>'
+            : crossings
+                .map(
+                  (crossing) => `
+                    <div class="edge-object">
+                      ${renderEntityChips([crossing.object.id])}
+                      <div class="diagnostic-note">provided by</div>
+                      ${renderEntityChips(crossing.providers)}
+                      <div class="diagnostic-note">consumed by</div>
+                      ${renderEntityChips(Array.from(crossing.consumers).sort())}
+                    </div>
+                  `
+                )
+                .join("")
+        }
+      </div>
+    </div>
+  `;
+}
+
+function isMultiSelectClick(event) {
+  return Boolean(event && (event.shiftKey || event.ctrlKey || event.metaKey));
+}
+
+function toggleMultiSelect(modulePath) {
+  let paths = state.multiSelect.slice();
+  const current = selectedModulePath();
+  if (paths.length === 0 && current && !state.nodes.get(state.selectedId)?.entityId) {
+    paths.push(current);
+  }
+  if (paths.includes(modulePath)) {
+    paths = paths.filter((path) => path !== modulePath);
   } else {
+    paths.push(modulePath);
+  }
+  const last = paths[paths.length - 1];
+  if (!last) {
     setSelected(null);
+    return;
   }
-  if (snapshot.camera) {
-    camera.position.set(snapshot.camera.x || 0, snapshot.camera.y || 0, 200);
-    camera.zoom = snapshot.camera.zoom || DEFAULT_ZOOM;
-    camera.updateProjectionMatrix();
+  const id = state.nodes.has(`module:${last}`) ? `module:${last}` : null;
+  setSelected(id, paths.length > 1 ? paths : []);
+}
+
+function renderComparison(paths) {
+  const provided = new Map(paths.map((path) => [path, state.query.providedObjects(path)]));
+  const consumed = new Map(paths.map((path) => [path, state.query.dependencyObjects(path)]));
+  const keyOf = (item) => item.signature || item.label;
+  const keySet = (items) => new Set(items.map(keyOf));
+  const providedSets = new Map(paths.map((path) => [path, keySet(provided.get(path))]));
+  const consumedSets = new Map(paths.map((path) => [path, keySet(consumed.get(path))]));
+  const inAll = (sets, item) => paths.every((path) => sets.get(path).has(keyOf(item)));
+  const onlyIn = (path, item) =>
+    paths.every((other) => other === path || !providedSets.get(other).has(keyOf(item)));
+
+  const commonProvided = provided.get(paths[0]).filter((item) => inAll(providedSets, item));
+  const onlyProvided = paths.map((path) => ({
+    path,
+    items: provided.get(path).filter((item) => onlyIn(path, item)),
+  }));
+  const sharedObjects = consumed.get(paths[0]).filter((item) => inAll(consumedSets, item));
+  const dependencySets = paths.map((path) => dependencyModulesOf(path));
+  const sharedModules = Array.from(dependencySets[0])
+    .filter((modulePath) => dependencySets.every((set) => set.has(modulePath)))
+    .filter((modulePath) => !paths.includes(modulePath))
+    .sort();
+  const flows = directFlows(paths);
+
+  return `
+    <div class="details-section">
+      <div class="label">Comparing ${paths.length} Modules</div>
+      <div class="details-list">${renderModuleChips(paths)}</div>
+      <div class="details-actions">
+        <button type="button" class="details-action" data-compare-clear>Clear Comparison</button>
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Provided By All (${commonProvided.length})</div>
+      <div class="details-list">${renderObjectChips(commonProvided)}</div>
+    </div>
+    ${onlyProvided
+      .map(
+        ({ path, items }) => `
+          <div class="details-section">
+            <div class="label">
+              Only ${escapeHtml(moduleDisplayName(path))} Provides (${items.length})
+            </div>
+            <div class="details-list">${renderObjectChips(items)}</div>
+          </div>
+        `
+      )
+      .join("")}
+    <div class="details-section">
+      <div class="label">Shared Dependency Modules (${sharedModules.length})</div>
+      <div class="details-list">${renderModuleChips(sharedModules)}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Shared Dependency Objects (${sharedObjects.length})</div>
+      <div class="details-list">${renderObjectChips(sharedObjects)}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Direct Flows</div>
+      <div class="details-list">
+        ${
+          flows.length === 0
+            ? '<div class="muted">None</div>'
+            : flows
+                .map(
+                  ({ consumer, provider, objects }) => `
+                    <div class="details-chip compare-flow">
+                      ${escapeHtml(moduleDisplayName(provider))} →
+                      ${escapeHtml(moduleDisplayName(consumer))}
+                      <div class="diagnostic-note">
+                        ${objects.length} object${objects.length === 1 ? "" : "s"}
+                      </div>
+                    </div>
+                    ${objects
+                      .map(
+                        (label) =>
+                          `<div class="details-chip compare-flow-object">${escapeHtml(label)}</div>`
+                      )
+                      .join("")}
+                  `
+                )
+                .join("")
+        }
+      </div>
+    </div>
+  `;
+}
+
+function dependencyModulesOf(modulePath) {
+  const subtree = state.query.moduleSubtree(modulePath);
+  const modules = new Set();
+  subtree.forEach((member) => {
+    (state.moduleDeps.get(member) || []).forEach((dep) => {
+      if (!subtree.has(dep)) {
+        modules.add(dep);
+      }
+    });
+  });
+  return modules;
+}
+
+function directFlows(paths) {
+  const subtrees = new Map(paths.map((path) => [path, state.query.moduleSubtree(path)]));
+  const flows = [];
+  paths.forEach((consumer) => {
+    paths.forEach((provider) => {
+      if (consumer === provider) {
+        return;
+      }
+      const objects = new Set();
+      subtrees.get(consumer).forEach((member) => {
+        const providers = state.moduleDepObjects.get(member);
+        if (!providers) {
+          return;
+        }
+        providers.forEach((labels, providerModule) => {
+          const crosses =
+            subtrees.get(provider).has(providerModule) && !subtrees.get(consumer).has(providerModule);
+          if (crosses) {
+            labels.forEach((label) => objects.add(label));
+          }
+        });
+      });
+      if (objects.size > 0) {
+        flows.push({ consumer, provider, objects: Array.from(objects).sort() });
+      }
+    });
+  });
+  return flows;
+}
+
+function renderClosureActions(target, extraActions = "") {
+  return `
+    <div class="details-section">
+      <div class="label">Impact</div>
+      <div class="details-actions">
+        <button type="button" class="details-action" data-closure="dependents" ${target}>Transitive Dependents</button>
+        <button type="button" class="details-action" data-closure="dependencies" ${target}>Transitive Dependencies</button>
+        ${extraActions}
+      </div>
+    </div>
+  `;
+}
+
+function renderClosureSection() {
+  const closure = state.closure;
+  if (!closure) {
+    return "";
   }
-  state.historyLocked = false;
+  const byDepth = closureByDepth(closure);
+  const title = closure.direction === "dependents" ? "Transitive Dependents" : "Transitive Dependencies";
+  return `
+    <div class="details-section closure-section">
+      <div class="label">${title} of ${escapeHtml(closure.label)}</div>
+      <div class="details-chip">${closure.depths.size} module${
+        closure.depths.size === 1 ? "" : "s"
+      } · max depth ${byDepth.length}</div>
+      <div class="details-actions">
+        <button type="button" class="details-action" data-closure-export="copy">Copy List</button>
+        <button type="button" class="details-action" data-closure-export="download">Download</button>
+        <button type="button" class="details-action" data-closure-export="clear">Clear</button>
+      </div>
+      ${byDepth
+        .map(
+          (modules, idx) => `
+            <div class="diagnostic-note">Depth ${idx + 1} · ${modules.length} module${
+              modules.length === 1 ? "" : "s"
+            }</div>
+            <div class="details-list">${renderModuleChips(modules)}</div>
+          `
+        )
+        .join("")}
+    </div>
+  `;
 }
 
-function pushHistory() {
-  if (state.historyLocked) {
+function renderEntityDetails(node) {
+  const { kind, entity } = graphEntity(node.entityId);
+  const moduleChips = renderModuleChips(
+    node.modulePath && state.graph.modules[node.modulePath] ? [node.modulePath] : []
+  );
+  if (kind === "object") {
+    const info = state.query.objectInfo(entity);
+    return `
+      <div class="details-section">
+        <div class="label">Object</div>
+        <div class="details-chip">${escapeHtml(info.label)}${info.isPrivate ? " (private)" : ""}</div>
+      </div>
+      <div class="details-section">
+        <div class="label">Module</div>
+        <div class="details-list">${moduleChips}</div>
+      </div>
+      ${renderClosureActions(`data-closure-signature="${escapeHtml(info.signature)}"`)}
+      <div class="details-section">
+        <div class="label">Provided By</div>
+        <div class="details-list">${renderEntityChips(entity.providedBy)}</div>
+      </div>
+      <div class="details-section">
+        <div class="label">Consumed By</div>
+        <div class="details-list">${renderEntityChips(entity.consumedBy)}</div>
+      </div>
+    `;
+  }
+  const source = parseSourceLocation(entity.name);
+  return `
+    <div class="details-section">
+      <div class="label">${escapeHtml(kind[0].toUpperCase() + kind.slice(1))}</div>
+      <div class="details-chip">${escapeHtml(source ? source.function : entity.id)}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Package</div>
+      <div class="details-chip">${escapeHtml((source && source.package) || "—")}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Source</div>
+      ${renderSourceLocation(source)}
+    </div>
+    <div class="details-section">
+      <div class="label">Module</div>
+      <div class="details-list">${moduleChips}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Inputs</div>
+      <div class="details-list">
+        ${renderObjectChips((entity.inputs || []).map((ref) => state.query.refInfo(ref)))}
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Outputs</div>
+      <div class="details-list">
+        ${renderEntityChips((entity.outputs || []).map((ref) => ref.id), entity.outputs)}
+      </div>
+    </div>
+  `;
+}
+
+function renderEntityChips(ids, refs) {
+  if (!ids || ids.length === 0) {
+    return '<div class="muted">None</div>';
+  }
+  return ids
+    .map((id, idx) => {
+      const found = graphEntity(id);
+      if (!found) {
+        const label = refs && refs[idx] ? formatObject(refs[idx]) : id;
+        return `<div class="details-chip">${escapeHtml(label)}</div>`;
+      }
+      const label =
+        found.kind === "object"
+          ? formatObject(found.entity)
+          : `${found.kind} ${functionName(found.entity.name || id)}`;
+      const privateClass =
+        found.kind === "object" && isPrivateObject(found.entity, state.graph) ? " private" : "";
+      return `<button type="button" class="details-chip object-chip${privateClass}" data-entity="${escapeHtml(
+        id
+      )}">${escapeHtml(label)}</button>`;
+    })
+    .join("");
+}
+
+function renderSourceLocation(location) {
+  if (!location || !location.file) {
+    return '<div class="details-chip">—</div>';
+  }
+  const text = `${location.file}:${location.line}`;
+  const url = sourceUrl(location);
+  if (!url) {
+    return `<div class="details-chip">${escapeHtml(text)}</div>`;
+  }
+  return `<a class="details-chip source-link" href="${escapeHtml(url)}" target="_blank" rel="noopener" title="${escapeHtml(
+    url
+  )}">${escapeHtml(text)}</a>`;
+}
+
+function sourceUrl(location) {
+  if (!location || !location.file) {
+    return "";
+  }
+  const file = location.file.replace(/^\.\.\.\//, "");
+  const link = state.sourceLinks.reduce(
+    (best, item) =>
+      file.startsWith(item.prefix) && (!best || item.prefix.length > best.prefix.length)
+        ? item
+        : best,
+    null
+  );
+  if (!link) {
+    return "";
+  }
+  const dir = `${location.dir.replace(/^\.\.\.\/?/, "")}/`;
+  const values = {
+    file: file.slice(link.prefix.length),
+    line: String(location.line),
+    package: location.package,
+    function: location.function,
+    dir: (dir.startsWith(link.prefix) ? dir.slice(link.prefix.length) : dir).replace(/\/$/, ""),
+    ref: state.sourceRef || DEFAULT_SOURCE_REF,
+  };
+  return link.template.replace(SOURCE_PLACEHOLDERS, (_, key) => encodePathSegments(values[key]));
+}
+
+function encodePathSegments(value) {
+  return String(value || "")
+    .split("/")
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+function parseSourceTemplates(text) {
+  const links = [];
+  text.split("\n").forEach((raw) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) {
+      return;
+    }
+    const match = /^([^\s:{=]+)\s*=\s*(\S.*)$/.exec(line);
+    links.push(match ? { prefix: match[1], template: match[2] } : { prefix: "", template: line });
+  });
+  return links;
+}
+
+function setSourceTemplate(template, ref, persist) {
+  const value = (template || "").trim();
+  const links = parseSourceTemplates(value);
+  const unsafe = links.find((link) => UNSAFE_LINK_SCHEMES.test(link.template));
+  if (unsafe) {
+    console.warn(`Ignoring source link template with an unsafe scheme: ${unsafe.template}`);
+    return false;
+  }
+  state.sourceTemplate = value;
+  state.sourceLinks = links;
+  state.sourceRef = (ref || "").trim();
+  if (persist) {
+    try {
+      [
+        [SOURCE_TEMPLATE_KEY, state.sourceTemplate],
+        [SOURCE_REF_KEY, state.sourceRef],
+      ].forEach(([key, item]) => {
+        if (item) {
+          storage()?.setItem(key, item);
+        } else {
+          storage()?.removeItem(key);
+        }
+      });
+    } catch (err) {
+      console.warn("Failed to store the source link template", err);
+    }
+  }
+  renderDetails();
+  return true;
+}
+
+function toggleSourceSettings(show) {
+  if (!sourceSettings) {
     return;
   }
-  const snapshot = captureViewState();
-  const last = state.history[state.history.length - 1];
-  if (last && last.selectedId === snapshot.selectedId) {
+  sourceSettings.hidden = !show;
+  if (show && sourceTemplateInput) {
+    sourceTemplateInput.value = state.sourceTemplate;
+    if (sourceRefInput) {
+      sourceRefInput.value = state.sourceRef;
+    }
+    sourceTemplateInput.focus();
+  }
+}
+
+function setupSourceLinks() {
+  const params = new URLSearchParams(window.location.search);
+  setSourceTemplate(
+    params.get("source") ?? storage()?.getItem(SOURCE_TEMPLATE_KEY),
+    params.get("ref") ?? storage()?.getItem(SOURCE_REF_KEY),
+    false
+  );
+  document.getElementById("source-links")?.addEventListener("click", () => {
+    toggleSourceSettings(true);
+  });
+  if (!sourceSettings) {
     return;
   }
-  state.history.push(snapshot);
-  updateBackButton();
+  const save = () => {
+    if (setSourceTemplate(sourceTemplateInput.value, sourceRefInput ? sourceRefInput.value : "", true)) {
+      toggleSourceSettings(false);
+    }
+  };
+  sourceSettings.addEventListener("click", (event) => {
+    if (event.target.closest("[data-source-save]")) {
+      save();
+    } else if (event.target.closest("[data-source-clear]")) {
+      setSourceTemplate("", "", true);
+      toggleSourceSettings(false);
+    } else if (event.target === sourceSettings || event.target.closest("[data-source-close]")) {
+      toggleSourceSettings(false);
+    }
+  });
+  sourceSettings.addEventListener("keydown", (event) => {
+    const multiline = event.target === sourceTemplateInput;
+    if (event.key === "Enter" && (!multiline || event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      save();
+    } else if (event.key === "Escape") {
+      event.preventDefault();
+      toggleSourceSettings(false);
+    }
+  });
 }
 
-function popHistory() {
-  if (state.history.length === 0) {
-    return null;
+function renderConstructorPackages(ids) {
+  const packages = new Map();
+  ids.forEach((id) => {
+    const entity = state.graph.constructors?.[id];
+    const location = parseSourceLocation(entity && entity.name);
+    const name = (location && location.package) || "unknown";
+    const dir = location ? location.dir : "";
+    const key = `${name}|${dir}`;
+    if (!packages.has(key)) {
+      packages.set(key, { name, dir, ids: [] });
+    }
+    packages.get(key).ids.push(id);
+  });
+  if (packages.size === 0) {
+    return "";
   }
-  const snapshot = state.history.pop();
-  updateBackButton();
-  return snapshot;
+  const sorted = Array.from(packages.values()).sort(
+    (a, b) => a.name.localeCompare(b.name) || a.dir.localeCompare(b.dir)
+  );
+  return `
+    <div class="details-section">
+      <div class="label">Constructors by Package (${ids.length})</div>
+      ${sorted
+        .map(
+          (pkg) => `
+            <div class="source-package">
+              <span class="source-package-name">${escapeHtml(pkg.name)}</span>
+              <span class="muted">${pkg.dir ? `${escapeHtml(pkg.dir)} · ` : ""}${pkg.ids.length}</span>
+            </div>
+            <div class="details-list">${renderEntityChips(pkg.ids)}</div>
+          `
+        )
+        .join("")}
+    </div>
+  `;
 }
 
-function updateBackButton() {
-  if (!navBackButton) {
+function renderObjectChips(items) {
+  if (!items || items.length === 0) {
+    return '<div class="muted">None</div>';
+  }
+  return items
+    .map((item) => {
+      const modulePath = item.modulePath || (item.providers || [])[0] || "";
+      const privateClass = item.isPrivate ? " private" : "";
+      const optionalClass = item.optional ? " optional" : "";
+      const optionalSuffix = item.optional ? " (optional)" : "";
+      if (!modulePath) {
+        const title = item.optional
+          ? "Optional dependency (no provider module found)"
+          : "No provider module found";
+        return `<div class="details-chip unresolved${privateClass}${optionalClass}" title="${escapeHtml(
+          title
+        )}">${escapeHtml(item.label)}${escapeHtml(optionalSuffix)}</div>`;
+      }
+      const signature = item.signature ? ` data-signature="${escapeHtml(item.signature)}"` : "";
+      const title = item.optional ? "Optional dependency" : "";
+      return `<button type="button" class="details-chip object-chip${privateClass}${optionalClass}" data-module="${escapeHtml(
+        modulePath
+      )}"${signature}${title ? ` title="${escapeHtml(title)}"` : ""}>${escapeHtml(
+        item.label
+      )}${escapeHtml(optionalSuffix)}</button>`;
+    })
+    .join("");
+}
+
+function renderModuleChips(modules) {
+  if (!modules || modules.length === 0) {
+    return '<div class="muted">None</div>';
+  }
+  return modules
+    .map(
+      (modulePath) =>
+        `<button type="button" class="details-chip object-chip" data-module="${escapeHtml(
+          modulePath
+        )}">${escapeHtml(modulePath)}</button>`
+    )
+    .join("");
+}
+
+function setPanelView(view) {
+  state.panelView = view;
+  renderPanelView();
+}
+
+function renderPanelView() {
+  if (!panelTabs) {
     return;
   }
-  navBackButton.disabled = state.history.length === 0;
+  panelTabs.querySelectorAll("[data-view]").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.view === state.panelView);
+  });
+  document.querySelectorAll("#details .panel-view").forEach((view) => {
+    view.hidden = view.dataset.view !== state.panelView;
+  });
+  if (state.panelView === "diagnostics") {
+    renderDiagnostics();
+  } else if (state.panelView === "groups") {
+    renderGroupsView();
+  } else if (state.panelView === "metrics") {
+    renderMetricsView();
+  } else if (state.panelView === "config") {
+    configView.render();
+  }
 }
 
-function expandModulePath(path) {
-  if (!path || path === ROOT_KEY) {
+function renderDiagnostics() {
+  if (!diagnosticsBody || !state.graph) {
     return;
   }
-  let current = path;
-  while (current && current !== ROOT_KEY) {
-    state.expandedModules.add(current);
-    const parent = state.graph.modules[current]?.parent || "";
-    if (!parent || parent === current) {
-      break;
+  if (!state.diagnostics) {
+    state.diagnostics = computeDiagnostics(state.query);
+  }
+  const { unresolved, supplied, privateAccess, cycles, unconsumed } = state.diagnostics;
+  const previousScroll = detailsPanel ? detailsPanel.scrollTop : 0;
+  diagnosticsBody.innerHTML = `
+    ${renderDiagnosticSection(
+      "Unresolved Inputs",
+      unresolved,
+      (item) =>
+        renderDiagnosticChip(
+          item.modulePath,
+          `${item.label}${item.optional ? " (optional)" : ""}`,
+          `${item.group ? "empty value group, " : ""}needed by ${item.consumer} in ${
+            item.modulePath || "root"
+          }`,
+          item.optional ? " optional" : " unresolved"
+        )
+    )}
+    ${renderDiagnosticSection("Supplied By The Hive", supplied, (item) =>
+      renderDiagnosticChip(
+        "",
+        item.label,
+        `${item.count} input${item.count === 1 ? "" : "s"}, assumed supplied by the hive`,
+        ""
+      )
+    )}
+    ${renderDiagnosticSection("Private Objects From Other Modules", privateAccess, (item) =>
+      renderDiagnosticChip(
+        item.modulePath,
+        item.label,
+        `needed by ${item.consumer} in ${item.modulePath || "root"}, private to ${item.providers.join(
+          ", "
+        )}`,
+        " private"
+      )
+    )}
+    ${renderDiagnosticSection(
+      "Module Dependency Cycles",
+      cycles,
+      (cycle) => `
+        <div class="diagnostic-cycle">
+          <div class="diagnostic-note">${escapeHtml(
+            [...cycle.path, cycle.path[0]].join(" → ")
+          )}</div>
+          ${renderModuleChips(cycle.modules)}
+        </div>
+      `
+    )}
+    ${
+      state.layering
+        ? renderDiagnosticSection(
+            "Layering Violations",
+            state.layering.violations,
+            renderLayeringViolation
+          )
+        : ""
+    }
+    ${renderDiagnosticSection("Provided But Never Consumed", unconsumed, (item) =>
+      renderDiagnosticChip(
+        item.modulePath,
+        item.label,
+        `provided by ${item.provider} in ${item.modulePath || "root"}`,
+        item.isPrivate ? " private" : ""
+      )
+    )}
+  `;
+  if (detailsPanel) {
+    detailsPanel.scrollTop = previousScroll;
+  }
+}
+
+function renderDiagnosticSection(title, items, renderItem) {
+  return `
+    <div class="details-section">
+      <div class="label">${escapeHtml(title)} (${items.length})</div>
+      <div class="details-list">
+        ${items.length === 0 ? '<div class="muted">None</div>' : items.map(renderItem).join("")}
+      </div>
+    </div>
+  `;
+}
+
+function renderLayeringViolation({ consumer, provider, rule, objects }) {
+  const reason = rule.reason ? `: ${rule.reason}` : "";
+  return renderDiagnosticChip(
+    consumer,
+    `${consumer} → ${provider}`,
+    `${describeRule(rule)}${reason}. Objects: ${objects.join(", ")}`,
+    " violation"
+  );
+}
+
+function renderDiagnosticChip(modulePath, label, note, extraClass) {
+  const body = `${escapeHtml(label)}<div class="diagnostic-note">${escapeHtml(note)}</div>`;
+  if (!modulePath || !state.graph.modules[modulePath]) {
+    return `<div class="details-chip${extraClass}">${body}</div>`;
+  }
+  return `<button type="button" class="details-chip object-chip${extraClass}" data-module="${escapeHtml(
+    modulePath
+  )}">${body}</button>`;
+}
+
+function renderPathEndpoints() {
+  if (!pathEndpoints) {
+    return;
+  }
+  const labels = new Set(state.query.objectIndex.map((entry) => entry.label));
+  pathEndpoints.innerHTML = [...state.moduleOrder, ...Array.from(labels).sort()]
+    .map((value) => `<option value="${escapeHtml(value)}"></option>`)
+    .join("");
+}
+
+function resolvePathEndpoint(value) {
+  const text = (value || "").trim();
+  if (!text) {
+    return null;
+  }
+  if (state.graph.modules[text]) {
+    return { label: text, modules: [text] };
+  }
+  const entry = state.query.objectIndex.find((item) => item.label === text);
+  if (!entry) {
+    return null;
+  }
+  const signature = objectSignature(entry.type, entry.name, entry.group);
+  const modules = state.query.providersOf(signature);
+  return modules.length > 0 ? { label: text, modules, signature } : null;
+}
+
+function findPaths() {
+  const source = resolvePathEndpoint(pathSourceInput && pathSourceInput.value);
+  const target = resolvePathEndpoint(pathTargetInput && pathTargetInput.value);
+  const all = Boolean(pathAllInput && pathAllInput.checked);
+  const maxHops = Math.max(1, Math.min(12, Number(pathMaxHopsInput && pathMaxHopsInput.value) || 4));
+  state.pathFinder = computePaths(source, target, all, maxHops);
+  selectPath(0);
+}
+
+function computePaths(source, target, all, maxHops) {
+  const finder = { source, target, all, maxHops, paths: [], truncated: false, active: 0 };
+  if (source && target) {
+    if (all) {
+      const result = findAllModulePaths(source.modules, target.modules, maxHops, PATH_RESULT_LIMIT);
+      finder.paths = result.paths;
+      finder.truncated = result.truncated;
+    } else {
+      const path = findShortestModulePath(source.modules, target.modules);
+      finder.paths = path ? [path] : [];
     }
-    current = parent;
   }
+  return finder;
 }
 
-function focusModulePath(path) {
+function clearPaths() {
+  state.pathFinder = null;
+  state.pathHighlight = null;
+  renderPathResults();
+  applyHighlight();
+}
+
+function selectPath(index) {
+  const finder = state.pathFinder;
+  const path = finder && finder.paths[index];
+  if (finder) {
+    finder.active = index;
+  }
   if (!path) {
+    state.pathHighlight = null;
+    renderPathResults();
+    applyHighlight();
     return;
   }
+  state.pathHighlight = pathHighlightFor(path);
+  state.closure = null;
+  state.groupHighlight = null;
+  state.configHighlight = null;
   pushHistory();
-  expandModulePath(path);
+  renderDetails();
+  renderGroupsView();
+  configView.render();
+  path.forEach((modulePath) => {
+    const parent = state.graph.modules[modulePath]?.parent || "";
+    if (parent && state.graph.modules[parent]) {
+      expandModulePath(parent);
+    }
+  });
   updateGraph();
-  focusModule(path);
+  frameNodes(path.map((modulePath) => state.nodes.get(`module:${modulePath}`)));
+  renderPathResults();
 }
 
-function focusObjectBySignature(signature) {
-  if (!signature) {
-    return;
-  }
-  const entries = state.objectRefIndex.get(signature) || [];
-  const modules = pickProviderModules(entries);
-  if (modules.length === 0) {
-    return;
-  }
-  focusModulePath(modules[0]);
+function pathHighlightFor(path) {
+  return {
+    modules: new Set(path.map((modulePath) => `module:${modulePath}`)),
+    edges: new Set(pathHops(path).map(([from, to]) => `${from}->${to}`)),
+  };
 }
 
-function setSelected(id) {
-  state.selectedId = id;
-  applyHighlight();
-  renderDetails();
+function pathHops(path) {
+  return path.slice(1).map((modulePath, idx) => [path[idx], modulePath]);
 }
 
-function setHovered(id) {
-  if (state.hoveredId === id) {
-    return;
+function findShortestModulePath(sources, targets) {
+  const targetSet = new Set(targets);
+  const previous = new Map();
+  const queue = [];
+  sources.forEach((modulePath) => {
+    previous.set(modulePath, null);
+    queue.push(modulePath);
+  });
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (targetSet.has(current)) {
+      const path = [];
+      for (let step = current; step; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+    Array.from(state.moduleDeps.get(current) || [])
+      .sort()
+      .forEach((dep) => {
+        if (!previous.has(dep)) {
+          previous.set(dep, current);
+          queue.push(dep);
+        }
+      });
   }
-  state.hoveredId = id;
-  applyHighlight();
+  return null;
 }
 
-function applyHighlight() {
-  const selected = state.selectedId;
-  const connected = new Set();
-
-  if (selected) {
-    state.edges.forEach(([from, to]) => {
-      const fromId = `module:${from}`;
-      const toId = `module:${to}`;
-      if (fromId === selected || toId === selected) {
-        connected.add(fromId);
-        connected.add(toId);
+function findAllModulePaths(sources, targets, maxHops, limit) {
+  const reverse = buildReverseModuleDeps();
+  const distance = new Map(targets.map((modulePath) => [modulePath, 0]));
+  const queue = [...targets];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (reverse.get(current) || []).forEach((consumer) => {
+      if (!distance.has(consumer)) {
+        distance.set(consumer, distance.get(current) + 1);
+        queue.push(consumer);
       }
     });
   }
 
-  state.nodes.forEach((node) => {
-    if (!node.mesh.visible) {
+  const targetSet = new Set(targets);
+  const paths = [];
+  let truncated = false;
+  const walk = (path, visited) => {
+    if (paths.length >= limit) {
+      truncated = true;
       return;
     }
-    if (selected && node.id === selected) {
-      node.mesh.material.color.set(palette.highlight);
-      node.mesh.material.opacity = 1;
-    } else if (connected.has(node.id)) {
-      node.mesh.material.color.set(palette.connected);
-      node.mesh.material.opacity = 1;
-    } else {
-      node.mesh.material.color.set("white");
-      node.mesh.material.opacity = 1;
+    const current = path[path.length - 1];
+    if (targetSet.has(current)) {
+      paths.push(path.slice());
+      return;
+    }
+    const remaining = maxHops - (path.length - 1);
+    Array.from(state.moduleDeps.get(current) || [])
+      .sort()
+      .forEach((dep) => {
+        if (visited.has(dep) || !distance.has(dep) || distance.get(dep) + 1 > remaining) {
+          return;
+        }
+        visited.add(dep);
+        path.push(dep);
+        walk(path, visited);
+        path.pop();
+        visited.delete(dep);
+      });
+  };
+  sources.forEach((modulePath) => {
+    if (distance.has(modulePath) && distance.get(modulePath) <= maxHops) {
+      walk([modulePath], new Set([modulePath]));
     }
   });
+  paths.sort((a, b) => a.length - b.length || a.join(" ").localeCompare(b.join(" ")));
+  return { paths, truncated };
+}
 
-  state.edgeMeshes.forEach((line) => {
-    const { from, to } = line.userData;
-    const edgeFocus = selected || state.hoveredId;
-    if (line.userData && line.userData.kind === "dep") {
-      if (!edgeFocus) {
-        line.visible = false;
-        return;
-      }
-      line.visible = from === edgeFocus || to === edgeFocus;
-      if (!line.visible) {
-        return;
+function buildReverseModuleDeps() {
+  const reverse = new Map();
+  state.moduleDeps.forEach((deps, consumer) => {
+    deps.forEach((provider) => {
+      if (!reverse.has(provider)) {
+        reverse.set(provider, []);
       }
-    }
-    if (edgeFocus && (from === edgeFocus || to === edgeFocus)) {
-      line.material.opacity = 0.9;
-    } else {
-      line.material.opacity = 0.25;
-    }
+      reverse.get(provider).push(consumer);
+    });
   });
+  return reverse;
 }
 
-function renderDetails() {
-  const selected = state.selectedId;
-  const previousScroll = detailsPanel ? detailsPanel.scrollTop : 0;
-  if (!selected) {
-    detailsBody.innerHTML = '<div class="muted">Select a module to inspect dependencies.</div>';
-    if (detailsPanel) {
-      detailsPanel.scrollTop = previousScroll;
-    }
+function renderPathResults() {
+  if (!pathResults) {
     return;
   }
-  const node = state.nodes.get(selected);
-  if (!node) {
-    detailsBody.innerHTML = '<div class="muted">Selection not found.</div>';
-    if (detailsPanel) {
-      detailsPanel.scrollTop = previousScroll;
-    }
+  const finder = state.pathFinder;
+  if (!finder) {
+    pathResults.innerHTML =
+      '<div class="muted">Pick a consumer and a provider module or object.</div>';
     return;
   }
-
-  const modulePath = node.modulePath;
-  if (modulePath === ROOT_KEY) {
-    detailsBody.innerHTML = `
-      <div class="details-section">
-        <div class="label">Root</div>
-        <div class="details-chip">All modules</div>
-      </div>
-    `;
-    if (detailsPanel) {
-      detailsPanel.scrollTop = previousScroll;
-    }
+  const problems = [
+    !finder.source ? "Unknown source module or object." : "",
+    !finder.target ? "Unknown target module or object." : "",
+  ].filter(Boolean);
+  if (problems.length > 0) {
+    pathResults.innerHTML = problems.map((text) => `<div class="muted">${text}</div>`).join("");
     return;
   }
-  const moduleInfo = state.graph.modules[modulePath] || {};
-  const provided = collectProvidedObjects(modulePath);
-  const depends = collectDependencyObjects(modulePath);
-  const dependents = collectDependentModules(modulePath);
-
-  detailsBody.innerHTML = `
-    <div class="details-section">
-      <div class="label">Module</div>
-      <div class="details-chip">${escapeHtml(modulePath)}</div>
-    </div>
-    <div class="details-section">
-      <div class="label">Description</div>
-      <div class="details-chip">${escapeHtml(moduleInfo.description || "—")}</div>
-    </div>
-    <div class="details-section">
-      <div class="label">Depends On Objects</div>
-      <div class="details-list">
-        ${renderObjectChips(depends)}
-      </div>
-    </div>
-    <div class="details-section">
-      <div class="label">Provides Objects</div>
-      <div class="details-list">
-        ${renderObjectChips(provided)}
-      </div>
-    </div>
+  if (finder.paths.length === 0) {
+    pathResults.innerHTML = `<div class="muted">${escapeHtml(finder.source.label)} does not depend on ${escapeHtml(
+      finder.target.label
+    )}${finder.all ? ` within ${finder.maxHops} hops` : ""}.</div>`;
+    return;
+  }
+  const title = finder.all
+    ? `${finder.paths.length}${finder.truncated ? "+" : ""} paths`
+    : "Shortest path";
+  pathResults.innerHTML = `
     <div class="details-section">
-      <div class="label">Dependent Modules</div>
+      <div class="label">${escapeHtml(title)}</div>
       <div class="details-list">
-        ${renderModuleChips(dependents)}
+        ${finder.paths
+          .map((path, idx) => {
+            const active = idx === finder.active;
+            return `
+              <button type="button" class="details-chip path-result${
+                active ? " active" : ""
+              }" data-path-index="${idx}">
+                ${escapeHtml(path.join(" → "))}
+                <div class="diagnostic-note">${path.length - 1} hop${
+                  path.length === 2 ? "" : "s"
+                }</div>
+              </button>
+              ${active ? renderPathHops(path) : ""}
+            `;
+          })
+          .join("")}
       </div>
     </div>
   `;
-  if (detailsPanel) {
-    detailsPanel.scrollTop = previousScroll;
-  }
 }
 
-function collectProvidedObjects(modulePath) {
-  const modules = collectModuleSubtree(modulePath);
-  const items = [];
-  Object.values(state.graph.objects || {}).forEach((obj) => {
-    if (!modules.has(obj.modulePath)) {
-      return;
-    }
-    if (!obj.providedBy || obj.providedBy.length === 0) {
-      return;
-    }
-    items.push(objectInfoFromGraphObject(obj));
-  });
-  return uniqueSortedObjects(items);
+function renderPathHops(path) {
+  const hops = pathHops(path);
+  if (hops.length === 0) {
+    return '<div class="muted">Source and target are the same module.</div>';
+  }
+  return `
+    <div class="path-hops">
+      ${hops
+        .map(([from, to]) => {
+          const objects = Array.from(state.moduleDepObjects.get(from)?.get(to) || []).sort();
+          return `
+            <div class="path-hop">
+              ${renderModuleChips([from])}
+              <div class="diagnostic-note">depends on</div>
+              ${renderModuleChips([to])}
+              <div class="diagnostic-note">via ${escapeHtml(objects.join(", ") || "—")}</div>
+            </div>
+          `;
+        })
+        .join("")}
+    </div>
+  `;
 }
 
-function collectDependencyObjects(modulePath) {
-  const modules = collectModuleSubtree(modulePath);
-  const items = new Map();
-  const addRefs = (refs) => {
-    if (!refs) {
-      return;
-    }
-    refs.forEach((ref) => {
-      const info = objectInfoFromRef(ref);
-      const key = info.signature || info.label;
-      if (!items.has(key)) {
-        info.optional = Boolean(info.optional);
-        items.set(key, info);
-        return;
-      }
-      const existing = items.get(key);
-      const merged = new Set([...(existing.providers || []), ...(info.providers || [])]);
-      existing.providers = Array.from(merged).sort();
-      if (!existing.modulePath && existing.providers.length > 0) {
-        existing.modulePath = existing.providers[0];
+function setupPathFinder() {
+  const findButton = document.getElementById("path-find");
+  const clearButton = document.getElementById("path-clear");
+  if (!findButton || !pathResults) {
+    return;
+  }
+  findButton.addEventListener("click", findPaths);
+  clearButton.addEventListener("click", clearPaths);
+  [pathSourceInput, pathTargetInput].forEach((input) => {
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        findPaths();
       }
-      existing.optional = Boolean(existing.optional) && Boolean(info.optional);
     });
-  };
-  Object.values(state.graph.constructors || {}).forEach((ctor) => {
-    if (!modules.has(ctor.modulePath)) {
-      return;
-    }
-    addRefs(ctor.inputs);
   });
-  Object.values(state.graph.invokers || {}).forEach((inv) => {
-    if (!modules.has(inv.modulePath)) {
-      return;
-    }
-    addRefs(inv.inputs);
+  document.querySelectorAll("[data-path-fill]").forEach((button) => {
+    button.addEventListener("click", () => {
+      const modulePath = modulePathFromId(state.selectedId);
+      const input = button.dataset.pathFill === "source" ? pathSourceInput : pathTargetInput;
+      if (modulePath && modulePath !== ROOT_KEY) {
+        input.value = modulePath;
+      }
+    });
   });
-  Object.values(state.graph.decorators || {}).forEach((decor) => {
-    if (!modules.has(decor.modulePath)) {
+  pathResults.addEventListener("click", (event) => {
+    const result = event.target.closest("[data-path-index]");
+    if (result) {
+      selectPath(Number(result.dataset.pathIndex));
       return;
     }
-    addRefs(decor.inputs);
+    handleChipClick(event);
   });
-  return Array.from(items.values()).sort((a, b) => a.label.localeCompare(b.label));
+  renderPathResults();
 }
 
-function collectDependentModules(modulePath) {
-  const modules = collectModuleSubtree(modulePath);
-  const dependents = new Set();
-  Object.values(state.graph.objects || {}).forEach((obj) => {
-    if (!modules.has(obj.modulePath)) {
-      return;
+function computeValueGroups() {
+  const groups = new Map();
+  const groupFor = (type, group) => {
+    const key = objectSignature(type, "", group);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        group,
+        label: formatObject({ type, group }),
+        objects: new Set(),
+        contributors: new Map(),
+        consumers: new Map(),
+      });
     }
-    if (!obj.providedBy || obj.providedBy.length === 0) {
+    return groups.get(key);
+  };
+  Object.values(state.graph.objects || {}).forEach((obj) => {
+    if (!obj.group) {
       return;
     }
-    (obj.consumedBy || []).forEach((consumerId) => {
-      const consumerModule = moduleForNodeId(consumerId);
-      if (!consumerModule || consumerModule === ROOT_KEY) {
-        return;
-      }
-      if (modules.has(consumerModule)) {
-        return;
-      }
-      if (state.graph.modules && state.graph.modules[consumerModule]) {
-        dependents.add(consumerModule);
-      }
+    const entry = groupFor(obj.type, obj.group);
+    entry.objects.add(obj.id);
+    (obj.providedBy || []).forEach((id) => {
+      entry.contributors.set(id, valueGroupMember(id));
+    });
+  });
+  [state.graph.constructors, state.graph.invokers, state.graph.decorators].forEach((entities) => {
+    Object.values(entities || {}).forEach((entity) => {
+      (entity.inputs || []).forEach((ref) => {
+        if (!ref.group) {
+          return;
+        }
+        const type = ref.type && ref.type.startsWith("[]") ? ref.type.slice(2) : ref.type;
+        groupFor(type, ref.group).consumers.set(entity.id, valueGroupMember(entity.id));
+      });
     });
   });
-  return Array.from(dependents).sort();
+  return Array.from(groups.values()).sort(
+    (a, b) => a.group.localeCompare(b.group) || a.label.localeCompare(b.label)
+  );
+}
+
+function valueGroupMember(id) {
+  const found = graphEntity(id);
+  const entity = found ? found.entity : null;
+  return {
+    id,
+    kind: found ? found.kind : "constructor",
+    name: entity ? functionName(entity.name || id) : id,
+    modulePath: entity ? moduleForNodeId(id, state.graph) : "",
+  };
+}
+
+function findValueGroup(key) {
+  if (!state.valueGroups) {
+    state.valueGroups = computeValueGroups();
+  }
+  return state.valueGroups.find((entry) => entry.key === key) || null;
 }
 
-function collectModuleSubtree(modulePath) {
+function valueGroupModules(members) {
   const modules = new Set();
-  if (!modulePath) {
-    return modules;
+  members.forEach((member) => {
+    if (member.modulePath && member.modulePath !== ROOT_KEY && state.graph.modules[member.modulePath]) {
+      modules.add(member.modulePath);
+    }
+  });
+  return modules;
+}
+
+function valueGroupEmphasis(key) {
+  const entry = findValueGroup(key);
+  if (!entry) {
+    return null;
   }
-  const walk = (path) => {
-    modules.add(path);
-    const children = (state.graph.modules[path]?.children || []);
-    children.forEach((child) => walk(child));
+  const cache = new Map();
+  const colors = new Map();
+  const sources = new Set();
+  const targets = new Set();
+  const mark = (members, color, ends) => {
+    members.forEach((member) => {
+      colors.set(entityNodeId(member.id), color);
+    });
+    valueGroupModules(members).forEach((modulePath) => {
+      const visible = resolveVisibleModule(modulePath, cache);
+      if (visible !== ROOT_KEY) {
+        colors.set(`module:${visible}`, color);
+        ends.add(`module:${visible}`);
+      }
+    });
+  };
+  mark(Array.from(entry.consumers.values()), palette.consumer, sources);
+  mark(Array.from(entry.contributors.values()), palette.contributor, targets);
+  entry.objects.forEach((id) => colors.set(entityNodeId(id), palette.contributor));
+  return {
+    color: palette.contributor,
+    colors,
+    nodes: new Set(colors.keys()),
+    hasEdge: (data) =>
+      (data.kind === "dep" && sources.has(data.from) && targets.has(data.to)) ||
+      (data.kind === "entity" && colors.has(data.from) && colors.has(data.to)),
   };
-  walk(modulePath);
-  return modules;
 }
 
-function formatObject(obj) {
-  if (!obj) {
-    return "";
+function selectValueGroup(key) {
+  const entry = findValueGroup(key);
+  if (!entry) {
+    return;
   }
-  let label = obj.type || "unknown";
-  if (obj.name) {
-    label += ` (name=${obj.name})`;
+  pushHistory();
+  state.groupHighlight = key;
+  state.configHighlight = null;
+  state.pathHighlight = null;
+  state.closure = null;
+  if (state.pathFinder) {
+    state.pathFinder.active = -1;
+    renderPathResults();
+  }
+  const modules = valueGroupModules([...entry.contributors.values(), ...entry.consumers.values()]);
+  modules.forEach((modulePath) => {
+    const parent = state.graph.modules[modulePath]?.parent || "";
+    if (parent && state.graph.modules[parent]) {
+      expandModulePath(parent);
+    }
+  });
+  renderDetails();
+  updateGraph();
+  frameNodes(Array.from(modules).map((modulePath) => state.nodes.get(`module:${modulePath}`)));
+  renderGroupsView();
+}
+
+function clearValueGroup() {
+  state.groupHighlight = null;
+  applyHighlight();
+  renderGroupsView();
+}
+
+function renderGroupsView() {
+  if (!groupsBody || !state.graph || state.panelView !== "groups") {
+    return;
   }
-  if (obj.group) {
-    label += ` [group=${obj.group}]`;
+  if (!state.valueGroups) {
+    state.valueGroups = computeValueGroups();
+  }
+  if (state.valueGroups.length === 0) {
+    groupsBody.innerHTML = '<div class="muted">This graph has no value groups.</div>';
+    return;
+  }
+  const previousScroll = detailsPanel ? detailsPanel.scrollTop : 0;
+  const active = state.groupHighlight ? findValueGroup(state.groupHighlight) : null;
+  groupsBody.innerHTML = `
+    ${active ? renderValueGroupDetails(active) : ""}
+    <div class="details-section">
+      <div class="label">Value Groups (${state.valueGroups.length})</div>
+      <div class="details-list">
+        ${state.valueGroups
+          .map(
+            (entry) => `
+              <button type="button" class="details-chip group-result${
+                entry.key === state.groupHighlight ? " active" : ""
+              }${entry.contributors.size === 0 ? " empty" : ""}" data-group-key="${escapeHtml(entry.key)}">
+                ${escapeHtml(entry.label)}
+                <div class="diagnostic-note">${entry.contributors.size} contributor${
+                  entry.contributors.size === 1 ? "" : "s"
+                } · ${entry.consumers.size} consumer${entry.consumers.size === 1 ? "" : "s"}</div>
+              </button>
+            `
+          )
+          .join("")}
+      </div>
+    </div>
+  `;
+  if (detailsPanel) {
+    detailsPanel.scrollTop = previousScroll;
   }
-  return label;
 }
 
-function objectSignature(type, name, group) {
-  return `${type || ""}|${name || ""}|${group || ""}`;
+function renderValueGroupDetails(entry) {
+  return `
+    <div class="details-section group-section">
+      <div class="label">${escapeHtml(entry.label)}</div>
+      <div class="details-actions">
+        <button type="button" class="details-action" data-group-clear>Clear</button>
+      </div>
+    </div>
+    ${renderValueGroupMembers("Contributors", entry.contributors, "contributor")}
+    ${renderValueGroupMembers("Consumers", entry.consumers, "consumer")}
+  `;
 }
 
-function providerModulesForObject(obj) {
-  const providers = new Set();
-  (obj.providedBy || []).forEach((providerId) => {
-    let modulePath = "";
-    if (state.graph.constructors && state.graph.constructors[providerId]) {
-      modulePath = state.graph.constructors[providerId].modulePath || "";
-    } else if (state.graph.decorators && state.graph.decorators[providerId]) {
-      modulePath = state.graph.decorators[providerId].modulePath || "";
-    }
-    if (modulePath && state.graph.modules[modulePath]) {
-      providers.add(modulePath);
+function renderValueGroupMembers(title, members, role) {
+  const byModule = new Map();
+  members.forEach((member) => {
+    const modulePath = member.modulePath || ROOT_KEY;
+    if (!byModule.has(modulePath)) {
+      byModule.set(modulePath, []);
     }
+    byModule.get(modulePath).push(member);
   });
-  return Array.from(providers).sort();
+  const modules = Array.from(byModule.keys()).sort();
+  return `
+    <div class="details-section">
+      <div class="label">${title} (${members.size})</div>
+      <div class="details-list">
+        ${
+          modules.length === 0
+            ? '<div class="muted">None</div>'
+            : modules
+                .map((modulePath) => {
+                  const moduleChip =
+                    modulePath === ROOT_KEY
+                      ? '<div class="details-chip">root</div>'
+                      : `<button type="button" class="details-chip object-chip group-${role}" data-module="${escapeHtml(
+                          modulePath
+                        )}">${escapeHtml(modulePath)}</button>`;
+                  const entities = byModule
+                    .get(modulePath)
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(
+                      (member) =>
+                        `<button type="button" class="details-chip object-chip group-member" data-entity="${escapeHtml(
+                          member.id
+                        )}">${escapeHtml(`${member.kind} ${member.name}`)}</button>`
+                    )
+                    .join("");
+                  return moduleChip + entities;
+                })
+                .join("")
+        }
+      </div>
+    </div>
+  `;
 }
 
-function objectInfoFromGraphObject(obj) {
-  const providers = providerModulesForObject(obj);
-  return {
-    label: formatObject(obj),
-    signature: objectSignature(obj.type, obj.name, obj.group),
-    providers,
-    modulePath: providers[0] || obj.modulePath || "",
-    isPrivate: isPrivateObject(obj),
-    optional: false,
-  };
+function setupGroupsView() {
+  if (!groupsBody) {
+    return;
+  }
+  groupsBody.addEventListener("click", (event) => {
+    const group = event.target.closest("[data-group-key]");
+    if (group) {
+      if (group.dataset.groupKey === state.groupHighlight) {
+        clearValueGroup();
+      } else {
+        selectValueGroup(group.dataset.groupKey);
+      }
+      return;
+    }
+    if (event.target.closest("[data-group-clear]")) {
+      clearValueGroup();
+      return;
+    }
+    handleChipClick(event);
+  });
 }
 
-function objectInfoFromRef(ref) {
-  const signature = signatureForRef(ref);
-  const entries = state.objectRefIndex.get(signature) || [];
-  const providers = pickProviderModules(entries);
-  const isPrivate =
-    entries.length > 0 && entries.every((entry) => entry.isPrivate);
+function configEmphasis(signature) {
+  const config = configView.find(signature);
+  if (!config) {
+    return null;
+  }
+  const cache = new Map();
+  const colors = new Map();
+  const sources = new Set();
+  const targets = new Set();
+  const mark = (entities, modules, color, ends) => {
+    entities.forEach((entity) => colors.set(entityNodeId(entity.id), color));
+    modules.forEach((modulePath) => {
+      const visible = resolveVisibleModule(modulePath, cache);
+      if (visible !== ROOT_KEY) {
+        colors.set(`module:${visible}`, color);
+        ends.add(`module:${visible}`);
+      }
+    });
+  };
+  mark(state.query.consumersOf(signature), config.consumers, palette.consumer, sources);
+  mark(state.query.providingEntities(signature), config.providers, palette.contributor, targets);
+  (state.query.objectsBySignature.get(signature) || []).forEach((entry) =>
+    colors.set(entityNodeId(entry.id), palette.contributor)
+  );
   return {
-    label: formatObject(ref),
-    signature,
-    providers,
-    modulePath: providers[0] || "",
-    isPrivate,
-    optional: Boolean(ref.optional),
+    color: palette.contributor,
+    colors,
+    nodes: new Set(colors.keys()),
+    hasEdge: (data) =>
+      (data.kind === "dep" && sources.has(data.from) && targets.has(data.to)) ||
+      (data.kind === "entity" && colors.has(data.from) && colors.has(data.to)),
   };
 }
 
-function pickProviderModules(entries) {
-  const modules = new Set();
-  entries.forEach((entry) => {
-    (entry.providers || []).forEach((modulePath) => modules.add(modulePath));
+function selectConfig(signature) {
+  const config = configView.find(signature);
+  if (!config) {
+    return;
+  }
+  pushHistory();
+  state.configHighlight = signature;
+  state.groupHighlight = null;
+  state.pathHighlight = null;
+  state.closure = null;
+  if (state.pathFinder) {
+    state.pathFinder.active = -1;
+    renderPathResults();
+  }
+  const modules = [...config.providers, ...config.consumers];
+  modules.forEach((modulePath) => {
+    const parent = state.graph.modules[modulePath]?.parent || "";
+    if (parent && state.graph.modules[parent]) {
+      expandModulePath(parent);
+    }
   });
-  return Array.from(modules).sort();
+  renderDetails();
+  updateGraph();
+  frameNodes(modules.map((modulePath) => state.nodes.get(`module:${modulePath}`)));
+  configView.render();
 }
 
-function signatureForRef(ref) {
-  let type = ref.type || "";
-  if (ref.group && type.startsWith("[]")) {
-    type = type.slice(2);
-  }
-  return objectSignature(type, ref.name, ref.group);
+function clearConfig() {
+  state.configHighlight = null;
+  applyHighlight();
+  configView.render();
 }
 
-function isPrivateObject(obj) {
-  if (!obj) {
-    return false;
-  }
-  const exportedValue =
-    typeof obj.exported === "boolean"
-      ? obj.exported
-      : typeof obj.Exported === "boolean"
-        ? obj.Exported
-        : null;
-  if (exportedValue !== null) {
-    return !exportedValue;
-  }
-  if (!obj.providedBy || obj.providedBy.length === 0) {
-    return false;
+function frameNodes(nodes) {
+  const visible = nodes.filter((node) => node && node.mesh.visible);
+  if (visible.length === 0) {
+    return;
   }
-  let hasCtor = false;
-  let hasExported = false;
-  obj.providedBy.forEach((providerId) => {
-    const ctor = state.graph.constructors && state.graph.constructors[providerId];
-    if (ctor) {
-      hasCtor = true;
-      if (ctor.exported || ctor.Exported) {
-        hasExported = true;
-      }
-    }
-  });
-  return hasCtor && !hasExported;
+  const xs = visible.map((node) => nodePosition(node).x);
+  const ys = visible.map((node) => nodePosition(node).y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const fit = Math.min(
+    (camera.right - camera.left) / (maxX - minX + 80),
+    (camera.top - camera.bottom) / (maxY - minY + 40)
+  );
+  tweenZoomTo(Math.min(DEFAULT_ZOOM, fit));
+  panTo({ x: (minX + maxX) / 2, y: (minY + maxY) / 2 });
 }
 
-function uniqueSortedObjects(list) {
-  const map = new Map();
-  list.filter(Boolean).forEach((info) => {
-    const key = `${info.signature || info.label}|${info.modulePath || ""}`;
-    map.set(key, info);
-  });
-  return Array.from(map.values()).sort((a, b) => a.label.localeCompare(b.label));
+function renderDiffSummary() {
+  const { summary, baseName, modules } = state.diff;
+  const changed = Array.from(modules.keys())
+    .filter((path) => modules.get(path) !== "same")
+    .sort();
+  return `
+    <div class="details-section">
+      <div class="label">Comparing With</div>
+      <div class="details-chip">${escapeHtml(baseName)}</div>
+    </div>
+    <div class="details-section">
+      <div class="label">Modules</div>
+      <div class="details-chip">
+        ${summary.added} added, ${summary.removed} removed, ${summary.changed} changed
+      </div>
+    </div>
+    <div class="details-section">
+      <div class="label">Changed Modules</div>
+      <div class="details-list">
+        ${renderModuleChips(changed)}
+      </div>
+    </div>
+    ${renderModuleDiffEntries(ROOT_KEY, "Unattributed (root)")}
+  `;
 }
 
-function renderObjectChips(items) {
-  if (!items || items.length === 0) {
-    return '<div class="muted">None</div>';
+function renderModuleDiff(modulePath) {
+  const sections = Array.from(state.query.moduleSubtree(modulePath))
+    .sort()
+    .map((path) => renderModuleDiffEntries(path, path))
+    .filter(Boolean);
+  if (sections.length === 0) {
+    return `
+      <div class="details-section">
+        <div class="label">Changes</div>
+        <div class="muted">No changes against ${escapeHtml(state.diff.baseName)}.</div>
+      </div>
+    `;
   }
-  return items
-    .map((item) => {
-      const modulePath = item.modulePath || (item.providers || [])[0] || "";
-      const privateClass = item.isPrivate ? " private" : "";
-      const optionalClass = item.optional ? " optional" : "";
-      const optionalSuffix = item.optional ? " (optional)" : "";
-      if (!modulePath) {
-        const title = item.optional
-          ? "Optional dependency (no provider module found)"
-          : "No provider module found";
-        return `<div class="details-chip unresolved${privateClass}${optionalClass}" title="${escapeHtml(
-          title
-        )}">${escapeHtml(item.label)}${escapeHtml(optionalSuffix)}</div>`;
-      }
-      const signature = item.signature ? ` data-signature="${escapeHtml(item.signature)}"` : "";
-      const title = item.optional ? "Optional dependency" : "";
-      return `<button type="button" class="details-chip object-chip${privateClass}${optionalClass}" data-module="${escapeHtml(
-        modulePath
-      )}"${signature}${title ? ` title="${escapeHtml(title)}"` : ""}>${escapeHtml(
-        item.label
-      )}${escapeHtml(optionalSuffix)}</button>`;
-    })
-    .join("");
+  return sections.join("");
 }
 
-function renderModuleChips(modules) {
-  if (!modules || modules.length === 0) {
-    return '<div class="muted">None</div>';
+function renderModuleDiffEntries(modulePath, title) {
+  const entities = state.diff.entityChanges.get(modulePath) || [];
+  const objects = state.diff.objectChanges.get(modulePath) || [];
+  if (entities.length === 0 && objects.length === 0) {
+    return "";
   }
-  return modules
-    .map(
-      (modulePath) =>
-        `<button type="button" class="details-chip object-chip" data-module="${escapeHtml(
-          modulePath
-        )}">${escapeHtml(modulePath)}</button>`
-    )
-    .join("");
+  const status = state.diff.modules.get(modulePath) || "changed";
+  const rows = [
+    ...entities.map((change) =>
+      renderDiffChip(`${change.kind} ${change.name}`, change.status, [
+        ["input", change.inputs],
+        ["output", change.outputs],
+      ])
+    ),
+    ...objects.map((change) =>
+      renderDiffChip(change.label, change.status, [
+        ["provider", change.providers],
+        ["consumer", change.consumers],
+      ])
+    ),
+  ];
+  return `
+    <div class="details-section">
+      <div class="label">Changes: ${escapeHtml(title)}${
+        modulePath !== ROOT_KEY ? ` (${escapeHtml(status)})` : ""
+      }</div>
+      <div class="details-list">
+        ${rows.join("")}
+      </div>
+    </div>
+  `;
+}
+
+function renderDiffChip(label, status, deltas) {
+  const lines = [];
+  deltas.forEach(([name, delta]) => {
+    if (!delta) {
+      return;
+    }
+    delta.added.forEach((item) => lines.push(`+ ${name}: ${item}`));
+    delta.removed.forEach((item) => lines.push(`− ${name}: ${item}`));
+  });
+  return `<div class="details-chip diff-${status}">
+    <div>${escapeHtml(label)}</div>
+    ${lines.map((line) => `<div class="diff-delta">${escapeHtml(line)}</div>`).join("")}
+  </div>`;
 }
 
 function escapeHtml(value) {
@@ -1184,11 +4472,10 @@ function escapeHtml(value) {
 }
 
 function createModuleSprite(text) {
+  const style = NODE_STYLES.module;
   const canvas = document.createElement("canvas");
   const context = canvas.getContext("2d");
-  const fontSize = 16;
-  const paddingX = 16;
-  const paddingY = 10;
+  const { fontSize, paddingX, paddingY } = style;
   context.font = `${fontSize}px "Space Grotesk", sans-serif`;
   const textWidth = context.measureText(text).width;
   const width = textWidth + paddingX * 2;
@@ -1196,10 +4483,10 @@ function createModuleSprite(text) {
   canvas.width = Math.ceil(width);
   canvas.height = Math.ceil(height);
   context.font = `${fontSize}px "Space Grotesk", sans-serif`;
-  context.fillStyle = "rgb(255, 250, 240)";
-  context.strokeStyle = "rgb(31, 122, 140)";
-  context.lineWidth = 2;
-  drawRoundedRect(context, 2, 2, canvas.width - 4, canvas.height - 4, 12);
+  context.fillStyle = style.fill;
+  context.strokeStyle = style.stroke;
+  context.lineWidth = style.lineWidth;
+  drawRoundedRect(context, 2, 2, canvas.width - 4, canvas.height - 4, style.radius);
   context.fill();
   context.stroke();
   context.fillStyle = "#1b1b1b";
@@ -1209,28 +4496,65 @@ function createModuleSprite(text) {
   const texture = new THREE.CanvasTexture(canvas);
   const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
   const sprite = new THREE.Sprite(material);
-  const scale = 0.22;
-  sprite.scale.set(canvas.width * scale, canvas.height * scale, 1);
+  sprite.scale.set(canvas.width * style.scale, canvas.height * style.scale, 1);
   return sprite;
 }
 
-function moduleDisplayName(path) {
-  if (!path || path === ROOT_KEY) {
-    return "root";
+function createEntitySprite(text, kind, isPrivate) {
+  const style = NODE_STYLES[kind] || NODE_STYLES.object;
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  const { fontSize, paddingX, paddingY } = style;
+  context.font = `${fontSize}px "Space Grotesk", sans-serif`;
+  const textWidth = context.measureText(text).width;
+  canvas.width = Math.ceil(textWidth + paddingX * 2);
+  canvas.height = Math.ceil(fontSize + paddingY * 2);
+  context.font = `${fontSize}px "Space Grotesk", sans-serif`;
+  context.fillStyle = style.fill;
+  context.strokeStyle = style.stroke;
+  context.lineWidth = style.lineWidth;
+  if (style.dashed || isPrivate) {
+    context.setLineDash([5, 3]);
+  }
+  const width = canvas.width - 4;
+  const height = canvas.height - 4;
+  if (style.shape === "hexagon") {
+    const inset = height / 2;
+    context.beginPath();
+    context.moveTo(2 + inset, 2);
+    context.lineTo(2 + width - inset, 2);
+    context.lineTo(2 + width, 2 + height / 2);
+    context.lineTo(2 + width - inset, 2 + height);
+    context.lineTo(2 + inset, 2 + height);
+    context.lineTo(2, 2 + height / 2);
+    context.closePath();
+  } else {
+    drawRoundedRect(context, 2, 2, width, height, style.shape === "pill" ? height / 2 : style.radius);
   }
-  const parts = path.split(".");
-  return parts[parts.length - 1] || path;
+  context.fill();
+  context.stroke();
+  context.setLineDash([]);
+  context.fillStyle = "#1b1b1b";
+  context.textBaseline = "middle";
+  context.fillText(text, paddingX, canvas.height / 2);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
+  const sprite = new THREE.Sprite(material);
+  sprite.scale.set(canvas.width * style.scale, canvas.height * style.scale, 1);
+  return sprite;
 }
 
 function createRootSprite() {
+  const style = NODE_STYLES.root;
   const canvas = document.createElement("canvas");
   const context = canvas.getContext("2d");
-  const size = 64;
+  const size = style.size;
   canvas.width = size;
   canvas.height = size;
-  context.fillStyle = "rgba(31, 122, 140, 0.4)";
-  context.strokeStyle = "rgba(31, 122, 140, 0.8)";
-  context.lineWidth = 3;
+  context.fillStyle = style.fill;
+  context.strokeStyle = style.stroke;
+  context.lineWidth = style.lineWidth;
   context.beginPath();
   context.arc(size / 2, size / 2, size / 2 - 6, 0, Math.PI * 2);
   context.fill();
@@ -1238,7 +4562,7 @@ function createRootSprite() {
   const texture = new THREE.CanvasTexture(canvas);
   const material = new THREE.SpriteMaterial({ map: texture, transparent: true });
   const sprite = new THREE.Sprite(material);
-  sprite.scale.set(12, 12, 1);
+  sprite.scale.set(size * style.scale, size * style.scale, 1);
   return sprite;
 }
 function drawRoundedRect(context, x, y, width, height, radius) {
@@ -1274,7 +4598,11 @@ function pick(event, select) {
   if (intersects.length > 0) {
     const mesh = intersects[0].object;
     const id = mesh.userData.id;
-    if (select) {
+    const node = state.nodes.get(id);
+    const isModule = node && !node.entityId && node.modulePath !== ROOT_KEY;
+    if (select && isModule && isMultiSelectClick(event)) {
+      toggleMultiSelect(node.modulePath);
+    } else if (select) {
       setSelected(id);
     }
     setHovered(id);
@@ -1282,17 +4610,24 @@ function pick(event, select) {
     return;
   }
   setHovered(null);
-  const edgeIntersects = raycaster.intersectObjects(state.edgeMeshes, false);
-  if (edgeIntersects.length > 0) {
-    const edge = edgeIntersects[0].object;
-    const data = edge.userData || {};
-    if (data.kind === "dep" && data.objects && data.objects.length > 0) {
-      showEdgeTooltip(data, event.clientX, event.clientY);
-      return;
+  const { origin } = raycaster.ray;
+  const edge =
+    depEdgeGroup.visible &&
+    depEdges.pick(
+      origin.x,
+      origin.y,
+      EDGE_PICK_SLOP / camera.zoom,
+      ({ userData }) => userData.objects.length > 0
+    );
+  if (edge) {
+    showEdgeTooltip(edge.userData, event.clientX, event.clientY);
+    if (select) {
+      selectEdge(edge.userData);
     }
+    return;
   }
   hideTooltip();
-  if (select) {
+  if (select && !isMultiSelectClick(event)) {
     setSelected(null);
   }
 }
@@ -1312,12 +4647,19 @@ function showEdgeTooltip(data, x, y) {
     data.fromModule && data.toModule
       ? `${data.fromModule} depends on ${data.toModule}`
       : "Dependency";
+  const violations = data.violations || [];
   const text = [
     header,
+    ...violations.map(({ consumer, provider, rule }) =>
+      violations.length > 1 || consumer !== data.fromModule || provider !== data.toModule
+        ? `Violates: ${describeRule(rule)} (${consumer} → ${provider})`
+        : `Violates: ${describeRule(rule)}`
+    ),
     "",
     "Objects:",
     ...lines.map((label) => `- ${label}`),
     extra > 0 ? `+${extra} more` : "",
+    "Click the edge for details.",
   ]
     .filter(Boolean)
     .join("\n");
@@ -1347,7 +4689,7 @@ function focusModule(path) {
     return;
   }
   tweenZoomTo(1.02);
-  panTo(node.mesh.position);
+  panTo(nodePosition(node));
   pulseNode(node);
   setSelected(node.id);
 }
@@ -1375,23 +4717,295 @@ function pulseNode(node) {
   pulseTargets.add(node);
   setTimeout(() => {
     pulseTargets.delete(node);
-    node.mesh.scale.set(node.baseScale.x, node.baseScale.y, 1);
+    node.mesh.scale.set(node.baseScale.x * node.metricScale, node.baseScale.y * node.metricScale, 1);
   }, 1200);
 }
 
-detailsBody.addEventListener("click", (event) => {
+function showClosure(direction, origin) {
+  state.pathHighlight = null;
+  state.groupHighlight = null;
+  state.configHighlight = null;
+  renderGroupsView();
+  configView.render();
+  state.closure = closureFor(direction, origin);
+  if (state.pathFinder) {
+    state.pathFinder.active = -1;
+    renderPathResults();
+  }
+  applyHighlight();
+  renderDetails();
+}
+
+function closureFor(direction, origin) {
+  const { modulePath, signature } = origin;
+  let roots = [];
+  let firstHop = [];
+  let label = modulePath;
+  if (modulePath) {
+    roots = state.moduleOrder.filter((candidate) =>
+      state.query.isModuleWithin(candidate, modulePath)
+    );
+  } else {
+    const entries = state.query.objectsBySignature.get(signature) || [];
+    label = entries.length > 0 ? entries[0].label : signature;
+    firstHop =
+      direction === "dependencies"
+        ? state.query.providersOf(signature)
+        : state.query.consumerModulesOf(signature);
+  }
+  return {
+    direction,
+    label,
+    origin,
+    roots,
+    depths: transitiveClosure(direction, roots, firstHop),
+  };
+}
+
+function clearClosure() {
+  state.closure = null;
+  applyHighlight();
+  renderDetails();
+}
+
+function transitiveClosure(direction, roots, firstHop) {
+  const neighbours = direction === "dependencies" ? state.moduleDeps : buildReverseModuleDeps();
+  const visited = new Set(roots);
+  const depths = new Map();
+  let frontier = [...firstHop];
+  roots.forEach((modulePath) => {
+    frontier.push(...(neighbours.get(modulePath) || []));
+  });
+  let depth = 1;
+  while (frontier.length > 0) {
+    const next = [];
+    frontier.forEach((modulePath) => {
+      if (visited.has(modulePath)) {
+        return;
+      }
+      visited.add(modulePath);
+      depths.set(modulePath, depth);
+      next.push(...(neighbours.get(modulePath) || []));
+    });
+    frontier = next;
+    depth += 1;
+  }
+  return depths;
+}
+
+function closureByDepth(closure) {
+  const byDepth = [];
+  closure.depths.forEach((depth, modulePath) => {
+    if (!byDepth[depth - 1]) {
+      byDepth[depth - 1] = [];
+    }
+    byDepth[depth - 1].push(modulePath);
+  });
+  return byDepth.map((modules) => (modules || []).sort());
+}
+
+function closureAsText(closure) {
+  const title = closure.direction === "dependents" ? "Transitive dependents" : "Transitive dependencies";
+  const lines = [
+    `# ${title} of ${closure.label} (${closure.depths.size} modules)`,
+    "# depth\tmodule",
+  ];
+  closureByDepth(closure).forEach((modules, idx) => {
+    modules.forEach((modulePath) => lines.push(`${idx + 1}\t${modulePath}`));
+  });
+  return `${lines.join("\n")}\n`;
+}
+
+function exportClosure(action) {
+  if (action === "clear") {
+    clearClosure();
+    return;
+  }
+  if (!state.closure) {
+    return;
+  }
+  const text = closureAsText(state.closure);
+  if (action === "copy") {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(text).catch((err) => console.error("Copy failed", err));
+    }
+    return;
+  }
+  const fileName = `${state.closure.direction}-${state.closure.label.replace(/[^\w.-]+/g, "_")}.txt`;
+  downloadText(fileName, text);
+}
+
+function downloadText(fileName, text, type = "text/plain") {
+  downloadBlob(fileName, new Blob([text], { type }));
+}
+
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function captureExportView() {
+  if (layoutTween) {
+    finishLayoutTween();
+  }
+  const nodes = [];
+  state.nodes.forEach((node) => {
+    if (!node.mesh.visible) {
+      return;
+    }
+    const item = {
+      id: node.id,
+      kind: "module",
+      label: moduleDisplayName(node.modulePath),
+      title: node.modulePath,
+      x: node.mesh.position.x,
+      y: node.mesh.position.y,
+      width: node.baseScale.x * node.metricScale,
+      height: node.baseScale.y * node.metricScale,
+      dashed: false,
+      tint: `#${node.mesh.material.color.getHexString()}`,
+      opacity: node.mesh.material.opacity,
+    };
+    if (node.entityId) {
+      const found = graphEntity(node.entityId);
+      item.kind = found.kind;
+      item.label = entityCaption(found);
+      item.title = node.mesh.userData.label;
+      item.dashed = found.kind === "object" && isPrivateObject(found.entity, state.graph);
+    } else if (node.modulePath === ROOT_KEY) {
+      item.kind = "root";
+      item.label = "";
+      item.title = "root";
+    }
+    nodes.push(item);
+  });
+  const edges = [];
+  forEachEdge((edge) => {
+    if (!edge.visible) {
+      return;
+    }
+    const { kind, relation, from, to, objects } = edge.userData;
+    edges.push({
+      from,
+      to,
+      kind: kind === "entity" ? relation : kind || "tree",
+      points: edge.points.map((point) => ({ x: point.x, y: point.y })),
+      color: `#${edge.color.getHexString()}`,
+      opacity: edge.opacity,
+      width: edge.radius * 2,
+      objects: objects || [],
+    });
+  });
+  return { title: state.graphSource ? state.graphSource.name : "Hive graph", nodes, edges };
+}
+
+function exportCurrentView(format) {
+  const view = captureExportView();
+  const sourceName = (state.graphSource?.name || "graph").split("/").pop();
+  const baseName = `${sourceName.replace(/\.json$/i, "")}-${state.layoutMode}`;
+  if (format === "svg") {
+    downloadText(`${baseName}.svg`, renderSvg(view), "image/svg+xml");
+  } else if (format === "dot") {
+    downloadText(`${baseName}.dot`, renderDot(view), "text/vnd.graphviz");
+  } else if (format.startsWith("png-")) {
+    exportPng(view, Number(format.slice("png-".length)) || 1, `${baseName}.png`);
+  }
+}
+
+function exportPng(view, resolution, fileName) {
+  // Browsers refuse canvases much beyond 16k pixels per side.
+  const svg = renderSvg(view, { scale: 3 * resolution, maxSize: 16384 });
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => {
+      if (blob) {
+        downloadBlob(fileName, blob);
+      } else {
+        console.error("PNG export failed: canvas is too large");
+      }
+    }, "image/png");
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    console.error("PNG export failed");
+  };
+  image.src = url;
+}
+
+function handleDetailsClick(event) {
+  const isolateButton = event.target.closest("[data-isolate]");
+  if (isolateButton) {
+    const modulePath = isolateButton.dataset.isolate;
+    if (state.isolate && state.isolate.modulePath === modulePath) {
+      isolateMode.exit();
+    } else {
+      isolateMode.enter(modulePath);
+    }
+    return;
+  }
+  const closureButton = event.target.closest("[data-closure]");
+  if (closureButton) {
+    showClosure(closureButton.dataset.closure, {
+      modulePath: closureButton.dataset.closureModule || "",
+      signature: closureButton.dataset.closureSignature || "",
+    });
+    return;
+  }
+  const exportButton = event.target.closest("[data-closure-export]");
+  if (exportButton) {
+    exportClosure(exportButton.dataset.closureExport);
+    return;
+  }
+  if (event.target.closest("[data-compare-clear]")) {
+    setSelected(state.selectedId);
+    return;
+  }
+  handleChipClick(event);
+}
+
+function handleChipClick(event) {
   const target = event.target.closest(".object-chip");
   if (!target) {
     return;
   }
   const modulePath = target.dataset.module || "";
   const signature = target.dataset.signature || "";
+  if (target.dataset.entity) {
+    focusEntity(target.dataset.entity);
+    return;
+  }
   if (modulePath) {
     focusModulePath(modulePath);
     return;
   }
   focusObjectBySignature(signature);
-});
+}
+
+detailsBody.addEventListener("click", handleDetailsClick);
+if (diagnosticsBody) {
+  diagnosticsBody.addEventListener("click", handleChipClick);
+}
+
+if (panelTabs) {
+  panelTabs.addEventListener("click", (event) => {
+    const tab = event.target.closest("[data-view]");
+    if (tab) {
+      setPanelView(tab.dataset.view);
+    }
+  });
+}
 
 viewport.addEventListener("pointerdown", (event) => {
   isDragging = true;
@@ -1406,6 +5020,8 @@ viewport.addEventListener("pointerup", (event) => {
     );
     if (moved < 4) {
       pick(event, true);
+    } else {
+      scheduleLocationSync();
     }
   }
   isDragging = false;
@@ -1435,6 +5051,7 @@ viewport.addEventListener(
     const delta = Math.sign(event.deltaY) * -0.1;
     camera.zoom = Math.min(2.5, Math.max(0.4, camera.zoom + delta));
     camera.updateProjectionMatrix();
+    scheduleLocationSync();
   },
   { passive: false }
 );
@@ -1455,24 +5072,223 @@ viewport.addEventListener("dblclick", (event) => {
   const mesh = intersects[0].object;
   const nodeId = mesh.userData.id;
   const node = state.nodes.get(nodeId);
-  if (node) {
+  if (node && !node.entityId) {
     pushHistory();
     toggleModule(node.modulePath);
     focusModule(node.modulePath);
   }
 });
 
+function handleKeydown(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.metaKey || isTextEntry(event.target)) {
+    return;
+  }
+  const key = event.key;
+  if (shortcutHelp && !shortcutHelp.hidden && (key === "Escape" || key === "?")) {
+    event.preventDefault();
+    toggleShortcutHelp(false);
+    return;
+  }
+  if (event.altKey) {
+    if (key === "ArrowLeft") {
+      event.preventDefault();
+      navigateBack();
+    }
+    return;
+  }
+  const onButton = event.target && event.target.closest && event.target.closest("button");
+  let handled = true;
+  switch (key) {
+    case "ArrowUp":
+    case "ArrowDown":
+      stepModuleRow(key === "ArrowDown" ? 1 : -1);
+      break;
+    case "ArrowRight":
+      stepIntoModule();
+      break;
+    case "ArrowLeft":
+      stepOutOfModule();
+      break;
+    case "Enter":
+    case " ":
+      if (onButton || !selectedModulePath()) {
+        handled = false;
+        break;
+      }
+      activateModule(selectedModulePath());
+      break;
+    case "/":
+      if (objectQuery) {
+        objectQuery.focus();
+        objectQuery.select();
+      }
+      break;
+    case "Backspace":
+      navigateBack();
+      break;
+    case "+":
+    case "=":
+      tweenZoom(KEY_ZOOM_STEP);
+      scheduleLocationSync();
+      break;
+    case "-":
+    case "_":
+      tweenZoom(1 / KEY_ZOOM_STEP);
+      scheduleLocationSync();
+      break;
+    case "?":
+      toggleShortcutHelp(true);
+      break;
+    case "i":
+      handled = isolateMode.toggle();
+      break;
+    case "Escape":
+      if (!state.isolate) {
+        handled = false;
+        break;
+      }
+      isolateMode.exit();
+      break;
+    default:
+      handled = panByKey(key.toLowerCase());
+  }
+  if (handled) {
+    event.preventDefault();
+  }
+}
+
+function isTextEntry(target) {
+  if (!target || !target.tagName) {
+    return false;
+  }
+  return (
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || Boolean(target.isContentEditable)
+  );
+}
+
+function panByKey(key) {
+  const directions = { w: [0, 1], a: [-1, 0], s: [0, -1], d: [1, 0] };
+  if (!directions[key]) {
+    return false;
+  }
+  const [dx, dy] = directions[key];
+  const target = cameraTarget();
+  const step = KEY_PAN_STEP / target.zoom;
+  panTo({ x: target.x + dx * step, y: target.y + dy * step });
+  scheduleLocationSync();
+  return true;
+}
+
+function moduleRowPaths() {
+  if (!moduleList) {
+    return [];
+  }
+  return Array.from(moduleList.querySelectorAll(".module-row"))
+    .filter((row) => !row.hidden)
+    .map((row) => row.dataset.module);
+}
+
+function stepModuleRow(delta) {
+  const rows = moduleRowPaths();
+  if (rows.length === 0) {
+    return;
+  }
+  const index = rows.indexOf(selectedModulePath());
+  const next = index === -1 ? (delta > 0 ? 0 : rows.length - 1) : index + delta;
+  if (next >= 0 && next < rows.length) {
+    focusModule(rows[next]);
+  }
+}
+
+function stepIntoModule() {
+  const path = selectedModulePath();
+  if (!path) {
+    stepModuleRow(1);
+    return;
+  }
+  if (!state.expandedModules.has(path)) {
+    if (isExpandableModule(path)) {
+      activateModule(path);
+    }
+    return;
+  }
+  const children = state.graph.modules[path].children || [];
+  if (children.length > 0) {
+    focusModule(children[0]);
+  }
+}
+
+function stepOutOfModule() {
+  const path = selectedModulePath();
+  if (!path) {
+    return;
+  }
+  if (state.expandedModules.has(path) && isExpandableModule(path)) {
+    activateModule(path);
+    return;
+  }
+  const parent = state.graph.modules[path].parent || "";
+  if (parent && parent !== ROOT_KEY && state.graph.modules[parent]) {
+    focusModule(parent);
+  }
+}
+
+function toggleShortcutHelp(show) {
+  if (shortcutHelp) {
+    shortcutHelp.hidden = !show;
+  }
+}
+
+document.addEventListener("keydown", handleKeydown);
+
+if (shortcutHelp) {
+  shortcutHelp.addEventListener("click", (event) => {
+    if (event.target === shortcutHelp || event.target.closest("[data-shortcuts-close]")) {
+      toggleShortcutHelp(false);
+    }
+  });
+}
+
+document.getElementById("show-shortcuts")?.addEventListener("click", () => {
+  toggleShortcutHelp(true);
+});
+
 document.getElementById("reset-view").addEventListener("click", () => {
+  zoomTween = null;
+  panTween = null;
   camera.position.set(0, 0, 200);
   camera.zoom = DEFAULT_ZOOM;
   camera.updateProjectionMatrix();
+  scheduleLocationSync();
 });
 
 if (navBackButton) {
   navBackButton.addEventListener("click", () => {
-    const snapshot = popHistory();
-    if (snapshot) {
-      restoreViewState(snapshot);
+    navigateBack();
+  });
+}
+
+window.addEventListener("popstate", handlePopState);
+
+if (internalsButton) {
+  internalsButton.addEventListener("click", () => {
+    setShowInternals(!state.showInternals);
+    updateGraph();
+  });
+}
+
+if (layoutSelect) {
+  layoutSelect.addEventListener("change", () => {
+    setLayoutMode(layoutSelect.value);
+  });
+}
+
+if (exportSelect) {
+  exportSelect.addEventListener("change", () => {
+    const format = exportSelect.value;
+    exportSelect.value = "";
+    if (format) {
+      exportCurrentView(format);
     }
   });
 }
@@ -1490,19 +5306,51 @@ document.getElementById("collapse-all").addEventListener("click", () => {
 });
 
 function bootstrap() {
-  fetchGraph()
+  setupSourceLinks();
+  setupObjectSearch();
+  setupModuleFilter();
+  setupGraphLoading();
+  setupCompareMode();
+  layeringView.setup();
+  liveMode.setup();
+  setupPathFinder();
+  setupGroupsView();
+  configView.setup();
+  isolateMode.setup();
+  setupMetricsView();
+  const url = graphUrlFromLocation();
+  const params = new URLSearchParams(window.location.search);
+  const compareUrl = params.get("compare");
+  const rulesUrl = params.get("rules");
+  const embedded = params.has("graph") ? null : document.getElementById(EMBEDDED_GRAPH_ID);
+  const source = embedded
+    ? { kind: "embedded", name: embedded.dataset.name || "graph.json" }
+    : { kind: "url", name: url, url };
+  const initial = embedded
+    ? Promise.resolve().then(() => JSON.parse(embedded.textContent))
+    : fetchGraph(url);
+  initial
     .then((graph) => {
-      state.graph = graph;
-      buildModuleDeps();
-      buildNodes();
-      buildObjectIndex();
-      updateGraph();
-      setupObjectSearch();
-      animate();
+      loadGraph(graph, source);
+      if (!embedded) {
+        rememberRecentGraph(state.graphSource, null);
+      }
+      if (!compareUrl) {
+        return null;
+      }
+      return fetchGraph(compareUrl)
+        .then((base) => enterCompareMode(base, compareUrl))
+        .catch((err) => showCompareError(compareUrl, err));
     })
-    .catch((err) => {
-      detailsBody.innerHTML = `<div class="muted">Failed to load graph: ${err}</div>`;
-    });
+    .then(() => restoreInitialLocation())
+    .then(() => (rulesUrl ? layeringView.loadFromUrl(rulesUrl) : null))
+    .then(() => {
+      const liveUrl = params.get("live") || state.graphSource.url;
+      if (params.has("live") && liveUrl) {
+        liveMode.start(liveUrl, Number(params.get("poll")) || LIVE_POLL_MS);
+      }
+    })
+    .catch((err) => showLoadError(source.name, err));
 }
 
 bootstrap();
@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+// Guards edge-batch.mjs against GPU resource leaks, slow updates and wrong picks:
+//
+//   node bench-edges.mjs graph.json [--rounds N] [--budget ms] [--format text|json] [--output file]
+//
+// Expands and collapses every module of the graph --rounds times and syncs
+// the tree and dependency edge batches the way the explorer does, against a
+// stand-in for three.js that counts live geometries, materials and buffer
+// bytes. Exits 1 when a round leaves more geometries or materials than the
+// collapsed graph started with, when the buffers grow again after the first
+// round (they only grow until warmed up), when a sync takes longer than
+// --budget milliseconds, or when pick() misses the edge nearest to a point
+// next to each edge of the expanded graph.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { register } from "node:module";
+import { parseArgs } from "node:util";
+import { ROOT_KEY, computeModuleDeps } from "./graph-model.mjs";
+import { LAYOUT_X_SPACING, LAYOUT_Y_SPACING, treeLayout } from "./layout.mjs";
+
+const THREE_URL = "https://unpkg.com/three@0.160.0/build/three.module.js";
+// The explorer's curve samples per dependency edge.
+const DEP_EDGE_SEGMENTS = 28;
+// The explorer's pick slop at zoom 1, and how finely the pick check samples
+// the edges to find the nearest one itself.
+const PICK_SLOP = 1.5;
+const PICK_CHECK_SAMPLES = 256;
+const PICK_TOLERANCE = 0.05;
+
+// Just enough of three.js for edge-batch.mjs, keeping count of what a
+// renderer would hold on the GPU.
+const MOCK_THREE = `
+export const DoubleSide = 2;
+export const memory = { geometries: 0, materials: 0, bytes: 0 };
+export class Color {
+  constructor(value) {
+    const hex = /^#([0-9a-f]{6})$/i.exec(String(value));
+    const num = hex ? parseInt(hex[1], 16) : 0;
+    this.r = ((num >> 16) & 255) / 255;
+    this.g = ((num >> 8) & 255) / 255;
+    this.b = (num & 255) / 255;
+  }
+  equals(other) {
+    return this.r === other.r && this.g === other.g && this.b === other.b;
+  }
+}
+export class BufferAttribute {
+  constructor(array, itemSize) {
+    this.array = array;
+    this.itemSize = itemSize;
+    this.needsUpdate = false;
+    this.updateRanges = [];
+  }
+  clearUpdateRanges() {
+    this.updateRanges = [];
+  }
+  addUpdateRange(start, count) {
+    this.updateRanges.push({ start, count });
+  }
+}
+export class BufferGeometry {
+  constructor() {
+    this.attributes = {};
+    this.index = null;
+    this.disposed = false;
+    memory.geometries += 1;
+  }
+  setAttribute(name, attribute) {
+    this.attributes[name] = attribute;
+    memory.bytes += attribute.array.byteLength;
+  }
+  getAttribute(name) {
+    return this.attributes[name];
+  }
+  setIndex(attribute) {
+    this.index = attribute;
+    memory.bytes += attribute.array.byteLength;
+  }
+  setDrawRange(start, count) {
+    this.drawRange = { start, count };
+  }
+  dispose() {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+    memory.geometries -= 1;
+    [...Object.values(this.attributes), this.index].forEach((attribute) => {
+      if (attribute) {
+        memory.bytes -= attribute.array.byteLength;
+      }
+    });
+  }
+}
+export class MeshBasicMaterial {
+  constructor(options) {
+    Object.assign(this, options);
+    this.disposed = false;
+    memory.materials += 1;
+  }
+  dispose() {
+    if (!this.disposed) {
+      this.disposed = true;
+      memory.materials -= 1;
+    }
+  }
+}
+export class Mesh {
+  constructor(geometry, material) {
+    this.geometry = geometry;
+    this.material = material;
+  }
+}
+`;
+
+const HOOKS = `
+export async function resolve(specifier, context, next) {
+  if (specifier === ${JSON.stringify(THREE_URL)}) {
+    return {
+      url: ${JSON.stringify(`data:text/javascript,${encodeURIComponent(MOCK_THREE)}`)},
+      shortCircuit: true,
+    };
+  }
+  return next(specifier, context);
+}
+`;
+
+function usage(message) {
+  if (message) {
+    console.error(`bench-edges: ${message}`);
+  }
+  console.error(
+    "usage: node bench-edges.mjs graph.json [--rounds N] [--budget ms] [--format text|json] [--output file]"
+  );
+  process.exit(2);
+}
+
+function fail(message) {
+  console.error(`bench-edges: ${message}`);
+  process.exit(1);
+}
+
+// edgeSpecs lays the graph out as a tree with the given modules expanded and
+// returns the edge batch specs for its hierarchy and dependency edges.
+function edgeSpecs(graph, depObjects, expanded) {
+  const layout = treeLayout(graph.modules, expanded, () => null);
+  const scene = new Map();
+  layout.positions.forEach((pos, modulePath) => {
+    scene.set(modulePath, { x: pos.x * LAYOUT_X_SPACING, y: -pos.y * LAYOUT_Y_SPACING });
+  });
+  const tree = new Map();
+  layout.edges.forEach(([from, to]) => {
+    tree.set(`module:${from}->module:${to}`, {
+      points: [scene.get(from), scene.get(to)],
+      radius: 0.45,
+      color: "#2f4858",
+      userData: { from, to },
+    });
+  });
+  const resolve = (modulePath) => {
+    let current = modulePath;
+    while (current && !scene.has(current)) {
+      current = graph.modules[current]?.parent || "";
+    }
+    return current && current !== ROOT_KEY ? current : "";
+  };
+  const deps = new Map();
+  depObjects.forEach((providers, consumer) => {
+    const from = resolve(consumer);
+    providers.forEach((objects, provider) => {
+      const to = resolve(provider);
+      if (!from || !to || from === to) {
+        return;
+      }
+      const start = scene.get(from);
+      const end = scene.get(to);
+      deps.set(`module:${from}->module:${to}`, {
+        points: [start, { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 + 12 }, end],
+        radius: 0.5,
+        color: "#f26a4f",
+        userData: { from, to },
+      });
+    });
+  });
+  return { tree, deps };
+}
+
+// curveDistance is the distance from (x, y) to the edge through `points`,
+// measured on a finer polyline than edge-batch.mjs samples.
+function curveDistance(points, x, y) {
+  const [start, middle, end] = points.length === 3 ? points : [points[0], null, points[1]];
+  const at = (t) => {
+    const u = 1 - t;
+    return middle
+      ? {
+          x: u * u * start.x + 2 * u * t * middle.x + t * t * end.x,
+          y: u * u * start.y + 2 * u * t * middle.y + t * t * end.y,
+        }
+      : { x: u * start.x + t * end.x, y: u * start.y + t * end.y };
+  };
+  let best = Infinity;
+  let a = at(0);
+  for (let i = 1; i <= PICK_CHECK_SAMPLES; i += 1) {
+    const b = at(i / PICK_CHECK_SAMPLES);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+    best = Math.min(best, Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)));
+    a = b;
+  }
+  return best;
+}
+
+// checkPicks picks next to the middle of every edge of the batches and
+// compares the result with the nearest edge found by brute force. Edges
+// within PICK_TOLERANCE of the nearest one are accepted too, as the batch
+// samples curves more coarsely. Hiding the nearest edge must make pick()
+// skip it.
+function checkPicks(batches) {
+  const problems = [];
+  // A curve stays within the box around its anchors.
+  const all = batches.flatMap((batch) =>
+    Array.from(batch.edges.values(), (edge) => {
+      const reach = edge.radius + PICK_SLOP;
+      const xs = edge.points.map((point) => point.x);
+      const ys = edge.points.map((point) => point.y);
+      return {
+        batch,
+        edge,
+        minX: Math.min(...xs) - reach,
+        maxX: Math.max(...xs) + reach,
+        minY: Math.min(...ys) - reach,
+        maxY: Math.max(...ys) + reach,
+      };
+    })
+  );
+  const nearest = (x, y, skip = null) => {
+    let best = null;
+    all.forEach((item) => {
+      if (item.edge === skip || x < item.minX || x > item.maxX || y < item.minY || y > item.maxY) {
+        return;
+      }
+      const distance = curveDistance(item.edge.points, x, y) - item.edge.radius;
+      if (distance <= PICK_SLOP && (!best || distance < best.distance)) {
+        best = { batch: item.batch, edge: item.edge, distance };
+      }
+    });
+    return best;
+  };
+  const picked = (x, y) => {
+    const hits = batches
+      .map((batch) => batch.pick(x, y, PICK_SLOP))
+      .filter(Boolean)
+      .map((edge) => ({ edge, distance: curveDistance(edge.points, x, y) - edge.radius }));
+    return hits.reduce((best, hit) => (!best || hit.distance < best.distance ? hit : best), null);
+  };
+  const sameDistance = (a, b) => Math.abs(a.distance - b.distance) < PICK_TOLERANCE;
+  all.forEach(({ edge }) => {
+    const [start, middle, end] =
+      edge.points.length === 3 ? edge.points : [edge.points[0], null, edge.points[1]];
+    const half = (axis) =>
+      middle ? (start[axis] + 2 * middle[axis] + end[axis]) / 4 : (start[axis] + end[axis]) / 2;
+    const x = half("x");
+    const y = half("y") + edge.radius + 0.5;
+    const expected = nearest(x, y);
+    const got = picked(x, y);
+    if (!expected) {
+      return;
+    }
+    if (!got || (got.edge !== expected.edge && !sameDistance(got, expected))) {
+      const name = got ? got.edge.key : "nothing";
+      problems.push(`pick near ${edge.key}: got ${name}, expected ${expected.edge.key}`);
+      return;
+    }
+    expected.batch.setStyle(expected.edge, { visible: false });
+    const hidden = picked(x, y);
+    const next = nearest(x, y, expected.edge);
+    expected.batch.setStyle(expected.edge, { visible: true });
+    if (hidden && hidden.edge === expected.edge) {
+      problems.push(`pick near ${edge.key}: picked the hidden edge`);
+    } else if (Boolean(hidden) !== Boolean(next) || (hidden && !sameDistance(hidden, next))) {
+      const name = hidden ? hidden.edge.key : "nothing";
+      problems.push(`pick near ${edge.key} with it hidden: got ${name}`);
+    }
+  });
+  return problems;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        rounds: { type: "string", default: "5" },
+        budget: { type: "string", default: "" },
+        format: { type: "string", default: "text" },
+        output: { type: "string", short: "o", default: "" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length !== 1) {
+    usage(values.help ? "" : "expected exactly one graph.json");
+  }
+  const rounds = Number(values.rounds);
+  if (!Number.isInteger(rounds) || rounds < 1) {
+    usage(`bad rounds ${values.rounds}`);
+  }
+  const budget = values.budget ? Number(values.budget) : Infinity;
+  if (!(budget > 0)) {
+    usage(`bad budget ${values.budget}`);
+  }
+  if (!["text", "json"].includes(values.format)) {
+    usage(`unknown format ${values.format}`);
+  }
+
+  const file = positionals[0];
+  let graph;
+  try {
+    graph = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  if (!graph || !graph.modules) {
+    fail(`${file} is not a hive graph (no modules)`);
+  }
+
+  register(`data:text/javascript,${encodeURIComponent(HOOKS)}`, import.meta.url);
+  const { memory } = await import(THREE_URL);
+  const { createEdgeBatch } = await import("./edge-batch.mjs");
+
+  const { depObjects } = computeModuleDeps(graph);
+  const collapsed = edgeSpecs(graph, depObjects, new Set());
+  const expanded = edgeSpecs(graph, depObjects, new Set(Object.keys(graph.modules)));
+  const treeEdges = createEdgeBatch();
+  const depEdges = createEdgeBatch({ segments: DEP_EDGE_SEGMENTS });
+  const rows = [];
+  const step = (name, specs) => {
+    const started = performance.now();
+    treeEdges.sync(specs.tree);
+    depEdges.sync(specs.deps);
+    treeEdges.flush();
+    depEdges.flush();
+    rows.push({
+      step: name,
+      syncMs: Math.round((performance.now() - started) * 100) / 100,
+      edges: treeEdges.edges.size + depEdges.edges.size,
+      geometries: memory.geometries,
+      materials: memory.materials,
+      bufferKB: Math.round(memory.bytes / 1024),
+    });
+    return rows[rows.length - 1];
+  };
+
+  const start = step("collapsed", collapsed);
+  const problems = [];
+  let warm = null;
+  for (let i = 1; i <= rounds; i += 1) {
+    step(`expand all #${i}`, expanded);
+    const row = step(`collapse all #${i}`, collapsed);
+    ["geometries", "materials"].forEach((resource) => {
+      if (row[resource] !== start[resource]) {
+        problems.push(`${row.step}: ${row[resource]} ${resource}, started with ${start[resource]}`);
+      }
+    });
+    if (warm && row.bufferKB > warm.bufferKB) {
+      problems.push(`${row.step}: buffers grew to ${row.bufferKB} KB after ${warm.bufferKB} KB`);
+    }
+    warm = warm || row;
+  }
+  step("pick check", expanded);
+  problems.push(...checkPicks([treeEdges, depEdges]));
+  const slowest = rows.reduce((worst, row) => (row.syncMs > worst.syncMs ? row : worst));
+  if (slowest.syncMs > budget) {
+    problems.push(`${slowest.step}: sync took ${slowest.syncMs} ms, budget ${budget} ms`);
+  }
+  treeEdges.dispose();
+  depEdges.dispose();
+
+  const columns = ["step", "syncMs", "edges", "geometries", "materials", "bufferKB"];
+  const output =
+    values.format === "json"
+      ? `${JSON.stringify({ rows, problems }, null, 2)}\n`
+      : [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+          .map((cells) => `${cells.map((cell) => String(cell).padEnd(16)).join("").trimEnd()}\n`)
+          .join("");
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  if (problems.length > 0) {
+    fail(problems.join("\n"));
+  }
+}
+
+main();
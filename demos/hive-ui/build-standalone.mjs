@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Builds the explorer as one self-contained HTML file with a graph.json
+// embedded, for machines without network access.
+//
+//   node build-standalone.mjs graph.json [--three three.module.js] [--title text]
+//     [--output file]
+//
+// The app modules and three.js are inlined as data: URL modules, the
+// stylesheet is inlined without the web font import (the fallback fonts are
+// used), and the graph goes into a JSON script element that app.js loads
+// instead of fetching graph.json. Without --three, three.js is downloaded
+// from the unpkg URL the app imports it from.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { basename, dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const THREE_URL = "https://unpkg.com/three@0.160.0/build/three.module.js";
+// Static import statements; the explorer does not use dynamic imports.
+const IMPORT_PATTERN = /^(import\s[^;]*?\sfrom\s*|import\s*)(["'])([^"']+)\2/gm;
+const FONT_IMPORT_PATTERN = /^@import url\("https:\/\/fonts\.googleapis\.com[^\n]*\n+/m;
+
+function usage(message) {
+  if (message) {
+    console.error(`build-standalone: ${message}`);
+  }
+  console.error(
+    "usage: node build-standalone.mjs graph.json [--three three.module.js] [--title text]\n" +
+      "         [--output file]"
+  );
+  process.exit(2);
+}
+
+function fail(message) {
+  console.error(`build-standalone: ${message}`);
+  process.exit(1);
+}
+
+function dataUrl(source) {
+  return `data:text/javascript;base64,${Buffer.from(source).toString("base64")}`;
+}
+
+// inlineImports rewrites the import specifiers of a module to data: URLs.
+// Relative imports are inlined recursively, each file once.
+function inlineImports(source, threeUrl, cache) {
+  return source.replace(IMPORT_PATTERN, (match, head, quote, specifier) => {
+    let url;
+    if (specifier === THREE_URL) {
+      url = threeUrl;
+    } else if (specifier.startsWith("./")) {
+      const file = specifier.slice(2);
+      if (!cache.has(file)) {
+        const module = readFileSync(join(HERE, file), "utf8");
+        cache.set(file, dataUrl(inlineImports(module, threeUrl, cache)));
+      }
+      url = cache.get(file);
+    } else {
+      fail(`cannot inline import of ${specifier}`);
+    }
+    return `${head}${quote}${url}${quote}`;
+  });
+}
+
+async function loadThree(file) {
+  if (file) {
+    try {
+      return readFileSync(file, "utf8");
+    } catch (err) {
+      fail(`cannot read ${file}: ${err.message}`);
+    }
+  }
+  try {
+    const res = await fetch(THREE_URL);
+    if (!res.ok) {
+      throw new Error(`${res.status} ${res.statusText}`.trim());
+    }
+    return await res.text();
+  } catch (err) {
+    fail(
+      `cannot download three.js (${err.message}); pass a local copy of\n` +
+        "  three@0.160.0/build/three.module.js with --three"
+    );
+  }
+  return "";
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// replaceOnce swaps a fragment of index.html, failing loudly when the page
+// no longer contains it so the build does not silently ship a broken file.
+function replaceOnce(html, fragment, replacement) {
+  const index = html.indexOf(fragment);
+  if (index === -1) {
+    fail(`index.html no longer contains ${fragment}`);
+  }
+  return html.slice(0, index) + replacement + html.slice(index + fragment.length);
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        three: { type: "string", default: "" },
+        title: { type: "string", default: "" },
+        output: { type: "string", short: "o", default: "" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length !== 1) {
+    usage(values.help ? "" : "expected exactly one graph.json");
+  }
+
+  const file = positionals[0];
+  let graph;
+  try {
+    graph = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  if (!graph || !graph.modules) {
+    fail(`${file} is not a hive graph (no modules)`);
+  }
+
+  const three = await loadThree(values.three);
+  const app = inlineImports(readFileSync(join(HERE, "app.js"), "utf8"), dataUrl(three), new Map());
+  if (/<\/script/i.test(app)) {
+    fail("app.js contains </script and cannot be inlined");
+  }
+  const css = readFileSync(join(HERE, "style.css"), "utf8").replace(FONT_IMPORT_PATTERN, "");
+  // Escaping "<" keeps the JSON valid and the script element unbroken.
+  const json = JSON.stringify(graph).replace(/</g, "\\u003c");
+  const name = basename(file);
+
+  let html = readFileSync(join(HERE, "index.html"), "utf8");
+  html = replaceOnce(
+    html,
+    "<title>Hive Graph Explorer</title>",
+    `<title>${escapeHtml(values.title || `Hive Graph Explorer: ${name}`)}</title>`
+  );
+  html = replaceOnce(html, '<link rel="stylesheet" href="style.css" />', `<style>\n${css}</style>`);
+  html = replaceOnce(
+    html,
+    '<script type="module" src="app.js"></script>',
+    `<script type="application/json" id="hive-graph" data-name="${escapeHtml(name)}">${json}</script>\n` +
+      `    <script type="module">\n${app}</script>`
+  );
+
+  if (values.output) {
+    writeFileSync(values.output, html);
+  } else {
+    process.stdout.write(html);
+  }
+}
+
+main();
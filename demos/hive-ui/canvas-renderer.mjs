@@ -0,0 +1,184 @@
+// A 2D canvas stand-in for THREE.WebGLRenderer, used when the browser cannot
+// create a WebGL context (headless browsers, remote desktops, VMs without GPU
+// acceleration). It draws the explorer's scene as it is: sprites as their
+// canvas textures tinted by the material color, batched edges as stroked
+// curves along each edge. Everything else (the orthographic camera, raycast
+// picking, tweens, highlight) keeps working on the same three.js objects
+// since none of it needs the GPU.
+//
+//   const renderer = createCanvasRenderer();
+//   renderer.setSize(width, height);
+//   renderer.render(scene, camera);
+
+// Tinted texture copies kept per sprite before the oldest is dropped.
+const TINT_CACHE_SIZE = 4;
+
+export function createCanvasRenderer() {
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  const tinted = new WeakMap();
+  let pixelRatio = 1;
+  let width = 0;
+  let height = 0;
+
+  function setPixelRatio(value) {
+    pixelRatio = value || 1;
+    setSize(width, height);
+  }
+
+  function setSize(nextWidth, nextHeight) {
+    width = nextWidth;
+    height = nextHeight;
+    canvas.width = Math.floor(width * pixelRatio);
+    canvas.height = Math.floor(height * pixelRatio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+  }
+
+  function render(scene, camera) {
+    if (scene.matrixWorldAutoUpdate) {
+      scene.updateMatrixWorld();
+    }
+    if (camera.parent === null && camera.matrixWorldAutoUpdate) {
+      camera.updateMatrixWorld();
+    }
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!width || !height) {
+      return;
+    }
+    // Orthographic projection of the scene plane: world units to CSS pixels,
+    // then to device pixels through the context transform.
+    const unit = (width / (camera.right - camera.left)) * camera.zoom;
+    const originX = width / 2 - ((camera.left + camera.right) / 2) * unit;
+    const originY = height / 2 + ((camera.top + camera.bottom) / 2) * unit;
+    context.setTransform(
+      unit * pixelRatio,
+      0,
+      0,
+      -unit * pixelRatio,
+      (originX - camera.position.x * unit) * pixelRatio,
+      (originY + camera.position.y * unit) * pixelRatio
+    );
+
+    collectDrawables(scene).forEach(({ object }) => {
+      if (object.isSprite) {
+        drawSprite(object);
+      } else if (object.edgeBatch) {
+        drawEdgeBatch(object, unit);
+      }
+    });
+  }
+
+  function drawSprite(sprite) {
+    const { material } = sprite;
+    const image = material.map && material.map.image;
+    if (!image || !image.width || !image.height) {
+      return;
+    }
+    const e = sprite.matrixWorld.elements;
+    const scaleX = Math.hypot(e[0], e[1], e[2]);
+    const scaleY = Math.hypot(e[4], e[5], e[6]);
+    context.save();
+    context.globalAlpha = material.opacity;
+    // Undo the y flip for the texture so labels read the right way up.
+    context.translate(e[12], e[13]);
+    context.scale(1, -1);
+    context.drawImage(
+      tintedImage(image, material.color),
+      -scaleX * sprite.center.x,
+      -scaleY * (1 - sprite.center.y),
+      scaleX,
+      scaleY
+    );
+    context.restore();
+  }
+
+  function drawEdgeBatch(mesh, unit) {
+    const e = mesh.matrixWorld.elements;
+    mesh.edgeBatch.forEachVisible(({ samples, radius, color, opacity }) => {
+      context.save();
+      context.globalAlpha = opacity;
+      context.strokeStyle = `#${color.getHexString()}`;
+      // Keep hairline edges visible when zoomed far out.
+      context.lineWidth = Math.max(radius * 2, 1 / unit);
+      context.lineCap = "round";
+      context.beginPath();
+      samples.forEach((point, index) => {
+        const x = point.x + e[12];
+        const y = point.y + e[13];
+        if (index === 0) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      });
+      context.stroke();
+      context.restore();
+    });
+  }
+
+  // tintedImage multiplies the sprite texture by the material color the way
+  // the WebGL sprite shader does. White leaves the texture untouched.
+  function tintedImage(image, color) {
+    const hex = color.getHexString();
+    if (hex === "ffffff") {
+      return image;
+    }
+    let copies = tinted.get(image);
+    if (!copies) {
+      copies = new Map();
+      tinted.set(image, copies);
+    }
+    if (copies.has(hex)) {
+      return copies.get(hex);
+    }
+    const copy = document.createElement("canvas");
+    copy.width = image.width;
+    copy.height = image.height;
+    const copyContext = copy.getContext("2d");
+    copyContext.drawImage(image, 0, 0);
+    copyContext.globalCompositeOperation = "multiply";
+    copyContext.fillStyle = `#${hex}`;
+    copyContext.fillRect(0, 0, copy.width, copy.height);
+    copyContext.globalCompositeOperation = "destination-in";
+    copyContext.drawImage(image, 0, 0);
+    if (copies.size >= TINT_CACHE_SIZE) {
+      copies.delete(copies.keys().next().value);
+    }
+    copies.set(hex, copy);
+    return copy;
+  }
+
+  return {
+    domElement: canvas,
+    isCanvasRenderer: true,
+    setPixelRatio,
+    setSize,
+    render,
+    dispose() {},
+  };
+}
+
+// collectDrawables lists the visible sprites and meshes back to front. Like
+// the WebGL renderer, a hidden parent hides its children and objects sort by
+// renderOrder, then depth, keeping scene order for ties.
+function collectDrawables(scene) {
+  const drawables = [];
+  const visit = (object) => {
+    if (!object.visible) {
+      return;
+    }
+    if (object.isSprite || object.isMesh) {
+      drawables.push({
+        object,
+        order: object.renderOrder,
+        z: object.matrixWorld.elements[14],
+        index: drawables.length,
+      });
+    }
+    object.children.forEach(visit);
+  };
+  visit(scene);
+  return drawables.sort((a, b) => a.order - b.order || a.z - b.z || a.index - b.index);
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+// Checks a hive graph.json against layering rules, the same check the
+// explorer's Rules… button runs, so it can gate changes in CI:
+//
+//   node check-layering.mjs graph.json rules.json [--format text|json] [--output file]
+//
+// See layering.mjs for the rules format. Exits 1 when any module dependency
+// breaks a rule, after listing the violations with the objects behind them.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { computeModuleDeps } from "./graph-model.mjs";
+import { checkLayering, describeRule, parseLayeringRules } from "./layering.mjs";
+
+function usage(message) {
+  if (message) {
+    console.error(`check-layering: ${message}`);
+  }
+  console.error(
+    "usage: node check-layering.mjs graph.json rules.json [--format text|json] [--output file]"
+  );
+  process.exit(2);
+}
+
+function fail(message) {
+  console.error(`check-layering: ${message}`);
+  process.exit(1);
+}
+
+function readText(file) {
+  try {
+    return readFileSync(file, "utf8");
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "text" },
+        output: { type: "string", short: "o", default: "" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    usage("");
+  }
+  if (positionals.length !== 2) {
+    usage("expected a graph.json and a rules file");
+  }
+  if (!["text", "json"].includes(values.format)) {
+    usage(`unknown format ${values.format}`);
+  }
+  const [graphFile, rulesFile] = positionals;
+
+  let graph;
+  try {
+    graph = JSON.parse(readText(graphFile));
+  } catch (err) {
+    fail(`cannot read ${graphFile}: ${err.message}`);
+  }
+  if (!graph || !graph.modules) {
+    fail(`${graphFile} is not a hive graph (no modules)`);
+  }
+  let rules;
+  try {
+    rules = parseLayeringRules(readText(rulesFile));
+  } catch (err) {
+    fail(`${rulesFile}: ${err.message}`);
+  }
+
+  const violations = checkLayering(rules, computeModuleDeps(graph).depObjects);
+  const output =
+    values.format === "json"
+      ? `${JSON.stringify(
+          violations.map(({ consumer, provider, rule, objects }) => ({
+            consumer,
+            provider,
+            rule: { from: rule.from, to: rule.to, allow: rule.allow, reason: rule.reason },
+            objects,
+          })),
+          null,
+          2
+        )}\n`
+      : violations
+          .map(({ consumer, provider, rule, objects }) =>
+            [
+              `${consumer} -> ${provider}: ${describeRule(rule)}${rule.reason ? ` (${rule.reason})` : ""}`,
+              ...objects.map((label) => `  ${label}`),
+            ]
+              .map((line) => `${line}\n`)
+              .join("")
+          )
+          .join("");
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  if (violations.length > 0) {
+    console.error(`check-layering: ${violations.length} dependencies break ${rulesFile}`);
+    process.exit(1);
+  }
+}
+
+main();
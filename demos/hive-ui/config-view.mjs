@@ -0,0 +1,120 @@
+// The Config panel: the graph's configuration objects with their flags, and
+// where the selected one is provided and read.
+//
+//   const configView = createConfigView({ state, body, panel, select, ...hooks });
+//   configView.render();
+//   const config = configView.find(signature);
+
+export function createConfigView({ state, body, panel, select, renderMembers, handleChipClick }) {
+  function find(signature) {
+    return state.query.configObjects().find((config) => config.signature === signature) || null;
+  }
+
+  function render() {
+    if (!body || !state.graph || state.panelView !== "config") {
+      return;
+    }
+    const configs = state.query.configObjects();
+    if (configs.length === 0) {
+      body.innerHTML = '<div class="muted">This graph has no configuration objects.</div>';
+      return;
+    }
+    const previousScroll = panel ? panel.scrollTop : 0;
+    const active = state.configHighlight ? find(state.configHighlight) : null;
+    body.innerHTML = `
+      ${active ? renderDetails(active) : ""}
+      <div class="details-section">
+        <div class="label">Configuration Objects (${configs.length})</div>
+        <div class="details-list">
+          ${configs
+            .map((config) => {
+              const readers = `read by ${config.consumers.length} module${
+                config.consumers.length === 1 ? "" : "s"
+              }`;
+              const flags = config.flags.length > 0 ? ` · ${config.flags.length} flags` : "";
+              return `
+                <button type="button" class="details-chip config-result${
+                  config.signature === state.configHighlight ? " active" : ""
+                }" data-config="${escapeHtml(config.signature)}">
+                  ${escapeHtml(config.label)}
+                  <div class="diagnostic-note">${escapeHtml(
+                    `${config.providers.join(", ")} · ${readers}${flags}`
+                  )}</div>
+                </button>
+              `;
+            })
+            .join("")}
+        </div>
+      </div>
+    `;
+    if (panel) {
+      panel.scrollTop = previousScroll;
+    }
+  }
+
+  function renderDetails(config) {
+    const members = (entities) => new Map(entities.map((entity) => [entity.id, entity]));
+    return `
+      <div class="details-section group-section">
+        <div class="label">${escapeHtml(config.label)}</div>
+        <div class="diagnostic-note">${
+          config.cellConfig ? "Registered with cell.Config" : "Built by a constructor"
+        }</div>
+        <div class="details-actions">
+          <button type="button" class="details-action" data-config-clear>Clear</button>
+        </div>
+      </div>
+      ${renderMembers(
+        "Provided By",
+        members(state.query.providingEntities(config.signature)),
+        "contributor"
+      )}
+      ${renderMembers("Read By", members(state.query.consumersOf(config.signature)), "consumer")}
+      <div class="details-section">
+        <div class="label">Flags (${config.flags.length})</div>
+        <div class="details-list">
+          ${
+            config.flags.length === 0
+              ? '<div class="muted">The graph has no flags for this config.</div>'
+              : config.flags.map(renderFlag).join("")
+          }
+        </div>
+      </div>
+    `;
+  }
+
+  function renderFlag(flag) {
+    const value = flag.default ? ` <span class="muted">= ${escapeHtml(flag.default)}</span>` : "";
+    const usage = flag.usage ? `<div class="diagnostic-note">${escapeHtml(flag.usage)}</div>` : "";
+    return `<div class="details-chip">--${escapeHtml(flag.name)}${value}${usage}</div>`;
+  }
+
+  function setup() {
+    if (!body) {
+      return;
+    }
+    body.addEventListener("click", (event) => {
+      const config = event.target.closest("[data-config]");
+      if (config) {
+        select(config.dataset.config === state.configHighlight ? null : config.dataset.config);
+        return;
+      }
+      if (event.target.closest("[data-config-clear]")) {
+        select(null);
+        return;
+      }
+      handleChipClick(event);
+    });
+  }
+
+  return { find, render, setup };
+}
+
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,301 @@
+// Batched edge geometry. All edges of one kind share a single mesh: each edge
+// is a flat ribbon (the orthographic camera never sees a tube from the side)
+// written into a fixed-size slot of one position/color buffer. Edges are
+// keyed so re-syncing after an expansion change only rewrites the slots whose
+// end points, width or color changed; highlight changes only touch the alpha
+// of the affected slots. Freed slots are reused and the buffers only grow, so
+// expanding and collapsing repeatedly allocates nothing once warmed up.
+//
+//   const batch = createEdgeBatch({ segments: 28 });
+//   group.add(batch.mesh);
+//   batch.sync(new Map([[key, { points, radius, color, userData }]]));
+//   batch.setStyle(edge, { visible, opacity });
+//   batch.flush();
+//
+// `points` are the edge's anchors in scene units: two for a straight edge,
+// three for a quadratic curve (start, control, end).
+
+import * as THREE from "https://unpkg.com/three@0.160.0/build/three.module.js";
+
+const INITIAL_SLOTS = 64;
+
+export function createEdgeBatch({ segments = 1 } = {}) {
+  const vertsPerSlot = (segments + 1) * 2;
+  const indicesPerSlot = segments * 6;
+  const material = new THREE.MeshBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+  });
+  const mesh = new THREE.Mesh(new THREE.BufferGeometry(), material);
+  // The geometry changes in place; a stale bounding sphere would cull it.
+  mesh.frustumCulled = false;
+  // Picking goes through pick(); keep raycasters from walking the buffers.
+  mesh.raycast = () => {};
+
+  const edges = new Map();
+  const freeSlots = [];
+  const parsedColors = new Map();
+  let capacity = 0;
+  let used = 0;
+  let positions = null;
+  let colors = null;
+  let dirtyFrom = Infinity;
+  let dirtyTo = -1;
+  let dirtyDrawRange = false;
+
+  allocate(INITIAL_SLOTS);
+
+  function allocate(slots) {
+    const nextPositions = new Float32Array(slots * vertsPerSlot * 3);
+    const nextColors = new Float32Array(slots * vertsPerSlot * 4);
+    if (positions) {
+      nextPositions.set(positions);
+      nextColors.set(colors);
+    }
+    const index = new Uint32Array(slots * indicesPerSlot);
+    for (let slot = 0; slot < slots; slot += 1) {
+      const base = slot * vertsPerSlot;
+      for (let i = 0; i < segments; i += 1) {
+        const offset = slot * indicesPerSlot + i * 6;
+        const v = base + i * 2;
+        index.set([v, v + 1, v + 2, v + 1, v + 3, v + 2], offset);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(nextPositions, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(nextColors, 4));
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    geometry.setDrawRange(0, used * indicesPerSlot);
+    mesh.geometry.dispose();
+    mesh.geometry = geometry;
+    positions = nextPositions;
+    colors = nextColors;
+    capacity = slots;
+    // A fresh geometry is uploaded whole.
+    dirtyFrom = Infinity;
+    dirtyTo = -1;
+  }
+
+  function takeSlot() {
+    if (freeSlots.length > 0) {
+      return freeSlots.pop();
+    }
+    if (used === capacity) {
+      allocate(capacity * 2);
+    }
+    used += 1;
+    dirtyDrawRange = true;
+    return used - 1;
+  }
+
+  function markDirty(slot) {
+    dirtyFrom = Math.min(dirtyFrom, slot);
+    dirtyTo = Math.max(dirtyTo, slot);
+  }
+
+  function writeGeometry(edge) {
+    const samples = sampleAnchors(edge.points, segments);
+    edge.samples = samples;
+    const base = edge.slot * vertsPerSlot * 3;
+    samples.forEach((point, i) => {
+      const prev = samples[Math.max(0, i - 1)];
+      const next = samples[Math.min(samples.length - 1, i + 1)];
+      const dx = next.x - prev.x;
+      const dy = next.y - prev.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const nx = (-dy / length) * edge.radius;
+      const ny = (dx / length) * edge.radius;
+      const offset = base + i * 6;
+      positions[offset] = point.x + nx;
+      positions[offset + 1] = point.y + ny;
+      positions[offset + 2] = 0;
+      positions[offset + 3] = point.x - nx;
+      positions[offset + 4] = point.y - ny;
+      positions[offset + 5] = 0;
+    });
+    writeColor(edge);
+  }
+
+  function writeColor(edge) {
+    const { r, g, b } = edge.color;
+    const alpha = edge.visible ? edge.opacity : 0;
+    const base = edge.slot * vertsPerSlot * 4;
+    for (let offset = base; offset < base + vertsPerSlot * 4; offset += 4) {
+      colors[offset] = r;
+      colors[offset + 1] = g;
+      colors[offset + 2] = b;
+      colors[offset + 3] = alpha;
+    }
+    markDirty(edge.slot);
+  }
+
+  function release(edge) {
+    positions.fill(0, edge.slot * vertsPerSlot * 3, (edge.slot + 1) * vertsPerSlot * 3);
+    colors.fill(0, edge.slot * vertsPerSlot * 4, (edge.slot + 1) * vertsPerSlot * 4);
+    markDirty(edge.slot);
+    freeSlots.push(edge.slot);
+    edges.delete(edge.key);
+  }
+
+  // sync makes the batch hold exactly the given edges, keyed by the map keys.
+  // Kept edges keep their style; `userData` is replaced on every sync.
+  function sync(specs) {
+    edges.forEach((edge) => {
+      if (!specs.has(edge.key)) {
+        release(edge);
+      }
+    });
+    specs.forEach((spec, key) => {
+      const color = parseColor(spec.color);
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { key, slot: takeSlot(), visible: true, opacity: 1 };
+        edges.set(key, edge);
+      } else if (
+        edge.radius === spec.radius &&
+        edge.color.equals(color) &&
+        samePoints(edge.points, spec.points)
+      ) {
+        edge.userData = spec.userData;
+        return;
+      }
+      edge.points = spec.points.map(({ x, y }) => ({ x, y }));
+      edge.radius = spec.radius;
+      edge.color = color;
+      edge.userData = spec.userData;
+      writeGeometry(edge);
+    });
+  }
+
+  function parseColor(value) {
+    if (!parsedColors.has(value)) {
+      parsedColors.set(value, new THREE.Color(value));
+    }
+    return parsedColors.get(value);
+  }
+
+  function setStyle(edge, { visible = edge.visible, opacity = edge.opacity }) {
+    if (edge.visible === visible && edge.opacity === opacity) {
+      return;
+    }
+    edge.visible = visible;
+    edge.opacity = opacity;
+    writeColor(edge);
+  }
+
+  // flush uploads the slots changed since the last flush.
+  function flush() {
+    const { geometry } = mesh;
+    if (dirtyDrawRange) {
+      geometry.setDrawRange(0, used * indicesPerSlot);
+      dirtyDrawRange = false;
+    }
+    if (dirtyTo < 0) {
+      return;
+    }
+    const position = geometry.getAttribute("position");
+    const color = geometry.getAttribute("color");
+    position.clearUpdateRanges();
+    color.clearUpdateRanges();
+    const slots = dirtyTo - dirtyFrom + 1;
+    position.addUpdateRange(dirtyFrom * vertsPerSlot * 3, slots * vertsPerSlot * 3);
+    color.addUpdateRange(dirtyFrom * vertsPerSlot * 4, slots * vertsPerSlot * 4);
+    position.needsUpdate = true;
+    color.needsUpdate = true;
+    dirtyFrom = Infinity;
+    dirtyTo = -1;
+  }
+
+  // pick returns the visible edge closest to the scene point (x, y) within
+  // `slop` scene units of its ribbon, or null. `accept` narrows the edges
+  // that can be picked.
+  function pick(x, y, slop, accept = () => true) {
+    let best = null;
+    let bestDistance = Infinity;
+    edges.forEach((edge) => {
+      if (!edge.visible || edge.opacity <= 0 || !accept(edge)) {
+        return;
+      }
+      const distance = polylineDistance(edge.samples, x, y) - edge.radius;
+      if (distance <= slop && distance < bestDistance) {
+        best = edge;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  function clear() {
+    edges.forEach(release);
+  }
+
+  function dispose() {
+    edges.clear();
+    freeSlots.length = 0;
+    mesh.geometry.dispose();
+    material.dispose();
+  }
+
+  // The canvas renderer draws the batch edge by edge instead of the ribbons.
+  mesh.edgeBatch = {
+    forEachVisible(callback) {
+      edges.forEach((edge) => {
+        if (edge.visible && edge.opacity > 0) {
+          callback(edge);
+        }
+      });
+    },
+  };
+
+  return {
+    mesh,
+    edges,
+    sync,
+    setStyle,
+    flush,
+    pick,
+    clear,
+    dispose,
+    get capacity() {
+      return capacity;
+    },
+  };
+}
+
+function sampleAnchors(points, segments) {
+  const [start, middle, end] = points.length === 3 ? points : [points[0], null, points[1]];
+  const samples = [];
+  for (let i = 0; i <= segments; i += 1) {
+    const t = i / segments;
+    if (middle) {
+      const u = 1 - t;
+      samples.push({
+        x: u * u * start.x + 2 * u * t * middle.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * middle.y + t * t * end.y,
+      });
+    } else {
+      samples.push({ x: start.x + (end.x - start.x) * t, y: start.y + (end.y - start.y) * t });
+    }
+  }
+  return samples;
+}
+
+function samePoints(a, b) {
+  return a.length === b.length && a.every((point, i) => point.x === b[i].x && point.y === b[i].y);
+}
+
+function polylineDistance(samples, x, y) {
+  let best = Infinity;
+  for (let i = 1; i < samples.length; i += 1) {
+    const a = samples[i - 1];
+    const b = samples[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+    best = Math.min(best, Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)));
+  }
+  return best;
+}
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+// Headless export of a hive graph.json to SVG, PNG or Graphviz DOT, using the
+// explorer's layouts and node styles.
+//
+//   node export-graph.mjs graph.json [--format svg|png|dot] [--layout tree|layered|force]
+//     [--expand all|none|module,...] [--select module] [--scale N] [--output file]
+//
+// Expanded modules also expand their ancestors. Dependency edges between the
+// visible modules are drawn faintly; those of the --select module stand out
+// like the hover/selection highlight in the explorer.
+//
+// --scale sets the resolution in pixels per scene unit; 3 matches the
+// explorer's PNG 1× export and 6 its 2×. PNG needs --output.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { deflateSync } from "node:zlib";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import { ROOT_KEY, computeModuleDeps, moduleDisplayName } from "./graph-model.mjs";
+import {
+  LAYOUT_X_SPACING,
+  LAYOUT_Y_SPACING,
+  dependencyLayout,
+  treeLayout,
+} from "./layout.mjs";
+import { curveBias, curveControl, estimateNodeSize, renderDot, renderSvg } from "./export.mjs";
+import { encodePng, rasterizeView } from "./raster.mjs";
+
+// The explorer palette colors used for the selection highlight and edges.
+const COLORS = {
+  highlight: "#f5b700",
+  connected: "#00a6d6",
+  treeEdge: "#2f4858",
+  depEdge: "#f26a4f",
+};
+const LAYOUTS = ["tree", "layered", "force"];
+const FORMATS = ["svg", "png", "dot"];
+// Larger images take too much memory to rasterize; the scale shrinks to fit.
+const PNG_MAX_SIZE = 8192;
+
+function usage(message) {
+  if (message) {
+    console.error(`export-graph: ${message}`);
+  }
+  console.error(
+    "usage: node export-graph.mjs graph.json [--format svg|png|dot] [--layout tree|layered|force]\n" +
+      "         [--expand all|none|module,...] [--select module] [--scale N] [--output file]"
+  );
+  process.exit(2);
+}
+
+function expandedModules(graph, spec) {
+  const expanded = new Set();
+  if (!spec || spec === "none") {
+    return expanded;
+  }
+  if (spec === "all") {
+    Object.keys(graph.modules).forEach((path) => expanded.add(path));
+    return expanded;
+  }
+  spec.split(",").forEach((path) => {
+    if (!graph.modules[path]) {
+      usage(`unknown module ${path}`);
+    }
+    for (let current = path; current && graph.modules[current]; ) {
+      expanded.add(current);
+      current = graph.modules[current].parent || "";
+    }
+  });
+  return expanded;
+}
+
+function buildView(graph, { layoutMode, expanded, selected }) {
+  const { deps: moduleDeps, depObjects } = computeModuleDeps(graph);
+  const tree = treeLayout(graph.modules, expanded, () => null);
+  const layout =
+    layoutMode === "tree"
+      ? tree
+      : dependencyLayout(tree, {
+          mode: layoutMode,
+          graph,
+          expanded,
+          moduleDeps,
+          ownsEntities: (modulePath) => {
+            const module = graph.modules[modulePath] || {};
+            return (module.constructors || []).length + (module.invokers || []).length > 0;
+          },
+        });
+
+  const root = layout.positions.get(ROOT_KEY);
+  const scene = new Map();
+  layout.positions.forEach((pos, modulePath) => {
+    scene.set(modulePath, {
+      x: pos.x * LAYOUT_X_SPACING - (root ? root.x * LAYOUT_X_SPACING : 0),
+      y: -pos.y * LAYOUT_Y_SPACING + (root ? root.y * LAYOUT_Y_SPACING : 0),
+    });
+  });
+
+  const connected = new Set();
+  layout.edges.forEach(([from, to]) => {
+    if (from === selected || to === selected) {
+      connected.add(from);
+      connected.add(to);
+    }
+  });
+  const nodes = [];
+  scene.forEach((pos, modulePath) => {
+    const kind = modulePath === ROOT_KEY ? "root" : "module";
+    const label = kind === "root" ? "" : moduleDisplayName(modulePath);
+    let tint = "#ffffff";
+    if (modulePath === selected) {
+      tint = COLORS.highlight;
+    } else if (connected.has(modulePath)) {
+      tint = COLORS.connected;
+    }
+    nodes.push({
+      id: `module:${modulePath}`,
+      kind,
+      label,
+      title: kind === "root" ? "root" : modulePath,
+      x: pos.x,
+      y: pos.y,
+      ...estimateNodeSize(kind, label),
+      dashed: false,
+      tint,
+      opacity: 1,
+    });
+  });
+
+  const edges = [];
+  const focused = (from, to) => from === selected || to === selected;
+  layout.edges.forEach(([from, to]) => {
+    edges.push({
+      from: `module:${from}`,
+      to: `module:${to}`,
+      kind: "tree",
+      points: [scene.get(from), scene.get(to)],
+      color: COLORS.treeEdge,
+      opacity: focused(from, to) ? 0.9 : 0.25,
+      width: 0.9,
+      objects: [],
+    });
+  });
+
+  const resolve = (modulePath) => {
+    let current = modulePath;
+    while (current && !scene.has(current)) {
+      current = graph.modules[current]?.parent || "";
+    }
+    return current && current !== ROOT_KEY ? current : "";
+  };
+  const visibleDeps = new Map();
+  depObjects.forEach((providers, consumer) => {
+    const from = resolve(consumer);
+    providers.forEach((objects, provider) => {
+      const to = resolve(provider);
+      if (!from || !to || from === to) {
+        return;
+      }
+      const key = `${from}->${to}`;
+      if (!visibleDeps.has(key)) {
+        visibleDeps.set(key, { from, to, objects: new Set() });
+      }
+      objects.forEach((label) => visibleDeps.get(key).objects.add(label));
+    });
+  });
+  visibleDeps.forEach(({ from, to, objects }, key) => {
+    const start = scene.get(from);
+    const end = scene.get(to);
+    const control = curveControl(start, end, curveBias(key));
+    edges.push({
+      from: `module:${from}`,
+      to: `module:${to}`,
+      kind: "dep",
+      points: control ? [start, control, end] : [start, end],
+      color: COLORS.depEdge,
+      opacity: focused(from, to) ? 0.9 : 0.15,
+      width: 1,
+      objects: Array.from(objects).sort(),
+    });
+  });
+
+  return { nodes, edges };
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "svg" },
+        layout: { type: "string", default: "tree" },
+        expand: { type: "string", default: "none" },
+        select: { type: "string", default: "" },
+        scale: { type: "string", default: "3" },
+        output: { type: "string", short: "o", default: "" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length !== 1) {
+    usage(values.help ? "" : "expected exactly one graph.json");
+  }
+  if (!FORMATS.includes(values.format)) {
+    usage(`unknown format ${values.format}`);
+  }
+  if (values.format === "png" && !values.output) {
+    usage("PNG is written to a file, give --output");
+  }
+  const scale = Number(values.scale);
+  if (!(scale > 0)) {
+    usage(`bad scale ${values.scale}`);
+  }
+  if (!LAYOUTS.includes(values.layout)) {
+    usage(`unknown layout ${values.layout}`);
+  }
+
+  const file = positionals[0];
+  let graph;
+  try {
+    graph = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`export-graph: cannot read ${file}: ${err.message}`);
+    process.exit(1);
+  }
+  if (!graph || !graph.modules) {
+    console.error(`export-graph: ${file} is not a hive graph (no modules)`);
+    process.exit(1);
+  }
+  if (values.select && !graph.modules[values.select]) {
+    usage(`unknown module ${values.select}`);
+  }
+
+  const expanded = expandedModules(graph, values.expand);
+  if (values.select) {
+    // Make the selected module visible the way focusing it in the explorer does.
+    const parent = graph.modules[values.select].parent || "";
+    if (graph.modules[parent]) {
+      expandedModules(graph, parent).forEach((path) => expanded.add(path));
+    }
+  }
+  const view = {
+    title: basename(file),
+    ...buildView(graph, { layoutMode: values.layout, expanded, selected: values.select }),
+  };
+  let output;
+  if (values.format === "dot") {
+    output = renderDot(view);
+  } else if (values.format === "png") {
+    output = encodePng(rasterizeView(view, { scale, maxSize: PNG_MAX_SIZE }), deflateSync);
+  } else {
+    output = renderSvg(view, { scale });
+  }
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -0,0 +1,361 @@
+// Renders an explorer view to SVG or Graphviz DOT. A view is a plain
+// description of what is on screen, in scene units with y pointing up:
+//
+//   {
+//     title,
+//     nodes: [{ id, kind, label, title, x, y, width, height, dashed, tint, opacity }],
+//     edges: [{ from, to, kind, points: [{ x, y }, ...], color, opacity, width, objects }],
+//   }
+//
+// `kind` picks the node style from NODE_STYLES. `tint` multiplies the node
+// colors the same way the sprite material color does in the scene. Edges
+// have two points for a straight line or three for a quadratic curve.
+
+export const NODE_STYLES = {
+  root: {
+    shape: "circle",
+    fill: "rgba(31, 122, 140, 0.4)",
+    stroke: "rgba(31, 122, 140, 0.8)",
+    size: 64,
+    lineWidth: 3,
+    scale: 12 / 64,
+  },
+  module: {
+    shape: "rect",
+    fill: "rgb(255, 250, 240)",
+    stroke: "rgb(31, 122, 140)",
+    fontSize: 16,
+    paddingX: 16,
+    paddingY: 10,
+    radius: 12,
+    lineWidth: 2,
+    scale: 0.22,
+  },
+  constructor: {
+    shape: "rect",
+    fill: "rgb(255, 244, 236)",
+    stroke: "rgb(242, 106, 79)",
+    fontSize: 14,
+    paddingX: 12,
+    paddingY: 8,
+    radius: 4,
+    lineWidth: 2,
+    scale: 0.18,
+  },
+  decorator: {
+    shape: "rect",
+    fill: "rgb(255, 244, 236)",
+    stroke: "rgb(242, 106, 79)",
+    dashed: true,
+    fontSize: 14,
+    paddingX: 12,
+    paddingY: 8,
+    radius: 4,
+    lineWidth: 2,
+    scale: 0.18,
+  },
+  invoker: {
+    shape: "hexagon",
+    fill: "rgb(253, 246, 228)",
+    stroke: "rgb(193, 124, 0)",
+    fontSize: 14,
+    paddingX: 18,
+    paddingY: 8,
+    lineWidth: 2,
+    scale: 0.18,
+  },
+  object: {
+    shape: "pill",
+    fill: "rgb(255, 255, 255)",
+    stroke: "rgb(47, 72, 88)",
+    fontSize: 14,
+    paddingX: 18,
+    paddingY: 8,
+    lineWidth: 2,
+    scale: 0.18,
+  },
+};
+
+export const TEXT_COLOR = "#1b1b1b";
+const FONT_FAMILY = "'Space Grotesk', sans-serif";
+export const BACKGROUND = "#fbf1e0";
+
+// estimateNodeSize approximates the sprite size for a label when no canvas
+// is around to measure the text, as in the Node entry point.
+export function estimateNodeSize(kind, label) {
+  const style = NODE_STYLES[kind] || NODE_STYLES.module;
+  if (style.shape === "circle") {
+    return { width: style.size * style.scale, height: style.size * style.scale };
+  }
+  const textWidth = label.length * style.fontSize * 0.55;
+  return {
+    width: Math.ceil(textWidth + style.paddingX * 2) * style.scale,
+    height: Math.ceil(style.fontSize + style.paddingY * 2) * style.scale,
+  };
+}
+
+export function curveBias(key) {
+  let hash = 0;
+  for (let i = 0; i < key.length; i += 1) {
+    hash = (hash * 31 + key.charCodeAt(i)) % 97;
+  }
+  return hash % 2 === 0 ? 1 : -1;
+}
+
+// curveControl returns the control point of the bent dependency curve
+// between two positions, or null when they coincide.
+export function curveControl(start, end, bias) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const dist = Math.hypot(dx, dy);
+  if (!dist) {
+    return null;
+  }
+  const bend = Math.min(24, dist * 0.25) * bias;
+  return {
+    x: (start.x + end.x) / 2 + (-dy / dist) * bend,
+    y: (start.y + end.y) / 2 + (dx / dist) * bend,
+  };
+}
+
+// renderSvg draws the view at `scale` pixels per scene unit, shrinking the
+// scale when either side would exceed `maxSize` pixels.
+export function renderSvg(
+  view,
+  { scale = 3, padding = 12, background = BACKGROUND, maxSize = Infinity } = {}
+) {
+  const bounds = viewBounds(view, padding);
+  scale = Math.min(scale, maxSize / bounds.width, maxSize / bounds.height);
+  const width = Math.ceil(bounds.width * scale);
+  const height = Math.ceil(bounds.height * scale);
+  const edges = view.edges.map((edge) => {
+    const [start, ...rest] = edge.points;
+    const path =
+      rest.length === 2
+        ? `M${fmt(start.x)} ${fmt(-start.y)} Q${fmt(rest[0].x)} ${fmt(-rest[0].y)} ${fmt(
+            rest[1].x
+          )} ${fmt(-rest[1].y)}`
+        : `M${fmt(start.x)} ${fmt(-start.y)} L${fmt(rest[0].x)} ${fmt(-rest[0].y)}`;
+    const color = parseColor(edge.color);
+    return `<path d="${path}" fill="none" stroke="${rgbString(color)}" stroke-opacity="${fmt(
+      color.a * edge.opacity
+    )}" stroke-width="${fmt(edge.width)}" stroke-linecap="round"><title>${escapeXml(
+      edgeTitle(edge)
+    )}</title></path>`;
+  });
+  const nodes = view.nodes.map((node) => renderSvgNode(node));
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${fmt(
+      bounds.minX
+    )} ${fmt(bounds.minY)} ${fmt(bounds.width)} ${fmt(bounds.height)}" font-family="${FONT_FAMILY}">`,
+    `<title>${escapeXml(view.title || "Hive graph")}</title>`,
+    `<rect x="${fmt(bounds.minX)}" y="${fmt(bounds.minY)}" width="${fmt(bounds.width)}" height="${fmt(
+      bounds.height
+    )}" fill="${background}"/>`,
+    `<g class="edges">`,
+    ...edges,
+    `</g>`,
+    `<g class="nodes">`,
+    ...nodes,
+    `</g>`,
+    `</svg>`,
+    "",
+  ].join("\n");
+}
+
+function renderSvgNode(node) {
+  const style = NODE_STYLES[node.kind] || NODE_STYLES.module;
+  const tint = parseColor(node.tint || "#ffffff");
+  const fill = multiplyColor(parseColor(style.fill), tint);
+  const stroke = multiplyColor(parseColor(style.stroke), tint);
+  const text = multiplyColor(parseColor(TEXT_COLOR), tint);
+  const cx = node.x;
+  const cy = -node.y;
+  const left = cx - node.width / 2;
+  const top = cy - node.height / 2;
+  // The sprite canvas insets its outline by 2px so the stroke is not clipped.
+  const inset = 2 * style.scale;
+  const strokeAttrs = `fill="${rgbString(fill)}" fill-opacity="${fmt(fill.a)}" stroke="${rgbString(
+    stroke
+  )}" stroke-opacity="${fmt(stroke.a)}" stroke-width="${fmt(style.lineWidth * style.scale)}"${
+    node.dashed || style.dashed
+      ? ` stroke-dasharray="${fmt(5 * style.scale)} ${fmt(3 * style.scale)}"`
+      : ""
+  }`;
+  let shape;
+  if (style.shape === "circle") {
+    shape = `<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="${fmt(
+      (style.size / 2 - 6) * style.scale
+    )}" ${strokeAttrs}/>`;
+  } else if (style.shape === "hexagon") {
+    const w = node.width - inset * 2;
+    const h = node.height - inset * 2;
+    const x0 = left + inset;
+    const y0 = top + inset;
+    const points = [
+      [x0 + h / 2, y0],
+      [x0 + w - h / 2, y0],
+      [x0 + w, y0 + h / 2],
+      [x0 + w - h / 2, y0 + h],
+      [x0 + h / 2, y0 + h],
+      [x0, y0 + h / 2],
+    ];
+    shape = `<polygon points="${points.map(([x, y]) => `${fmt(x)},${fmt(y)}`).join(" ")}" ${strokeAttrs}/>`;
+  } else {
+    const h = node.height - inset * 2;
+    const radius = style.shape === "pill" ? h / 2 : style.radius * style.scale;
+    shape = `<rect x="${fmt(left + inset)}" y="${fmt(top + inset)}" width="${fmt(
+      node.width - inset * 2
+    )}" height="${fmt(h)}" rx="${fmt(radius)}" ${strokeAttrs}/>`;
+  }
+  const label =
+    style.shape === "circle" || !node.label
+      ? ""
+      : `<text x="${fmt(left + style.paddingX * style.scale)}" y="${fmt(cy)}" font-size="${fmt(
+          style.fontSize * style.scale
+        )}" dominant-baseline="central" fill="${rgbString(text)}">${escapeXml(node.label)}</text>`;
+  return `<g opacity="${fmt(node.opacity)}"><title>${escapeXml(node.title || node.label || node.id)}</title>${shape}${label}</g>`;
+}
+
+// viewBounds is the view's extent in SVG coordinates (y pointing down).
+export function viewBounds(view, padding) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  const extend = (x, y) => {
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+  };
+  view.nodes.forEach((node) => {
+    extend(node.x - node.width / 2, -node.y - node.height / 2);
+    extend(node.x + node.width / 2, -node.y + node.height / 2);
+  });
+  view.edges.forEach((edge) => edge.points.forEach((point) => extend(point.x, -point.y)));
+  if (minX === Infinity) {
+    minX = maxX = minY = maxY = 0;
+  }
+  return {
+    minX: minX - padding,
+    minY: minY - padding,
+    width: maxX - minX + padding * 2,
+    height: maxY - minY + padding * 2,
+  };
+}
+
+// renderDot writes the view as a Graphviz digraph. Nodes carry their scene
+// position in points, so `neato -n2` reproduces the explorer layout while
+// `dot` lays the graph out again.
+export function renderDot(view) {
+  const lines = [
+    `digraph ${dotId(view.title || "hive")} {`,
+    `  graph [fontname="Space Grotesk", bgcolor="${BACKGROUND}", rankdir=LR];`,
+    `  node [fontname="Space Grotesk", fontsize=10, style="filled", penwidth=1.5];`,
+    `  edge [arrowsize=0.6];`,
+  ];
+  view.nodes.forEach((node) => {
+    const style = NODE_STYLES[node.kind] || NODE_STYLES.module;
+    const tint = parseColor(node.tint || "#ffffff");
+    const fill = multiplyColor(parseColor(style.fill), tint);
+    const stroke = multiplyColor(parseColor(style.stroke), tint);
+    const text = multiplyColor(parseColor(TEXT_COLOR), tint);
+    const styles = ["filled"];
+    if (style.shape === "rect" || style.shape === "pill") {
+      styles.push("rounded");
+    }
+    if (node.dashed || style.dashed) {
+      styles.push("dashed");
+    }
+    const attrs = {
+      label: style.shape === "circle" ? "" : node.label,
+      tooltip: node.title || node.label || node.id,
+      shape: { circle: "circle", hexagon: "hexagon" }[style.shape] || "box",
+      style: styles.join(","),
+      fillcolor: hexColor(fill, node.opacity),
+      color: hexColor(stroke, node.opacity),
+      fontcolor: hexColor(text, node.opacity),
+      pos: `${fmt(node.x * 2)},${fmt(node.y * 2)}`,
+    };
+    if (style.shape === "circle") {
+      attrs.width = "0.3";
+      attrs.fixedsize = "true";
+    }
+    lines.push(`  ${dotId(node.id)} [${dotAttrs(attrs)}];`);
+  });
+  view.edges.forEach((edge) => {
+    const color = parseColor(edge.color);
+    const attrs = {
+      color: hexColor(color, edge.opacity),
+      penwidth: fmt(Math.max(0.5, edge.width * 1.5)),
+      tooltip: edgeTitle(edge),
+    };
+    if (edge.kind === "tree" || edge.kind === "member") {
+      attrs.arrowhead = "none";
+    }
+    lines.push(`  ${dotId(edge.from)} -> ${dotId(edge.to)} [${dotAttrs(attrs)}];`);
+  });
+  lines.push("}", "");
+  return lines.join("\n");
+}
+
+function edgeTitle(edge) {
+  const head = `${edge.from} → ${edge.to}`;
+  return edge.objects && edge.objects.length > 0 ? `${head}\n${edge.objects.join("\n")}` : head;
+}
+
+function dotId(value) {
+  return `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function dotAttrs(attrs) {
+  return Object.entries(attrs)
+    .map(([key, value]) => `${key}=${dotId(value)}`)
+    .join(", ");
+}
+
+export function parseColor(value) {
+  const text = String(value || "").trim();
+  const hex = text.match(/^#([0-9a-f]{6})$/i);
+  if (hex) {
+    const num = parseInt(hex[1], 16);
+    return { r: (num >> 16) & 255, g: (num >> 8) & 255, b: num & 255, a: 1 };
+  }
+  const rgb = text.match(/^rgba?\(([^)]+)\)$/i);
+  if (rgb) {
+    const [r, g, b, a] = rgb[1].split(",").map((part) => Number(part.trim()));
+    return { r, g, b, a: Number.isFinite(a) ? a : 1 };
+  }
+  return { r: 0, g: 0, b: 0, a: 1 };
+}
+
+export function multiplyColor(color, tint) {
+  return {
+    r: Math.round((color.r * tint.r) / 255),
+    g: Math.round((color.g * tint.g) / 255),
+    b: Math.round((color.b * tint.b) / 255),
+    a: color.a,
+  };
+}
+
+function rgbString(color) {
+  return `rgb(${color.r}, ${color.g}, ${color.b})`;
+}
+
+function hexColor(color, opacity = 1) {
+  const byte = (value) => Math.round(value).toString(16).padStart(2, "0");
+  return `#${byte(color.r)}${byte(color.g)}${byte(color.b)}${byte(color.a * opacity * 255)}`;
+}
+
+function fmt(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2).replace(/\.?0+$/, "");
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
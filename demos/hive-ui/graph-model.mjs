@@ -0,0 +1,940 @@
+// DOM-free helpers over the graph.json dump shared by the explorer and the
+// Node entry points.
+
+// ROOT_KEY is the module path of objects supplied to the hive from outside
+// any module, and the key of the synthetic root in layouts.
+export const ROOT_KEY = "__root__";
+
+// computeModuleDeps derives consumer -> provider module dependencies from
+// the depends and invokes edges, along with the objects behind each pair.
+export function computeModuleDeps(graph) {
+  const deps = new Map();
+  const depObjects = new Map();
+  Object.keys(graph.modules || {}).forEach((path) => {
+    deps.set(path, new Set());
+  });
+
+  (graph.edges || []).forEach((edge) => {
+    if (edge.kind !== "depends" && edge.kind !== "invokes") {
+      return;
+    }
+    const fromModule = moduleForNodeId(edge.from, graph);
+    const toModule = moduleForNodeId(edge.to, graph);
+    if (!fromModule || !toModule || fromModule === toModule) {
+      return;
+    }
+    if (!graph.modules[fromModule] || !graph.modules[toModule]) {
+      return;
+    }
+    deps.get(toModule).add(fromModule);
+
+    if (!depObjects.has(toModule)) {
+      depObjects.set(toModule, new Map());
+    }
+    const providerMap = depObjects.get(toModule);
+    if (!providerMap.has(fromModule)) {
+      providerMap.set(fromModule, new Set());
+    }
+    const labels = providerMap.get(fromModule);
+    const obj = graph.objects && graph.objects[edge.from];
+    if (obj) {
+      labels.add(formatObject(obj));
+    }
+  });
+  return { deps, depObjects };
+}
+
+// computeDiagnostics collects the graph-wide problems the explorer's
+// diagnostics panel lists from a createGraphQuery query: unresolved inputs,
+// the inputs left to the hive counted per object, private objects consumed
+// from outside their module, module dependency cycles and objects provided
+// but never consumed.
+export function computeDiagnostics(query) {
+  const { graph } = query;
+  const entityName = (entity) => parseSourceLocation(entity.name || entity.id).name;
+  const unresolved = query.unresolvedInputs().map((item) => ({
+    ...item,
+    consumer: `${item.consumer.kind} ${item.consumer.name}`,
+  }));
+  const suppliedCounts = new Map();
+  query.suppliedInputs().forEach(({ label }) => {
+    suppliedCounts.set(label, (suppliedCounts.get(label) || 0) + 1);
+  });
+  const supplied = Array.from(suppliedCounts, ([label, count]) => ({ label, count })).sort(
+    (a, b) => a.label.localeCompare(b.label)
+  );
+  const privateAccess = [];
+  const consumedSignatures = new Set();
+  const providedSignatures = new Set();
+  Object.values(graph.objects || {}).forEach((obj) => {
+    if (obj.providedBy && obj.providedBy.length > 0) {
+      providedSignatures.add(objectSignature(obj.type, obj.name, obj.group));
+    }
+  });
+
+  const consumers = [
+    ...Object.values(graph.constructors || {}).map((entity) => ["constructor", entity]),
+    ...Object.values(graph.invokers || {}).map((entity) => ["invoker", entity]),
+  ];
+  consumers.forEach(([kind, entity]) => {
+    const modulePath = entity.modulePath || "";
+    const consumer = `${kind} ${entityName(entity)}`;
+    (entity.inputs || []).forEach((ref) => {
+      const info = query.refInfo(ref);
+      consumedSignatures.add(info.signature);
+      if (!providedSignatures.has(info.signature)) {
+        return;
+      }
+      if (info.optional || !info.isPrivate || info.providers.length === 0) {
+        return;
+      }
+      const visible = info.providers.some((provider) => query.isModuleWithin(modulePath, provider));
+      if (!visible) {
+        privateAccess.push({ ...info, consumer, modulePath });
+      }
+    });
+  });
+
+  const unconsumed = [];
+  Object.values(graph.objects || {}).forEach((obj) => {
+    if (!obj.providedBy || obj.providedBy.length === 0) {
+      return;
+    }
+    if ((obj.consumedBy || []).length > 0) {
+      return;
+    }
+    if (consumedSignatures.has(objectSignature(obj.type, obj.name, obj.group))) {
+      return;
+    }
+    const provider = obj.providedBy.map((id) => {
+      const entity =
+        (graph.constructors && graph.constructors[id]) ||
+        (graph.invokers && graph.invokers[id]) ||
+        (graph.decorators && graph.decorators[id]);
+      return entity ? `${entity.modulePath || "root"}: ${entityName(entity)}` : id;
+    });
+    unconsumed.push({ ...query.objectInfo(obj), provider: provider.join(", ") });
+  });
+
+  const byLabel = (a, b) =>
+    a.label.localeCompare(b.label) || (a.modulePath || "").localeCompare(b.modulePath || "");
+  privateAccess.sort(byLabel);
+  unconsumed.sort(byLabel);
+  return {
+    unresolved,
+    supplied,
+    privateAccess,
+    cycles: findModuleCycles(query.moduleDeps),
+    unconsumed,
+  };
+}
+
+// findModuleCycles returns the module dependency cycles as the strongly
+// connected components of `deps` (consumer -> providers) with more than one
+// module, each with one cycle through it as `path`.
+export function findModuleCycles(deps) {
+  let index = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+
+  const connect = (path) => {
+    indices.set(path, index);
+    lowlinks.set(path, index);
+    index += 1;
+    stack.push(path);
+    onStack.add(path);
+    (deps.get(path) || new Set()).forEach((dep) => {
+      if (!indices.has(dep)) {
+        connect(dep);
+        lowlinks.set(path, Math.min(lowlinks.get(path), lowlinks.get(dep)));
+      } else if (onStack.has(dep)) {
+        lowlinks.set(path, Math.min(lowlinks.get(path), indices.get(dep)));
+      }
+    });
+    if (lowlinks.get(path) !== indices.get(path)) {
+      return;
+    }
+    const component = [];
+    let member = null;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== path);
+    if (component.length > 1) {
+      components.push(component.sort());
+    }
+  };
+
+  Array.from(deps.keys())
+    .sort()
+    .forEach((path) => {
+      if (!indices.has(path)) {
+        connect(path);
+      }
+    });
+
+  return components
+    .map((modules) => ({ modules, path: shortestCycle(deps, modules) }))
+    .sort((a, b) => a.modules[0].localeCompare(b.modules[0]));
+}
+
+// shortestCycle walks one cycle through the component's first module, for
+// display.
+function shortestCycle(deps, modules) {
+  const members = new Set(modules);
+  const start = modules[0];
+  const previous = new Map([[start, null]]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const next = Array.from(deps.get(current) || []).sort();
+    for (const dep of next) {
+      if (!members.has(dep)) {
+        continue;
+      }
+      if (dep === start) {
+        const path = [];
+        for (let step = current; step; step = previous.get(step)) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      if (!previous.has(dep)) {
+        previous.set(dep, current);
+        queue.push(dep);
+      }
+    }
+  }
+  return modules;
+}
+
+export function moduleForNodeId(id, graph) {
+  if (!id) {
+    return "";
+  }
+  if (id.startsWith("module:")) {
+    return id.slice("module:".length);
+  }
+  if (graph.constructors && graph.constructors[id]) {
+    return graph.constructors[id].modulePath || "";
+  }
+  if (graph.invokers && graph.invokers[id]) {
+    return graph.invokers[id].modulePath || "";
+  }
+  if (graph.decorators && graph.decorators[id]) {
+    return graph.decorators[id].modulePath || "";
+  }
+  if (graph.objects && graph.objects[id]) {
+    return graph.objects[id].modulePath || "";
+  }
+  return "";
+}
+
+// objectSignature identifies an object by type, name and group regardless of
+// the module providing it.
+export function objectSignature(type, name, group) {
+  return `${type || ""}|${name || ""}|${group || ""}`;
+}
+
+// signatureForRef maps an input or output reference to its object signature.
+// Value group inputs ask for `[]T`; the group members are signed as `T`.
+export function signatureForRef(ref) {
+  let type = ref.type || "";
+  if (ref.group && type.startsWith("[]")) {
+    type = type.slice(2);
+  }
+  return objectSignature(type, ref.name, ref.group);
+}
+
+// isPrivateObject reports whether an object is private to its module. Older
+// dumps lack the exported flag; then the providing constructors decide.
+export function isPrivateObject(obj, graph) {
+  if (!obj) {
+    return false;
+  }
+  const exportedValue =
+    typeof obj.exported === "boolean"
+      ? obj.exported
+      : typeof obj.Exported === "boolean"
+        ? obj.Exported
+        : null;
+  if (exportedValue !== null) {
+    return !exportedValue;
+  }
+  if (!obj.providedBy || obj.providedBy.length === 0) {
+    return false;
+  }
+  let hasCtor = false;
+  let hasExported = false;
+  obj.providedBy.forEach((providerId) => {
+    const ctor = graph.constructors && graph.constructors[providerId];
+    if (ctor) {
+      hasCtor = true;
+      if (ctor.exported || ctor.Exported) {
+        hasExported = true;
+      }
+    }
+  });
+  return hasCtor && !hasExported;
+}
+
+// computeModuleMetrics summarizes every module together with its submodules:
+// constructor and invoker counts, distinct objects provided and consumed,
+// fan-in (outside modules depending on it), fan-out (outside modules it
+// depends on) and the share of provided objects that are private.
+// moduleDeps is the consumer -> providers map from computeModuleDeps.
+export function computeModuleMetrics(graph, moduleDeps) {
+  const own = new Map();
+  Object.keys(graph.modules || {}).forEach((path) => {
+    own.set(path, {
+      constructors: 0,
+      invokers: 0,
+      provided: new Set(),
+      privateProvided: new Set(),
+      consumed: new Set(),
+    });
+  });
+  const at = (modulePath) => own.get(modulePath);
+
+  Object.values(graph.constructors || {}).forEach((ctor) => {
+    const entry = at(ctor.modulePath);
+    if (entry) {
+      entry.constructors += 1;
+    }
+  });
+  Object.values(graph.invokers || {}).forEach((inv) => {
+    const entry = at(inv.modulePath);
+    if (entry) {
+      entry.invokers += 1;
+    }
+  });
+  Object.values(graph.objects || {}).forEach((obj) => {
+    const entry = at(obj.modulePath);
+    if (!entry || !obj.providedBy || obj.providedBy.length === 0) {
+      return;
+    }
+    const signature = objectSignature(obj.type, obj.name, obj.group);
+    entry.provided.add(signature);
+    if (isPrivateObject(obj, graph)) {
+      entry.privateProvided.add(signature);
+    }
+  });
+  [graph.constructors, graph.invokers, graph.decorators].forEach((entities) => {
+    Object.values(entities || {}).forEach((entity) => {
+      const entry = at(entity.modulePath);
+      if (entry) {
+        (entity.inputs || []).forEach((ref) => entry.consumed.add(signatureForRef(ref)));
+      }
+    });
+  });
+
+  const dependents = new Map();
+  moduleDeps.forEach((providers, consumer) => {
+    providers.forEach((provider) => {
+      if (!dependents.has(provider)) {
+        dependents.set(provider, new Set());
+      }
+      dependents.get(provider).add(consumer);
+    });
+  });
+
+  // Roll the per-module sets up the tree, children before parents.
+  const metrics = new Map();
+  const visit = (path) => {
+    if (metrics.has(path)) {
+      return metrics.get(path).sets;
+    }
+    const base = own.get(path);
+    const sets = {
+      subtree: new Set([path]),
+      provided: new Set(base.provided),
+      privateProvided: new Set(base.privateProvided),
+      consumed: new Set(base.consumed),
+      out: new Set(moduleDeps.get(path) || []),
+      in: new Set(dependents.get(path) || []),
+    };
+    let constructors = base.constructors;
+    let invokers = base.invokers;
+    (graph.modules[path].children || []).forEach((child) => {
+      if (!own.has(child)) {
+        return;
+      }
+      const childSets = visit(child);
+      const childMetrics = metrics.get(child);
+      constructors += childMetrics.constructors;
+      invokers += childMetrics.invokers;
+      Object.keys(sets).forEach((key) => {
+        childSets[key].forEach((value) => sets[key].add(value));
+      });
+    });
+    const outside = (set) => Array.from(set).filter((modulePath) => !sets.subtree.has(modulePath));
+    metrics.set(path, {
+      constructors,
+      invokers,
+      provided: sets.provided.size,
+      consumed: sets.consumed.size,
+      fanIn: outside(sets.in).length,
+      fanOut: outside(sets.out).length,
+      privateRatio: sets.provided.size > 0 ? sets.privateProvided.size / sets.provided.size : 0,
+      sets,
+    });
+    return sets;
+  };
+  own.forEach((_, path) => visit(path));
+  metrics.forEach((entry) => {
+    delete entry.sets;
+  });
+  return metrics;
+}
+
+export function formatObject(obj) {
+  if (!obj) {
+    return "";
+  }
+  let label = obj.type || "unknown";
+  if (obj.name) {
+    label += ` (name=${obj.name})`;
+  }
+  if (obj.group) {
+    label += ` [group=${obj.group}]`;
+  }
+  return label;
+}
+
+export function moduleDisplayName(path) {
+  if (!path || path === ROOT_KEY) {
+    return "root";
+  }
+  const parts = path.split(".");
+  return parts[parts.length - 1] || path;
+}
+
+// parseSourceLocation splits a constructor or invoker name such as
+// "statedb.ScriptCommands (.../cilium/statedb/script.go:27)" into the Go
+// package, the function within it, the source file and the line. Names
+// without a location get an empty file and line 0. The runtime elides long
+// file paths to their last directories, leaving a ".../" prefix; `dir` is
+// the file's directory, which tells apart packages sharing a name.
+export function parseSourceLocation(name) {
+  if (!name) {
+    return null;
+  }
+  const match = /^(.*?)(?: \((.+):(\d+)\))?$/.exec(name);
+  const qualified = match[1];
+  const dot = qualified.indexOf(".");
+  const file = match[2] || "";
+  return {
+    name: qualified,
+    package: dot > 0 ? qualified.slice(0, dot) : "",
+    function: dot > 0 ? qualified.slice(dot + 1) : qualified,
+    file,
+    dir: file.includes("/") ? file.slice(0, file.lastIndexOf("/")) : "",
+    line: Number(match[3]) || 0,
+  };
+}
+
+// The dump records objects the hive supplies itself like unresolved inputs:
+// root objects nobody provides. Dumps may name them in a top-level
+// "hiveSupplied" list of types; otherwise these are assumed.
+export const DEFAULT_HIVE_SUPPLIED_TYPES = [
+  "*slog.Logger",
+  "cell.AllSettings",
+  "cell.FullModuleID",
+  "cell.Lifecycle",
+  "hive.Shutdowner",
+];
+
+// hiveSuppliedTypes returns the types taken as supplied by the hive: the
+// `override` list when given, else the dump's own list, else the defaults.
+export function hiveSuppliedTypes(graph, override = null) {
+  if (Array.isArray(override)) {
+    return override.slice().sort();
+  }
+  if (graph && Array.isArray(graph.hiveSupplied)) {
+    return graph.hiveSupplied.filter((type) => typeof type === "string").sort();
+  }
+  return DEFAULT_HIVE_SUPPLIED_TYPES.slice();
+}
+
+// cell.Config registers every config struct through one generic provider,
+// named like "cell.(*config[...]).func2 (.../hive/cell/config.go:71)".
+const CELL_CONFIG_PROVIDER = /^cell\.\(\*config\[/;
+// Config objects built by ordinary constructors are told by their type name:
+// agent.Config, *option.DaemonConfig, *bigtcp.Configuration, auth.config.
+const CONFIG_TYPE_NAME = /(^c|C)onfig(uration)?$/;
+
+// configFlags lists the command line flags backing a config object. Dumps
+// may describe them on the object as
+//
+//   "flags": [{ "name": "enable-ipv4", "default": "true", "usage": "..." }]
+//
+// Defaults are kept as text; objects without flags give an empty list.
+export function configFlags(obj) {
+  if (!obj || !Array.isArray(obj.flags)) {
+    return [];
+  }
+  return obj.flags
+    .filter((flag) => flag && typeof flag.name === "string" && flag.name)
+    .map((flag) => ({
+      name: flag.name,
+      default: flag.default === undefined || flag.default === null ? "" : String(flag.default),
+      usage: typeof flag.usage === "string" ? flag.usage : "",
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+const CONSUMER_KINDS = [
+  ["constructor", "constructors"],
+  ["invoker", "invokers"],
+  ["decorator", "decorators"],
+];
+
+// createGraphQuery indexes a graph once and answers the questions the
+// explorer and the command line ask of it: who provides and who consumes an
+// object, what a module depends on, which modules depend on it, and which
+// inputs nothing provides. Objects are described as
+//
+//   { label, signature, providers, modulePath, isPrivate, optional }
+//
+// where providers are the modules providing the object and modulePath the
+// first of them. Module questions cover the module and its submodules.
+// `hiveSupplied` overrides the types the hive supplies (hiveSuppliedTypes).
+export function createGraphQuery(graph, { hiveSupplied = null } = {}) {
+  const modules = graph.modules || {};
+  const suppliedTypes = hiveSuppliedTypes(graph, hiveSupplied);
+  const supplied = new Set(suppliedTypes);
+  const { deps: moduleDeps, depObjects: moduleDepObjects } = computeModuleDeps(graph);
+  const objectIndex = [];
+  const objectsBySignature = new Map();
+  let configs = null;
+  let configSignatures = null;
+
+  function providerModules(obj) {
+    const providers = new Set();
+    (obj.providedBy || []).forEach((providerId) => {
+      let modulePath = "";
+      if (graph.constructors && graph.constructors[providerId]) {
+        modulePath = graph.constructors[providerId].modulePath || "";
+      } else if (graph.decorators && graph.decorators[providerId]) {
+        modulePath = graph.decorators[providerId].modulePath || "";
+      }
+      if (modulePath && modules[modulePath]) {
+        providers.add(modulePath);
+      }
+    });
+    return Array.from(providers).sort();
+  }
+
+  Object.values(graph.objects || {}).forEach((obj) => {
+    const providers = providerModules(obj);
+    if (providers.length === 0) {
+      return;
+    }
+    const entry = {
+      id: obj.id,
+      type: obj.type,
+      name: obj.name || "",
+      group: obj.group || "",
+      label: formatObject(obj),
+      providers,
+      isPrivate: isPrivateObject(obj, graph),
+    };
+    objectIndex.push(entry);
+    const signature = objectSignature(obj.type, obj.name, obj.group);
+    if (!objectsBySignature.has(signature)) {
+      objectsBySignature.set(signature, []);
+    }
+    objectsBySignature.get(signature).push(entry);
+  });
+
+  function consumingEntities() {
+    const entities = [];
+    CONSUMER_KINDS.forEach(([kind, key]) => {
+      Object.values(graph[key] || {}).forEach((entity) => entities.push([kind, entity]));
+    });
+    return entities;
+  }
+
+  function describeEntity(kind, entity) {
+    const location = parseSourceLocation(entity.name || entity.id);
+    return {
+      kind,
+      id: entity.id,
+      name: location ? location.name : entity.id,
+      modulePath: entity.modulePath || "",
+    };
+  }
+
+  function moduleSubtree(modulePath) {
+    const subtree = new Set();
+    if (!modulePath) {
+      return subtree;
+    }
+    const walk = (path) => {
+      subtree.add(path);
+      (modules[path]?.children || []).forEach(walk);
+    };
+    walk(modulePath);
+    return subtree;
+  }
+
+  function isModuleWithin(modulePath, ancestor) {
+    let current = modulePath;
+    while (current) {
+      if (current === ancestor) {
+        return true;
+      }
+      const parent = modules[current]?.parent || "";
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+    return false;
+  }
+
+  // providersOf lists the modules providing objects with the signature.
+  function providersOf(signature) {
+    const providers = new Set();
+    (objectsBySignature.get(signature) || []).forEach((entry) => {
+      entry.providers.forEach((modulePath) => providers.add(modulePath));
+    });
+    return Array.from(providers).sort();
+  }
+
+  // providingEntities lists the constructors and decorators providing
+  // objects with the signature.
+  function providingEntities(signature) {
+    const providers = new Map();
+    (objectsBySignature.get(signature) || []).forEach((entry) => {
+      (graph.objects[entry.id].providedBy || []).forEach((id) => {
+        const kind = graph.constructors && graph.constructors[id] ? "constructor" : "decorator";
+        const entity = kind === "constructor" ? graph.constructors[id] : graph.decorators?.[id];
+        if (entity) {
+          providers.set(id, describeEntity(kind, entity));
+        }
+      });
+    });
+    return Array.from(providers.values()).sort(
+      (a, b) => a.modulePath.localeCompare(b.modulePath) || a.name.localeCompare(b.name)
+    );
+  }
+
+  // consumersOf lists the constructors, invokers and decorators taking the
+  // signature as an input, value group members through their group slice.
+  function consumersOf(signature) {
+    const consumers = [];
+    consumingEntities().forEach(([kind, entity]) => {
+      const ref = (entity.inputs || []).find((input) => signatureForRef(input) === signature);
+      if (ref) {
+        consumers.push({ ...describeEntity(kind, entity), optional: Boolean(ref.optional) });
+      }
+    });
+    return consumers.sort(
+      (a, b) => a.modulePath.localeCompare(b.modulePath) || a.name.localeCompare(b.name)
+    );
+  }
+
+  // consumerModulesOf lists the modules whose constructors or invokers take
+  // the signature as an input.
+  function consumerModulesOf(signature) {
+    const consumers = new Set();
+    consumersOf(signature).forEach(({ kind, modulePath }) => {
+      if (kind !== "decorator" && modules[modulePath]) {
+        consumers.add(modulePath);
+      }
+    });
+    return Array.from(consumers).sort();
+  }
+
+  function objectInfo(obj) {
+    const providers = providerModules(obj);
+    return {
+      label: formatObject(obj),
+      signature: objectSignature(obj.type, obj.name, obj.group),
+      providers,
+      modulePath: providers[0] || obj.modulePath || "",
+      isPrivate: isPrivateObject(obj, graph),
+      optional: false,
+    };
+  }
+
+  function refInfo(ref) {
+    const signature = signatureForRef(ref);
+    const entries = objectsBySignature.get(signature) || [];
+    const providers = providersOf(signature);
+    return {
+      label: formatObject(ref),
+      signature,
+      providers,
+      modulePath: providers[0] || "",
+      isPrivate: entries.length > 0 && entries.every((entry) => entry.isPrivate),
+      optional: Boolean(ref.optional),
+    };
+  }
+
+  // providedObjects lists the objects the module subtree provides.
+  function providedObjects(modulePath) {
+    const subtree = moduleSubtree(modulePath);
+    const items = new Map();
+    Object.values(graph.objects || {}).forEach((obj) => {
+      if (!subtree.has(obj.modulePath) || !obj.providedBy || obj.providedBy.length === 0) {
+        return;
+      }
+      const info = objectInfo(obj);
+      items.set(`${info.signature || info.label}|${info.modulePath || ""}`, info);
+    });
+    return Array.from(items.values()).sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  // dependencyObjects lists the inputs of the module subtree, one entry per
+  // signature. An input is optional only if every use of it is.
+  function dependencyObjects(modulePath) {
+    const subtree = moduleSubtree(modulePath);
+    const items = new Map();
+    consumingEntities().forEach(([, entity]) => {
+      if (!subtree.has(entity.modulePath)) {
+        return;
+      }
+      (entity.inputs || []).forEach((ref) => {
+        const info = refInfo(ref);
+        const key = info.signature || info.label;
+        if (!items.has(key)) {
+          items.set(key, info);
+          return;
+        }
+        const existing = items.get(key);
+        const merged = new Set([...existing.providers, ...info.providers]);
+        existing.providers = Array.from(merged).sort();
+        if (!existing.modulePath && existing.providers.length > 0) {
+          existing.modulePath = existing.providers[0];
+        }
+        existing.optional = existing.optional && info.optional;
+      });
+    });
+    return Array.from(items.values()).sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  // dependentModules lists the modules outside the subtree consuming
+  // objects it provides.
+  function dependentModules(modulePath) {
+    const subtree = moduleSubtree(modulePath);
+    const dependents = new Set();
+    Object.values(graph.objects || {}).forEach((obj) => {
+      if (!subtree.has(obj.modulePath) || !obj.providedBy || obj.providedBy.length === 0) {
+        return;
+      }
+      (obj.consumedBy || []).forEach((consumerId) => {
+        const consumerModule = moduleForNodeId(consumerId, graph);
+        if (consumerModule && !subtree.has(consumerModule) && modules[consumerModule]) {
+          dependents.add(consumerModule);
+        }
+      });
+    });
+    return Array.from(dependents).sort();
+  }
+
+  // unresolvedInputs lists the constructor and invoker inputs no object
+  // provides, apart from the types the hive supplies itself.
+  function unresolvedInputs() {
+    return unprovidedInputs((ref) => !supplied.has(ref.type));
+  }
+
+  // suppliedInputs lists the inputs left to the hive, in the same shape.
+  function suppliedInputs() {
+    return unprovidedInputs((ref) => supplied.has(ref.type));
+  }
+
+  function unprovidedInputs(accept) {
+    const provided = new Set();
+    Object.values(graph.objects || {}).forEach((obj) => {
+      if (obj.providedBy && obj.providedBy.length > 0) {
+        provided.add(objectSignature(obj.type, obj.name, obj.group));
+      }
+    });
+    const unresolved = [];
+    consumingEntities().forEach(([kind, entity]) => {
+      if (kind === "decorator") {
+        return;
+      }
+      (entity.inputs || []).forEach((ref) => {
+        if (provided.has(signatureForRef(ref)) || !accept(ref)) {
+          return;
+        }
+        unresolved.push({
+          ...refInfo(ref),
+          consumer: describeEntity(kind, entity),
+          modulePath: entity.modulePath || "",
+          group: ref.group || "",
+        });
+      });
+    });
+    return unresolved.sort(
+      (a, b) => a.label.localeCompare(b.label) || a.modulePath.localeCompare(b.modulePath)
+    );
+  }
+
+  // findObjects resolves a signature, an object label such as
+  // "*statedb.DB" or "[]hive.ScriptCmd [group=script-commands]", or a type
+  // to the signatures of provided or consumed objects. Group slices match
+  // their members.
+  function findObjects(text) {
+    const found = new Set();
+    const consider = (signature, label, type) => {
+      if (text === signature || text === label || text === type || text === `[]${type}`) {
+        found.add(signature);
+      }
+    };
+    objectIndex.forEach((entry) => {
+      consider(objectSignature(entry.type, entry.name, entry.group), entry.label, entry.type);
+    });
+    consumingEntities().forEach(([, entity]) => {
+      (entity.inputs || []).forEach((ref) => {
+        consider(signatureForRef(ref), formatObject(ref), ref.type);
+      });
+    });
+    return Array.from(found).sort();
+  }
+
+  // neighborhood collects the modules within `hops` dependency steps of the
+  // module, following what it depends on, what depends on it, or "both".
+  // The module stands for its submodules. Each module is reached along one
+  // direction only, so a dependency of a dependent is not a neighbor:
+  //
+  //   { depths: Map(modulePath -> hops), dependencies: Set, dependents: Set,
+  //     edges: [[consumer, provider]] }
+  //
+  // edges are the dependencies among the collected modules.
+  function neighborhood(modulePath, hops, direction = "both") {
+    const subtree = moduleSubtree(modulePath);
+    const owner = (path) => (subtree.has(path) ? modulePath : path);
+    const forward = new Map();
+    const backward = new Map();
+    const link = (map, from, to) => {
+      if (!map.has(from)) {
+        map.set(from, new Set());
+      }
+      map.get(from).add(to);
+    };
+    moduleDeps.forEach((providers, consumer) => {
+      providers.forEach((provider) => {
+        const from = owner(consumer);
+        const to = owner(provider);
+        if (from !== to && modules[from] && modules[to]) {
+          link(forward, from, to);
+          link(backward, to, from);
+        }
+      });
+    });
+    const depths = new Map([[modulePath, 0]]);
+    const walk = (adjacency, reached) => {
+      let frontier = [modulePath];
+      for (let depth = 1; depth <= hops && frontier.length > 0; depth += 1) {
+        const next = [];
+        frontier.forEach((path) => {
+          (adjacency.get(path) || []).forEach((neighbor) => {
+            if (reached.has(neighbor) || neighbor === modulePath) {
+              return;
+            }
+            reached.add(neighbor);
+            next.push(neighbor);
+            depths.set(neighbor, Math.min(depths.get(neighbor) ?? depth, depth));
+          });
+        });
+        frontier = next;
+      }
+    };
+    const dependencies = new Set();
+    const dependents = new Set();
+    if (direction !== "dependents") {
+      walk(forward, dependencies);
+    }
+    if (direction !== "dependencies") {
+      walk(backward, dependents);
+    }
+    const edges = [];
+    forward.forEach((providers, consumer) => {
+      providers.forEach((provider) => {
+        if (depths.has(consumer) && depths.has(provider)) {
+          edges.push([consumer, provider]);
+        }
+      });
+    });
+    return { depths, dependencies, dependents, edges };
+  }
+
+  // configObjects lists the configuration objects, one per signature:
+  // those registered with cell.Config, those carrying flags and those whose
+  // type is named as a config.
+  //
+  //   { label, signature, type, providers, consumers, cellConfig, flags }
+  //
+  // consumers are the modules reading the config.
+  function configObjects() {
+    if (configs) {
+      return configs;
+    }
+    configs = [];
+    objectsBySignature.forEach((entries, signature) => {
+      const objects = entries.map((entry) => graph.objects[entry.id]);
+      const cellConfig = objects.some((obj) =>
+        (obj.providedBy || []).some((id) =>
+          CELL_CONFIG_PROVIDER.test(graph.constructors?.[id]?.name || "")
+        )
+      );
+      const flags = objects.flatMap(configFlags);
+      const typeName = entries[0].type.replace(/\[.*\]$/, "").split(".").pop();
+      if (!cellConfig && flags.length === 0 && !CONFIG_TYPE_NAME.test(typeName)) {
+        return;
+      }
+      configs.push({
+        label: entries[0].label,
+        signature,
+        type: entries[0].type,
+        providers: providersOf(signature),
+        consumers: consumerModulesOf(signature),
+        cellConfig,
+        flags,
+      });
+    });
+    configs.sort((a, b) => a.label.localeCompare(b.label) || a.signature.localeCompare(b.signature));
+    configSignatures = new Set(configs.map((config) => config.signature));
+    return configs;
+  }
+
+  function isConfigSignature(signature) {
+    configObjects();
+    return configSignatures.has(signature);
+  }
+
+  return {
+    graph,
+    moduleDeps,
+    moduleDepObjects,
+    objectIndex,
+    objectsBySignature,
+    moduleSubtree,
+    isModuleWithin,
+    providerModules,
+    providersOf,
+    providingEntities,
+    consumersOf,
+    consumerModulesOf,
+    objectInfo,
+    refInfo,
+    providedObjects,
+    dependencyObjects,
+    dependentModules,
+    unresolvedInputs,
+    suppliedInputs,
+    hiveSupplied: suppliedTypes,
+    findObjects,
+    neighborhood,
+    configObjects,
+    isConfigSignature,
+  };
+}
@@ -0,0 +1,335 @@
+// Tests for graph-model.mjs against a small hand-written dump:
+//
+//   node --test demos/hive-ui/
+//
+// app.web serves what app.db and the private metrics registry provide;
+// auth.Token is provided by nobody and the logger is left to the hive.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  computeDiagnostics,
+  computeModuleDeps,
+  computeModuleMetrics,
+  createGraphQuery,
+  findModuleCycles,
+  objectSignature,
+  parseSourceLocation,
+} from "./graph-model.mjs";
+
+function fixture() {
+  const object = (type, modulePath, providedBy, consumedBy, extra = {}) => ({
+    id: `${type}|${extra.name || ""}|${extra.group || ""}|${modulePath}`,
+    type,
+    modulePath,
+    providedBy,
+    consumedBy,
+    ...extra,
+  });
+  const objects = [
+    object("*slog.Logger", "__root__", [], ["ctor:db"]),
+    object("db.Config", "app.db", ["ctor:dbconfig"], ["ctor:db"], {
+      exported: true,
+      flags: [
+        { name: "db-path", default: "/var/db", usage: "Database directory" },
+        { name: "db-cache", default: 64 },
+      ],
+    }),
+    object("*db.DB", "app.db", ["ctor:db"], ["ctor:web"], { exported: true }),
+    object("*metrics.Registry", "metrics", ["ctor:metrics"], ["ctor:web"]),
+    object("*web.Server", "app.web", ["ctor:web"], ["invoke:web"], { exported: true }),
+    object("web.Handler", "app.web", ["ctor:web"], ["invoke:web"], {
+      group: "handlers",
+      exported: false,
+    }),
+  ];
+  const edges = [
+    { from: objects[1].id, to: "ctor:db", kind: "depends" },
+    { from: objects[2].id, to: "ctor:web", kind: "depends" },
+    { from: objects[3].id, to: "ctor:web", kind: "depends" },
+    { from: objects[4].id, to: "invoke:web", kind: "invokes" },
+    { from: objects[5].id, to: "invoke:web", kind: "invokes" },
+  ];
+  return {
+    rootModules: ["app", "metrics"],
+    modules: {
+      app: { id: "app", path: "app", children: ["app.db", "app.web"] },
+      "app.db": { id: "db", path: "app.db", parent: "app", children: [] },
+      "app.web": { id: "web", path: "app.web", parent: "app", children: [] },
+      metrics: { id: "metrics", path: "metrics", children: [] },
+    },
+    constructors: {
+      "ctor:dbconfig": {
+        id: "ctor:dbconfig",
+        name: "cell.(*config[db.Config]).func2 (.../hive/cell/config.go:71)",
+        modulePath: "app.db",
+        exported: true,
+        inputs: [],
+      },
+      "ctor:db": {
+        id: "ctor:db",
+        name: "db.New (.../app/db/db.go:12)",
+        modulePath: "app.db",
+        exported: true,
+        inputs: [{ type: "*slog.Logger" }, { type: "db.Config" }],
+      },
+      "ctor:web": {
+        id: "ctor:web",
+        name: "web.NewServer (.../app/web/server.go:20)",
+        modulePath: "app.web",
+        exported: true,
+        inputs: [{ type: "*db.DB" }, { type: "*metrics.Registry", optional: true }],
+      },
+      "ctor:metrics": {
+        id: "ctor:metrics",
+        name: "metrics.newRegistry (.../metrics/registry.go:8)",
+        modulePath: "metrics",
+        exported: false,
+        inputs: [],
+      },
+    },
+    invokers: {
+      "invoke:web": {
+        id: "invoke:web",
+        name: "web.start (.../app/web/server.go:44)",
+        modulePath: "app.web",
+        inputs: [
+          { type: "*web.Server" },
+          { type: "[]web.Handler", group: "handlers" },
+          { type: "auth.Token" },
+        ],
+      },
+    },
+    decorators: {},
+    objects: Object.fromEntries(objects.map((obj) => [obj.id, obj])),
+    edges,
+  };
+}
+
+const names = (entries) => entries.map((entry) => entry.name);
+const labels = (entries) => entries.map((entry) => entry.label);
+
+describe("createGraphQuery", () => {
+  it("finds the providers of an object", () => {
+    const query = createGraphQuery(fixture());
+    const db = objectSignature("*db.DB");
+    assert.deepEqual(query.providersOf(db), ["app.db"]);
+    assert.deepEqual(query.providingEntities(db), [
+      { kind: "constructor", id: "ctor:db", name: "db.New", modulePath: "app.db" },
+    ]);
+    assert.deepEqual(query.providersOf(objectSignature("auth.Token")), []);
+  });
+
+  it("finds the consumers of an object", () => {
+    const query = createGraphQuery(fixture());
+    assert.deepEqual(query.consumersOf(objectSignature("*metrics.Registry")), [
+      {
+        kind: "constructor",
+        id: "ctor:web",
+        name: "web.NewServer",
+        modulePath: "app.web",
+        optional: true,
+      },
+    ]);
+    assert.deepEqual(query.consumerModulesOf(objectSignature("*db.DB")), ["app.web"]);
+  });
+
+  it("matches value group members through their group slice", () => {
+    const query = createGraphQuery(fixture());
+    const handler = objectSignature("web.Handler", "", "handlers");
+    assert.deepEqual(names(query.consumersOf(handler)), ["web.start"]);
+    assert.deepEqual(query.providersOf(handler), ["app.web"]);
+  });
+
+  it("finds the modules depending on a module subtree", () => {
+    const query = createGraphQuery(fixture());
+    assert.deepEqual(query.dependentModules("app.db"), ["app.web"]);
+    assert.deepEqual(query.dependentModules("metrics"), ["app.web"]);
+    assert.deepEqual(query.dependentModules("app.web"), []);
+    assert.deepEqual(query.dependentModules("app"), []);
+  });
+
+  it("lists the inputs nobody provides, leaving out what the hive supplies", () => {
+    const query = createGraphQuery(fixture());
+    const unresolved = query.unresolvedInputs();
+    assert.deepEqual(labels(unresolved), ["auth.Token"]);
+    assert.equal(unresolved[0].modulePath, "app.web");
+    assert.equal(unresolved[0].consumer.name, "web.start");
+    assert.deepEqual(labels(query.suppliedInputs()), ["*slog.Logger"]);
+  });
+
+  it("takes the hive-supplied types from the dump or an override", () => {
+    const graph = fixture();
+    graph.hiveSupplied = ["auth.Token"];
+    assert.deepEqual(labels(createGraphQuery(graph).unresolvedInputs()), ["*slog.Logger"]);
+    const none = createGraphQuery(graph, { hiveSupplied: [] });
+    assert.deepEqual(none.hiveSupplied, []);
+    assert.deepEqual(labels(none.unresolvedInputs()), ["*slog.Logger", "auth.Token"]);
+    assert.deepEqual(none.suppliedInputs(), []);
+  });
+
+  it("collects the dependency neighborhood of a module", () => {
+    const query = createGraphQuery(fixture());
+    const web = query.neighborhood("app.web", 1);
+    assert.deepEqual(Array.from(web.dependencies).sort(), ["app.db", "metrics"]);
+    assert.deepEqual(Array.from(web.dependents), []);
+    assert.deepEqual(web.edges.sort(), [
+      ["app.web", "app.db"],
+      ["app.web", "metrics"],
+    ]);
+
+    // app.db is a dependency of a dependent, not a neighbor of metrics.
+    const registry = query.neighborhood("metrics", 2);
+    assert.deepEqual(Array.from(registry.depths), [
+      ["metrics", 0],
+      ["app.web", 1],
+    ]);
+    assert.deepEqual(query.neighborhood("metrics", 2, "dependencies").depths.size, 1);
+  });
+
+  it("lets a module stand for its submodules in the neighborhood", () => {
+    const query = createGraphQuery(fixture());
+    const app = query.neighborhood("app", 1);
+    assert.deepEqual(Array.from(app.dependencies), ["metrics"]);
+    assert.deepEqual(app.edges, [["app", "metrics"]]);
+  });
+
+  it("lists the configuration objects with their flags", () => {
+    const query = createGraphQuery(fixture());
+    assert.deepEqual(query.configObjects(), [
+      {
+        label: "db.Config",
+        signature: objectSignature("db.Config"),
+        type: "db.Config",
+        providers: ["app.db"],
+        consumers: ["app.db"],
+        cellConfig: true,
+        flags: [
+          { name: "db-cache", default: "64", usage: "" },
+          { name: "db-path", default: "/var/db", usage: "Database directory" },
+        ],
+      },
+    ]);
+    assert.equal(query.isConfigSignature(objectSignature("db.Config")), true);
+    assert.equal(query.isConfigSignature(objectSignature("*db.DB")), false);
+  });
+});
+
+describe("parseSourceLocation", () => {
+  it("splits a name with a source location", () => {
+    assert.deepEqual(parseSourceLocation("statedb.ScriptCommands (.../cilium/statedb/script.go:27)"), {
+      name: "statedb.ScriptCommands",
+      package: "statedb",
+      function: "ScriptCommands",
+      file: ".../cilium/statedb/script.go",
+      dir: ".../cilium/statedb",
+      line: 27,
+    });
+  });
+
+  it("keeps method receivers in the function", () => {
+    const location = parseSourceLocation("cell.(*config[db.Config]).func2 (.../hive/cell/config.go:71)");
+    assert.equal(location.package, "cell");
+    assert.equal(location.function, "(*config[db.Config]).func2");
+    assert.equal(location.line, 71);
+  });
+
+  it("handles names without a location", () => {
+    assert.deepEqual(parseSourceLocation("main"), {
+      name: "main",
+      package: "",
+      function: "main",
+      file: "",
+      dir: "",
+      line: 0,
+    });
+    assert.equal(parseSourceLocation(""), null);
+  });
+});
+
+describe("computeModuleMetrics", () => {
+  const graph = fixture();
+  const metrics = computeModuleMetrics(graph, computeModuleDeps(graph).deps);
+
+  it("counts per module", () => {
+    assert.deepEqual(metrics.get("app.web"), {
+      constructors: 1,
+      invokers: 1,
+      provided: 2,
+      consumed: 5,
+      fanIn: 0,
+      fanOut: 2,
+      privateRatio: 0.5,
+    });
+    assert.deepEqual(metrics.get("metrics"), {
+      constructors: 1,
+      invokers: 0,
+      provided: 1,
+      consumed: 0,
+      fanIn: 1,
+      fanOut: 0,
+      privateRatio: 1,
+    });
+  });
+
+  it("rolls submodules up and drops dependencies within the subtree", () => {
+    const app = metrics.get("app");
+    assert.equal(app.constructors, 3);
+    assert.equal(app.invokers, 1);
+    assert.equal(app.provided, 4);
+    assert.equal(app.fanIn, 0);
+    assert.equal(app.fanOut, 1);
+    assert.equal(app.privateRatio, 0.25);
+  });
+});
+
+describe("computeDiagnostics", () => {
+  it("lists unresolved inputs and counts what the hive supplies", () => {
+    const { unresolved, supplied } = computeDiagnostics(createGraphQuery(fixture()));
+    assert.deepEqual(labels(unresolved), ["auth.Token"]);
+    assert.equal(unresolved[0].consumer, "invoker web.start");
+    assert.deepEqual(supplied, [{ label: "*slog.Logger", count: 1 }]);
+  });
+
+  it("flags private objects consumed from outside their module", () => {
+    const graph = fixture();
+    assert.deepEqual(computeDiagnostics(createGraphQuery(graph)).privateAccess, []);
+    graph.constructors["ctor:web"].inputs[1].optional = false;
+    const [access, ...rest] = computeDiagnostics(createGraphQuery(graph)).privateAccess;
+    assert.deepEqual(rest, []);
+    assert.equal(access.label, "*metrics.Registry");
+    assert.equal(access.modulePath, "app.web");
+    assert.equal(access.consumer, "constructor web.NewServer");
+  });
+
+  it("lists objects provided but never consumed", () => {
+    const graph = fixture();
+    graph.objects.stats = {
+      id: "stats",
+      type: "db.Stats",
+      modulePath: "app.db",
+      providedBy: ["ctor:db"],
+      consumedBy: [],
+      exported: true,
+    };
+    const { unconsumed } = computeDiagnostics(createGraphQuery(graph));
+    assert.deepEqual(
+      unconsumed.map(({ label, provider }) => ({ label, provider })),
+      [{ label: "db.Stats", provider: "app.db: db.New" }]
+    );
+  });
+});
+
+describe("findModuleCycles", () => {
+  it("returns each cycle once with a path through it", () => {
+    const deps = new Map([
+      ["a", new Set(["b"])],
+      ["b", new Set(["c"])],
+      ["c", new Set(["a", "d"])],
+      ["d", new Set()],
+      ["e", new Set(["a"])],
+    ]);
+    assert.deepEqual(findModuleCycles(deps), [{ modules: ["a", "b", "c"], path: ["a", "b", "c"] }]);
+    assert.deepEqual(findModuleCycles(new Map([["a", new Set(["b"])]])), []);
+  });
+});
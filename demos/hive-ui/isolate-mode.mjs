@@ -0,0 +1,163 @@
+// Isolate mode: one module and its N-hop dependency neighborhood on their
+// own, laid out by themselves. Leaving restores the view from before.
+//
+//   const isolateMode = createIsolateMode({ state, bar, title, ...hooks });
+//   isolateMode.enter("agent.controlplane.ipam", 2, "dependents");
+//   isolateMode.exit();
+
+import { ROOT_KEY } from "./graph-model.mjs";
+import { layeredLayout } from "./layout.mjs";
+
+const DEFAULT_HOPS = 1;
+const DIRECTIONS = ["both", "dependencies", "dependents"];
+
+export function createIsolateMode({
+  state,
+  bar,
+  title,
+  hopsInput,
+  hopsValue,
+  directionSelect,
+  captureViewState,
+  restoreViewState,
+  selectedModulePath,
+  setSelected,
+  updateGraph,
+  frameNodes,
+}) {
+  function enter(
+    modulePath,
+    hops = state.isolate ? state.isolate.hops : DEFAULT_HOPS,
+    direction = state.isolate ? state.isolate.direction : "both"
+  ) {
+    if (!modulePath || modulePath === ROOT_KEY || !state.graph.modules[modulePath]) {
+      return;
+    }
+    const view = state.isolate ? state.isolate.view : captureViewState();
+    state.isolate = { ...neighborhood(modulePath, hops, direction), view };
+    state.closure = null;
+    state.pathHighlight = null;
+    state.groupHighlight = null;
+    state.configHighlight = null;
+    updateControls();
+    updateGraph();
+    setSelected(`module:${modulePath}`);
+    frameNodes(Array.from(state.isolate.depths.keys()).map((path) => state.nodes.get(`module:${path}`)));
+  }
+
+  function neighborhood(modulePath, hops, direction) {
+    return {
+      modulePath,
+      hops,
+      direction,
+      subtree: state.query.moduleSubtree(modulePath),
+      ...state.query.neighborhood(modulePath, hops, direction),
+    };
+  }
+
+  // refresh recomputes the neighborhood for a reloaded graph, or leaves
+  // isolate mode when the isolated module is gone.
+  function refresh() {
+    if (!state.isolate) {
+      return;
+    }
+    const { modulePath, hops, direction, view } = state.isolate;
+    state.isolate = state.graph.modules[modulePath]
+      ? { ...neighborhood(modulePath, hops, direction), view }
+      : null;
+    updateControls();
+  }
+
+  function exit() {
+    if (!state.isolate) {
+      return;
+    }
+    const { view } = state.isolate;
+    state.isolate = null;
+    updateControls();
+    restoreViewState({ ...view, selectedId: state.selectedId });
+  }
+
+  function toggle() {
+    if (state.isolate) {
+      exit();
+      return true;
+    }
+    const modulePath = selectedModulePath();
+    if (!modulePath || modulePath === ROOT_KEY) {
+      return false;
+    }
+    enter(modulePath);
+    return true;
+  }
+
+  function layout() {
+    const { depths, edges } = state.isolate;
+    const placed = layeredLayout(
+      Array.from(depths.keys()).map((path) => `module:${path}`),
+      edges.map(([from, to]) => [`module:${from}`, `module:${to}`])
+    );
+    const positions = new Map();
+    placed.forEach((pos, nodeId) => positions.set(nodeId.slice("module:".length), pos));
+    return { positions, edges: [], entities: new Map(), memberEdges: [] };
+  }
+
+  // role describes how a module of the neighborhood relates to the
+  // isolated one.
+  function role(modulePath) {
+    const { modulePath: center, depths, dependencies, dependents } = state.isolate;
+    if (modulePath === center) {
+      return "isolated module";
+    }
+    const roles = [];
+    if (dependencies.has(modulePath)) {
+      roles.push("dependency");
+    }
+    if (dependents.has(modulePath)) {
+      roles.push("dependent");
+    }
+    const hops = depths.get(modulePath);
+    return `${roles.join(" and ")} · ${hops} hop${hops === 1 ? "" : "s"}`;
+  }
+
+  function updateControls() {
+    if (!bar) {
+      return;
+    }
+    bar.hidden = !state.isolate;
+    if (!state.isolate) {
+      return;
+    }
+    const { modulePath, hops, direction, depths } = state.isolate;
+    title.textContent = `${modulePath} · ${depths.size} module${depths.size === 1 ? "" : "s"}`;
+    title.title = modulePath;
+    hopsInput.value = String(hops);
+    hopsValue.textContent = `${hops} hop${hops === 1 ? "" : "s"}`;
+    directionSelect.value = direction;
+  }
+
+  function setup() {
+    if (!bar) {
+      return;
+    }
+    hopsInput.addEventListener("input", () => {
+      const hops = Number(hopsInput.value);
+      if (state.isolate && hops > 0 && hops !== state.isolate.hops) {
+        enter(state.isolate.modulePath, hops);
+      }
+    });
+    directionSelect.addEventListener("change", () => {
+      const direction = directionSelect.value;
+      if (state.isolate && DIRECTIONS.includes(direction)) {
+        enter(state.isolate.modulePath, state.isolate.hops, direction);
+      }
+    });
+    bar.addEventListener("click", (event) => {
+      if (event.target.closest("[data-isolate-exit]")) {
+        exit();
+      }
+    });
+  }
+
+  return { enter, exit, toggle, refresh, layout, role, updateControls, setup };
+}
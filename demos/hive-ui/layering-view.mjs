@@ -0,0 +1,147 @@
+// Layering rules in the explorer (see layering.mjs): violating dependency
+// edges and the consumer modules, or the collapsed modules standing for them.
+//
+//   const layeringView = createLayeringView({ state, button, fileInput, ...hooks });
+//   layeringView.loadFromUrl("layers.json");
+//   const violations = layeringView.edgeViolations(pairs);
+
+import { ROOT_KEY } from "./graph-model.mjs";
+import { checkLayering, parseLayeringRules } from "./layering.mjs";
+
+export function createLayeringView({
+  state,
+  button,
+  fileInput,
+  rebuildEdges,
+  renderDetails,
+  renderPanelView,
+  setLocationParam,
+  showLoadError,
+}) {
+  // evaluate checks the rules against the current graph. Violations are
+  // indexed by their "consumer->provider" module pair, the same keys the
+  // dependency edges carry.
+  function evaluate() {
+    if (!state.layeringRules || !state.graph) {
+      state.layering = null;
+      return;
+    }
+    const violations = checkLayering(state.layeringRules.rules, state.moduleDepObjects);
+    state.layering = {
+      violations,
+      pairs: new Map(violations.map((item) => [`${item.consumer}->${item.provider}`, item])),
+      modules: new Set(violations.map((item) => item.consumer)),
+    };
+  }
+
+  function edgeViolations(pairs) {
+    if (!state.layering || !pairs) {
+      return [];
+    }
+    return pairs.map((key) => state.layering.pairs.get(key)).filter(Boolean);
+  }
+
+  function moduleViolates(modulePath) {
+    if (!state.layering || !modulePath || modulePath === ROOT_KEY) {
+      return false;
+    }
+    if (state.layering.modules.has(modulePath)) {
+      return true;
+    }
+    if (state.expandedModules.has(modulePath)) {
+      return false;
+    }
+    for (const path of state.query.moduleSubtree(modulePath)) {
+      if (state.layering.modules.has(path)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function apply(rules, name) {
+    state.layeringRules = rules ? { rules, name } : null;
+    evaluate();
+    state.diagnostics = null;
+    if (state.graph) {
+      rebuildEdges();
+      renderDetails();
+      renderPanelView();
+    }
+    updateControls();
+  }
+
+  function loadFromUrl(url) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`${res.status} ${res.statusText}`.trim());
+        }
+        return res.text();
+      })
+      .then((text) => {
+        apply(parseLayeringRules(text), url);
+        setLocationParam("rules", url);
+      })
+      .catch((err) => showLoadError(url, err));
+  }
+
+  function loadFromFile(file) {
+    if (!file) {
+      return Promise.resolve();
+    }
+    return file
+      .text()
+      .then((text) => {
+        apply(parseLayeringRules(text), file.name);
+        setLocationParam("rules", null);
+      })
+      .catch((err) => showLoadError(file.name, err));
+  }
+
+  function clear() {
+    apply(null, "");
+    setLocationParam("rules", null);
+  }
+
+  function updateControls() {
+    if (!button) {
+      return;
+    }
+    const loaded = state.layeringRules;
+    button.textContent = loaded ? "Clear Rules" : "Rules…";
+    button.title = loaded
+      ? `Stop checking ${loaded.name} (${state.layering ? state.layering.violations.length : 0} violations)`
+      : "Check module dependencies against a layering rules file";
+  }
+
+  function setup() {
+    if (!button || !fileInput) {
+      return;
+    }
+    button.addEventListener("click", () => {
+      if (state.layeringRules) {
+        clear();
+        return;
+      }
+      fileInput.click();
+    });
+    fileInput.addEventListener("change", () => {
+      const file = fileInput.files && fileInput.files[0];
+      loadFromFile(file).finally(() => {
+        fileInput.value = "";
+      });
+    });
+  }
+
+  return {
+    evaluate,
+    edgeViolations,
+    moduleViolates,
+    loadFromUrl,
+    loadFromFile,
+    clear,
+    updateControls,
+    setup,
+  };
+}
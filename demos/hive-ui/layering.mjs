@@ -0,0 +1,121 @@
+// Layering rules: which modules may depend on which. A rules file is JSON:
+//
+//   {
+//     "rules": [
+//       { "from": "agent.controlplane.**", "to": "agent.datapath.*.**",
+//         "reason": "the control plane goes through the datapath API" },
+//       { "from": "health.**", "to": "agent.**" }
+//     ]
+//   }
+//
+// Patterns match dotted module paths segment by segment: `**` matches any
+// number of segments including none, `*` exactly one, and `*` within a
+// segment any run of characters ("k8s-*"). A consumer module depending on a
+// provider module is checked against the rules in order and the first rule
+// matching both paths decides. Rules forbid by default; `"allow": true` rules
+// carve exceptions out of the forbidding rules after them. Dependencies no
+// rule matches are allowed.
+
+import { ROOT_KEY } from "./graph-model.mjs";
+
+// parseLayeringRules parses and validates the text of a rules file, throwing
+// an Error naming the offending rule.
+export function parseLayeringRules(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`rules are not valid JSON: ${err.message}`);
+  }
+  if (!data || !Array.isArray(data.rules)) {
+    throw new Error('rules file needs a "rules" array');
+  }
+  return data.rules.map((rule, index) => {
+    const where = `rule ${index + 1}`;
+    if (!rule || typeof rule.from !== "string" || !rule.from) {
+      throw new Error(`${where}: "from" must be a module path pattern`);
+    }
+    if (typeof rule.to !== "string" || !rule.to) {
+      throw new Error(`${where}: "to" must be a module path pattern`);
+    }
+    if (rule.allow !== undefined && typeof rule.allow !== "boolean") {
+      throw new Error(`${where}: "allow" must be true or false`);
+    }
+    return {
+      index,
+      from: rule.from,
+      to: rule.to,
+      allow: Boolean(rule.allow),
+      reason: typeof rule.reason === "string" ? rule.reason : "",
+      matchFrom: compilePattern(rule.from),
+      matchTo: compilePattern(rule.to),
+    };
+  });
+}
+
+// describeRule renders a rule the way it reads in a rules file.
+export function describeRule(rule) {
+  return `${rule.from} ${rule.allow ? "may" : "must not"} depend on ${rule.to}`;
+}
+
+// checkLayering evaluates the rules against the consumer -> provider ->
+// object labels map from computeModuleDeps and returns the forbidden
+// dependencies, sorted by consumer and provider:
+//
+//   [{ consumer, provider, rule, objects }]
+export function checkLayering(rules, depObjects) {
+  const violations = [];
+  depObjects.forEach((providers, consumer) => {
+    if (consumer === ROOT_KEY) {
+      return;
+    }
+    providers.forEach((objects, provider) => {
+      if (provider === ROOT_KEY || provider === consumer) {
+        return;
+      }
+      const rule = rules.find((candidate) => candidate.matchFrom(consumer) && candidate.matchTo(provider));
+      if (rule && !rule.allow) {
+        violations.push({ consumer, provider, rule, objects: Array.from(objects).sort() });
+      }
+    });
+  });
+  return violations.sort(
+    (a, b) => a.consumer.localeCompare(b.consumer) || a.provider.localeCompare(b.provider)
+  );
+}
+
+function compilePattern(pattern) {
+  const segments = pattern.split(".").map((segment) => {
+    if (segment === "**" || segment === "*") {
+      return segment;
+    }
+    const source = segment
+      .split("*")
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("[^.]*");
+    return new RegExp(`^${source}$`);
+  });
+  return (path) => matchSegments(segments, 0, path.split("."), 0);
+}
+
+function matchSegments(pattern, p, path, i) {
+  if (p === pattern.length) {
+    return i === path.length;
+  }
+  const segment = pattern[p];
+  if (segment === "**") {
+    for (let next = i; next <= path.length; next += 1) {
+      if (matchSegments(pattern, p + 1, path, next)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (i === path.length) {
+    return false;
+  }
+  if (segment !== "*" && !segment.test(path[i])) {
+    return false;
+  }
+  return matchSegments(pattern, p + 1, path, i + 1);
+}
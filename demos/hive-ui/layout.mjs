@@ -0,0 +1,509 @@
+// Layouts for the module graph. Positions are in grid units: one column
+// horizontally and one row vertically, scaled to scene coordinates by
+// LAYOUT_X_SPACING and LAYOUT_Y_SPACING. Nothing here depends on the DOM or
+// three.js.
+
+import { ROOT_KEY } from "./graph-model.mjs";
+
+export const LAYOUT_X_SPACING = 40;
+export const LAYOUT_Y_SPACING = 14;
+
+const LAYER_SPACING = 1.6;
+const DUMMY_HEIGHT = 0.35;
+const ORDER_SWEEPS = 8;
+const PLACEMENT_SWEEPS = 4;
+
+// treeLayout places modules by their parent/child hierarchy: depth is the
+// column and each module is centered on the rows taken by its visible
+// subtree. internalsOf(modulePath) returns the constructor/invoker and
+// object node ids to show for an expanded leaf module, or null.
+export function treeLayout(modules, expanded, internalsOf) {
+  const positions = new Map();
+  const edges = [];
+  const entities = new Map();
+  const memberEdges = [];
+
+  const roots = Object.keys(modules).filter((path) => {
+    const parent = modules[path]?.parent || "";
+    return parent === "" || !modules[parent];
+  });
+  roots.sort();
+
+  const countVisible = (modulePath) => {
+    let count = 1;
+    if (!expanded.has(modulePath)) {
+      return count;
+    }
+    const internals = internalsOf(modulePath);
+    if (internals) {
+      return Math.max(1, internals.entities.length, internals.objects.length);
+    }
+    const children = (modules[modulePath]?.children || []).slice();
+    children.sort();
+    children.forEach((child) => {
+      count += countVisible(child);
+    });
+    return count;
+  };
+
+  const place = (modulePath, depth, centerY) => {
+    positions.set(modulePath, { x: depth, y: centerY });
+    if (!expanded.has(modulePath)) {
+      return;
+    }
+    const internals = internalsOf(modulePath);
+    if (internals) {
+      placeInternals(modulePath, internals, depth, centerY);
+      return;
+    }
+    const children = (modules[modulePath]?.children || []).slice();
+    children.sort();
+    const sizes = children.map((child) => countVisible(child));
+    const total = sizes.reduce((sum, val) => sum + val, 0);
+    let cursor = centerY - (total / 2);
+    children.forEach((child, idx) => {
+      const childSize = sizes[idx];
+      const childCenter = cursor + childSize / 2;
+      edges.push([modulePath, child]);
+      place(child, depth + 1, childCenter);
+      cursor += childSize;
+    });
+  };
+
+  // Constructors and invokers go in a column right of their module, the
+  // objects they provide in a second column.
+  const placeInternals = (modulePath, internals, depth, centerY) => {
+    const column = (nodeIds, x) => {
+      nodeIds.forEach((nodeId, idx) => {
+        entities.set(nodeId, { x, y: centerY - (nodeIds.length - 1) / 2 + idx });
+      });
+    };
+    column(internals.entities, depth + 1.4);
+    column(internals.objects, depth + 2.9);
+    internals.entities.forEach((nodeId) => memberEdges.push([`module:${modulePath}`, nodeId]));
+  };
+
+  positions.set(ROOT_KEY, { x: 0, y: 0 });
+
+  const rootSizes = roots.map((root) => countVisible(root));
+  const totalRoots = rootSizes.reduce((sum, val) => sum + val, 0);
+  let cursor = -totalRoots / 2;
+  roots.forEach((root, idx) => {
+    const size = rootSizes[idx];
+    const centerY = cursor + size / 2;
+    edges.push([ROOT_KEY, root]);
+    place(root, 1, centerY);
+    cursor += size;
+  });
+
+  return { positions, edges, entities, memberEdges };
+}
+
+// dependencyLayout rearranges what the tree layout made visible using the
+// dependency edges instead of the hierarchy, with the layered or the force
+// layout. Expanded modules that only group their children are left out.
+// The returned `placed` map is keyed by node id and can be passed back as
+// `initial` to keep force relayouts stable.
+export function dependencyLayout(tree, { mode, graph, expanded, moduleDeps, ownsEntities, initial }) {
+  const visible = new Set();
+  tree.positions.forEach((_, modulePath) => {
+    if (modulePath !== ROOT_KEY && (!expanded.has(modulePath) || ownsEntities(modulePath))) {
+      visible.add(modulePath);
+    }
+  });
+  const resolve = (modulePath) => {
+    let current = modulePath;
+    while (current && !tree.positions.has(current)) {
+      current = graph.modules[current]?.parent || "";
+    }
+    return visible.has(current) ? `module:${current}` : "";
+  };
+
+  const edges = [];
+  moduleDeps.forEach((deps, consumer) => {
+    const from = resolve(consumer);
+    deps.forEach((provider) => {
+      const to = resolve(provider);
+      if (from && to && from !== to) {
+        edges.push([from, to]);
+      }
+    });
+  });
+  edges.push(...tree.memberEdges);
+  (graph.edges || []).forEach((edge) => {
+    const from = `entity:${edge.from}`;
+    const to = `entity:${edge.to}`;
+    if (tree.entities.has(from) && tree.entities.has(to)) {
+      edges.push([from, to]);
+    }
+  });
+
+  const nodeIds = [
+    ...Array.from(visible).map((modulePath) => `module:${modulePath}`),
+    ...tree.entities.keys(),
+  ];
+  const placed =
+    mode === "layered"
+      ? layeredLayout(nodeIds, edges)
+      : forceLayout(nodeIds, edges, { initial: initial || undefined });
+
+  const positions = new Map();
+  const entities = new Map();
+  placed.forEach((pos, nodeId) => {
+    if (nodeId.startsWith("module:")) {
+      positions.set(nodeId.slice("module:".length), pos);
+    } else {
+      entities.set(nodeId, pos);
+    }
+  });
+  return { positions, edges: [], entities, memberEdges: tree.memberEdges, placed };
+}
+
+// layeredLayout is a Sugiyama-style layout: cycles are broken by reversing
+// DFS back edges, nodes are assigned to layers by longest path, long edges
+// are split with dummy nodes, layers are ordered by barycenter sweeps and
+// rows are pulled towards the median of their neighbours.
+export function layeredLayout(nodeIds, edges) {
+  const ids = Array.from(new Set(nodeIds));
+  const index = new Map(ids.map((id, idx) => [id, idx]));
+  const out = ids.map(() => new Set());
+  edges.forEach(([from, to]) => {
+    const u = index.get(from);
+    const v = index.get(to);
+    if (u !== undefined && v !== undefined && u !== v) {
+      out[u].add(v);
+    }
+  });
+  const dag = breakCycles(out);
+  const layers = assignLayers(dag);
+
+  // Split edges spanning several layers so that ordering sees them.
+  const layerOf = layers.slice();
+  const succ = dag.map(() => []);
+  dag.forEach((targets, u) => {
+    targets.forEach((v) => {
+      let prev = u;
+      for (let layer = layerOf[u] + 1; layer < layerOf[v]; layer += 1) {
+        const dummy = layerOf.length;
+        layerOf.push(layer);
+        succ.push([]);
+        succ[prev].push(dummy);
+        prev = dummy;
+      }
+      succ[prev].push(v);
+    });
+  });
+  const pred = succ.map(() => []);
+  succ.forEach((targets, u) => targets.forEach((v) => pred[v].push(u)));
+
+  const byLayer = [];
+  layerOf.forEach((layer, node) => {
+    if (!byLayer[layer]) {
+      byLayer[layer] = [];
+    }
+    byLayer[layer].push(node);
+  });
+  const order = orderLayers(byLayer.map((nodes) => nodes || []), succ, pred);
+  const rows = placeRows(order, succ, pred, (node) => (node < ids.length ? 1 : DUMMY_HEIGHT));
+
+  const positions = new Map();
+  ids.forEach((id, node) => {
+    positions.set(id, { x: layerOf[node] * LAYER_SPACING, y: rows[node] });
+  });
+  return positions;
+}
+
+function breakCycles(out) {
+  const state = new Uint8Array(out.length);
+  const dag = out.map(() => []);
+  out.forEach((_, start) => {
+    if (state[start]) {
+      return;
+    }
+    const stack = [[start, Array.from(out[start]).sort((a, b) => a - b), 0]];
+    state[start] = 1;
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const [u, targets] = frame;
+      if (frame[2] >= targets.length) {
+        state[u] = 2;
+        stack.pop();
+        continue;
+      }
+      const v = targets[frame[2]];
+      frame[2] += 1;
+      if (state[v] === 1) {
+        // Back edge: keep the pair connected but pointing down the layers.
+        dag[v].push(u);
+      } else {
+        dag[u].push(v);
+        if (state[v] === 0) {
+          state[v] = 1;
+          stack.push([v, Array.from(out[v]).sort((a, b) => a - b), 0]);
+        }
+      }
+    }
+  });
+  return dag.map((targets) => Array.from(new Set(targets)));
+}
+
+function assignLayers(dag) {
+  const indegree = new Array(dag.length).fill(0);
+  dag.forEach((targets) => targets.forEach((v) => (indegree[v] += 1)));
+  const queue = [];
+  indegree.forEach((deg, node) => {
+    if (deg === 0) {
+      queue.push(node);
+    }
+  });
+  const topo = [];
+  while (queue.length > 0) {
+    const u = queue.shift();
+    topo.push(u);
+    dag[u].forEach((v) => {
+      indegree[v] -= 1;
+      if (indegree[v] === 0) {
+        queue.push(v);
+      }
+    });
+  }
+  const layers = new Array(dag.length).fill(0);
+  topo.forEach((u) => {
+    dag[u].forEach((v) => {
+      layers[v] = Math.max(layers[v], layers[u] + 1);
+    });
+  });
+  // Pull nodes without incoming edges next to their nearest successor so
+  // that consumers do not all pile up in the first layer.
+  const hasIncoming = new Array(dag.length).fill(false);
+  dag.forEach((targets) => targets.forEach((v) => (hasIncoming[v] = true)));
+  for (let i = topo.length - 1; i >= 0; i -= 1) {
+    const u = topo[i];
+    if (!hasIncoming[u] && dag[u].length > 0) {
+      layers[u] = Math.min(...dag[u].map((v) => layers[v])) - 1;
+    }
+  }
+  return layers;
+}
+
+function orderLayers(byLayer, succ, pred) {
+  const position = new Map();
+  const renumber = (nodes) => nodes.forEach((node, idx) => position.set(node, idx));
+  byLayer.forEach(renumber);
+  const sweep = (nodes, neighbours) => {
+    const keyed = nodes.map((node, idx) => {
+      const adjacent = neighbours[node];
+      if (adjacent.length === 0) {
+        return { node, key: idx };
+      }
+      const sum = adjacent.reduce((acc, other) => acc + position.get(other), 0);
+      return { node, key: sum / adjacent.length };
+    });
+    keyed.sort((a, b) => a.key - b.key);
+    return keyed.map((item) => item.node);
+  };
+  for (let iter = 0; iter < ORDER_SWEEPS; iter += 1) {
+    if (iter % 2 === 0) {
+      for (let layer = 1; layer < byLayer.length; layer += 1) {
+        byLayer[layer] = sweep(byLayer[layer], pred);
+        renumber(byLayer[layer]);
+      }
+    } else {
+      for (let layer = byLayer.length - 2; layer >= 0; layer -= 1) {
+        byLayer[layer] = sweep(byLayer[layer], succ);
+        renumber(byLayer[layer]);
+      }
+    }
+  }
+  return byLayer;
+}
+
+function placeRows(order, succ, pred, height) {
+  const rows = [];
+  order.forEach((nodes) => {
+    const total = nodes.reduce((sum, node) => sum + height(node), 0);
+    let cursor = -total / 2;
+    nodes.forEach((node) => {
+      rows[node] = cursor + height(node) / 2;
+      cursor += height(node);
+    });
+  });
+  const pack = (nodes) => {
+    // Keep the order and minimum spacing while staying as close as possible
+    // to the desired rows: push down, then shift the block back to center.
+    const desired = nodes.map((node) => rows[node]);
+    for (let i = 1; i < nodes.length; i += 1) {
+      const gap = (height(nodes[i - 1]) + height(nodes[i])) / 2;
+      rows[nodes[i]] = Math.max(desired[i], rows[nodes[i - 1]] + gap);
+    }
+    const drift =
+      nodes.reduce((sum, node, idx) => sum + rows[node] - desired[idx], 0) / (nodes.length || 1);
+    nodes.forEach((node) => (rows[node] -= drift));
+  };
+  const align = (nodes, neighbours) => {
+    nodes.forEach((node) => {
+      const adjacent = neighbours[node];
+      if (adjacent.length > 0) {
+        const sorted = adjacent.map((other) => rows[other]).sort((a, b) => a - b);
+        rows[node] = sorted[Math.floor(sorted.length / 2)];
+      }
+    });
+    pack(nodes);
+  };
+  for (let iter = 0; iter < PLACEMENT_SWEEPS; iter += 1) {
+    order.forEach((nodes, layer) => layer > 0 && align(nodes, pred));
+    for (let layer = order.length - 2; layer >= 0; layer -= 1) {
+      align(order[layer], succ);
+    }
+  }
+  return rows;
+}
+
+// forceLayout runs a Fruchterman-Reingold simulation. Repulsion only acts
+// within a cutoff radius using a spatial grid, which keeps each iteration
+// linear in the number of nodes. Nodes found in `initial` start from their
+// previous position so that relayouts after expand/collapse stay stable.
+export function forceLayout(nodeIds, edges, options = {}) {
+  const ids = Array.from(new Set(nodeIds));
+  const count = ids.length;
+  const index = new Map(ids.map((id, idx) => [id, idx]));
+  const links = [];
+  const neighbours = ids.map(() => []);
+  edges.forEach(([from, to]) => {
+    const u = index.get(from);
+    const v = index.get(to);
+    if (u !== undefined && v !== undefined && u !== v) {
+      links.push([u, v]);
+      neighbours[u].push(v);
+      neighbours[v].push(u);
+    }
+  });
+
+  const k = options.distance || 1.8;
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  const initial = options.initial || new Map();
+  const placed = new Array(count).fill(false);
+  ids.forEach((id, idx) => {
+    const pos = initial.get(id);
+    if (pos) {
+      xs[idx] = pos.x;
+      ys[idx] = pos.y;
+      placed[idx] = true;
+    }
+  });
+  const warm = placed.filter(Boolean).length;
+  const radius = k * Math.sqrt(count);
+  ids.forEach((id, idx) => {
+    if (placed[idx]) {
+      return;
+    }
+    const anchor = neighbours[idx].find((other) => placed[other]);
+    const angle = hashUnit(id) * Math.PI * 2;
+    const spread = anchor === undefined ? radius * Math.sqrt(hashUnit(`${id}#r`)) : k;
+    xs[idx] = (anchor === undefined ? 0 : xs[anchor]) + Math.cos(angle) * spread;
+    ys[idx] = (anchor === undefined ? 0 : ys[anchor]) + Math.sin(angle) * spread;
+    placed[idx] = true;
+  });
+
+  // A mostly warm start only needs to settle, not to untangle.
+  const settling = warm > count * 0.8;
+  const iterations =
+    options.iterations ||
+    Math.round(Math.max(60, Math.min(300, 60000 / Math.max(count, 1))) / (settling ? 3 : 1));
+  const cutoff = k * 3;
+  const dx = new Float64Array(count);
+  const dy = new Float64Array(count);
+  let temperature = options.temperature || (settling ? k : k * 4);
+  const cooling = temperature / iterations;
+
+  for (let iter = 0; iter < iterations; iter += 1) {
+    dx.fill(0);
+    dy.fill(0);
+    const grid = new Map();
+    for (let i = 0; i < count; i += 1) {
+      const key = cellKey(Math.floor(xs[i] / cutoff), Math.floor(ys[i] / cutoff));
+      if (!grid.has(key)) {
+        grid.set(key, []);
+      }
+      grid.get(key).push(i);
+    }
+    for (let i = 0; i < count; i += 1) {
+      const cx = Math.floor(xs[i] / cutoff);
+      const cy = Math.floor(ys[i] / cutoff);
+      for (let gx = cx - 1; gx <= cx + 1; gx += 1) {
+        for (let gy = cy - 1; gy <= cy + 1; gy += 1) {
+          const cell = grid.get(cellKey(gx, gy));
+          if (!cell) {
+            continue;
+          }
+          for (let c = 0; c < cell.length; c += 1) {
+            const j = cell[c];
+            if (j <= i) {
+              continue;
+            }
+            let ddx = xs[i] - xs[j];
+            let ddy = ys[i] - ys[j];
+            let dist = Math.hypot(ddx, ddy);
+            if (dist < 1e-3) {
+              ddx = hashUnit(`${ids[i]}|${ids[j]}`) - 0.5;
+              ddy = 0.5 - hashUnit(`${ids[j]}|${ids[i]}`);
+              dist = Math.hypot(ddx, ddy) || 1e-3;
+            }
+            if (dist > cutoff) {
+              continue;
+            }
+            const force = (k * k) / dist;
+            const fx = (ddx / dist) * force;
+            const fy = (ddy / dist) * force;
+            dx[i] += fx;
+            dy[i] += fy;
+            dx[j] -= fx;
+            dy[j] -= fy;
+          }
+        }
+      }
+    }
+    links.forEach(([u, v]) => {
+      const ddx = xs[u] - xs[v];
+      const ddy = ys[u] - ys[v];
+      const dist = Math.hypot(ddx, ddy) || 1e-3;
+      const force = (dist * dist) / k;
+      const fx = (ddx / dist) * force;
+      const fy = (ddy / dist) * force;
+      dx[u] -= fx;
+      dy[u] -= fy;
+      dx[v] += fx;
+      dy[v] += fy;
+    });
+    for (let i = 0; i < count; i += 1) {
+      // Weak gravity keeps disconnected components from drifting away.
+      dx[i] -= xs[i] * 0.02 * k;
+      dy[i] -= ys[i] * 0.02 * k;
+      const length = Math.hypot(dx[i], dy[i]);
+      if (length > 0) {
+        const step = Math.min(length, temperature);
+        xs[i] += (dx[i] / length) * step;
+        ys[i] += (dy[i] / length) * step;
+      }
+    }
+    temperature = Math.max(temperature - cooling, k * 0.02);
+  }
+
+  const positions = new Map();
+  ids.forEach((id, idx) => positions.set(id, { x: xs[idx], y: ys[idx] }));
+  return positions;
+}
+
+function cellKey(gx, gy) {
+  return (gx + 32768) * 65536 + (gy + 32768);
+}
+
+function hashUnit(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+}
@@ -0,0 +1,227 @@
+// Live mode: follow a graph URL or a picked graph file, swap in every new
+// snapshot while keeping the view, and blink the modules that changed.
+//
+//   const liveMode = createLiveMode({ state, button, urlInput, loadGraph, ...hooks });
+//   liveMode.start("http://localhost:8080/graph.json", LIVE_POLL_MS);
+//   liveMode.startFile(fileHandle);
+//   liveMode.stop();
+
+import { ROOT_KEY } from "./graph-model.mjs";
+
+// Polled this often unless ?poll= (milliseconds) says otherwise, and never
+// faster than LIVE_POLL_MIN_MS.
+export const LIVE_POLL_MS = 2000;
+const LIVE_POLL_MIN_MS = 250;
+
+export function createLiveMode({
+  state,
+  button,
+  urlInput,
+  validateGraph,
+  computeGraphDiff,
+  loadGraph,
+  enterCompareMode,
+  captureViewState,
+  restoreViewState,
+  resolveVisibleModule,
+  setLocationParam,
+  updateGraphSourceLabel,
+}) {
+  function start(url, interval = LIVE_POLL_MS) {
+    const shown = state.graphSource && state.graphSource.url === url;
+    begin({ url, name: url, read: () => fetchText(url) }, shown, interval);
+    setLocationParam("live", url);
+  }
+
+  // startFile re-reads a file picked with showOpenFilePicker whenever its
+  // lastModified changes. Handles cannot go into the URL.
+  function startFile(handle, interval = LIVE_POLL_MS) {
+    const shown = state.graphSource && state.graphSource.handle === handle;
+    let lastModified = null;
+    const read = () =>
+      handle.getFile().then((file) => {
+        if (file.lastModified === lastModified) {
+          return null;
+        }
+        return file.text().then((text) => {
+          lastModified = file.lastModified;
+          return text;
+        });
+      });
+    begin({ handle, name: handle.name, read }, shown, interval);
+  }
+
+  function begin(target, shown, interval) {
+    stop();
+    state.live = {
+      ...target,
+      interval: Math.max(LIVE_POLL_MIN_MS, interval),
+      // The text of the last read; unchanged contents are not parsed.
+      text: null,
+      // The last snapshot shown, serialized; equal contents are skipped.
+      snapshot: shown ? JSON.stringify(state.diff ? state.diff.current : state.graph) : null,
+      timer: null,
+      error: "",
+      updatedAt: null,
+    };
+    updateControls();
+    poll(state.live);
+  }
+
+  function stop() {
+    if (!state.live) {
+      return;
+    }
+    clearTimeout(state.live.timer);
+    state.live = null;
+    setLocationParam("live", null);
+    setLocationParam("poll", null);
+    updateControls();
+  }
+
+  function fetchText(url) {
+    return fetch(url, { cache: "no-store" }).then((res) => {
+      if (!res.ok) {
+        throw new Error(`${res.status} ${res.statusText}`.trim());
+      }
+      return res.text();
+    });
+  }
+
+  function poll(live) {
+    live
+      .read()
+      .then((text) => {
+        if (state.live !== live || text === null) {
+          return;
+        }
+        if (text !== live.text) {
+          const graph = JSON.parse(text);
+          const snapshot = JSON.stringify(graph);
+          if (snapshot !== live.snapshot) {
+            apply(graph, live);
+            live.snapshot = snapshot;
+            live.updatedAt = new Date();
+          }
+        }
+        live.text = text;
+        live.error = "";
+      })
+      .catch((err) => {
+        live.error = err && err.message ? err.message : String(err);
+      })
+      .finally(() => {
+        if (state.live !== live) {
+          return;
+        }
+        updateControls();
+        live.timer = setTimeout(() => poll(live), live.interval);
+      });
+  }
+
+  function apply(graph, live) {
+    validateGraph(graph);
+    if (live.url && (!state.graphSource || state.graphSource.url !== live.url)) {
+      state.graphSource = { kind: "url", name: live.url, url: live.url };
+    }
+    const previous = state.diff ? state.diff.current : state.graph;
+    const changes = computeGraphDiff(previous, graph).modules;
+    if (state.diff) {
+      enterCompareMode(state.diff.base, state.diff.baseName, graph, true);
+    } else {
+      const view = captureViewState();
+      loadGraph(graph, state.graphSource, null, true);
+      restoreViewState(view);
+    }
+    const changed = [];
+    changes.forEach((status, path) => {
+      if (status !== "same") {
+        changed.push(path);
+      }
+    });
+    flash(changed, previous);
+  }
+
+  // flash blinks the visible modules standing for the given paths. Removed
+  // modules blink through their closest remaining ancestor.
+  function flash(paths, previous) {
+    const cache = new Map();
+    const nodes = new Set();
+    paths.forEach((path) => {
+      let current = path;
+      while (current && !state.graph.modules[current]) {
+        current = previous.modules[current]?.parent || "";
+      }
+      const visible = resolveVisibleModule(current, cache);
+      if (visible && visible !== ROOT_KEY) {
+        nodes.add(`module:${visible}`);
+      }
+    });
+    state.liveFlash = nodes.size > 0 ? { nodes, start: performance.now(), on: false } : null;
+  }
+
+  function status() {
+    const { name, interval, error, updatedAt } = state.live;
+    const lines = [`Following ${name} every ${interval / 1000}s`];
+    if (updatedAt) {
+      lines.push(`Last change ${updatedAt.toLocaleTimeString()}`);
+    }
+    if (error) {
+      lines.push(`Last poll failed: ${error}`);
+    }
+    return lines.join("\n");
+  }
+
+  function requestedUrl() {
+    return urlInput ? urlInput.value.trim() : "";
+  }
+
+  function canStart() {
+    const source = state.graphSource;
+    return Boolean(requestedUrl() || (source && (source.url || source.handle)));
+  }
+
+  function toggle() {
+    if (state.live) {
+      stop();
+      return;
+    }
+    const source = state.graphSource;
+    const url = requestedUrl() || (source && source.url);
+    if (url) {
+      start(url);
+    } else if (source && source.handle) {
+      startFile(source.handle);
+    }
+  }
+
+  function updateControls() {
+    if (button) {
+      button.textContent = state.live ? "Stop Live" : "Live";
+      button.disabled = !state.live && !canStart();
+    }
+    if (urlInput) {
+      const source = state.graphSource;
+      urlInput.disabled = Boolean(state.live);
+      urlInput.placeholder = (source && (source.url || source.name)) || "Graph URL to poll";
+    }
+    updateGraphSourceLabel();
+  }
+
+  function setup() {
+    if (button) {
+      button.addEventListener("click", toggle);
+    }
+    if (urlInput) {
+      urlInput.addEventListener("input", () => updateControls());
+      urlInput.addEventListener("keydown", (event) => {
+        if (event.key === "Enter" && canStart()) {
+          event.preventDefault();
+          toggle();
+        }
+      });
+    }
+  }
+
+  return { start, startFile, stop, status, updateControls, setup };
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Answers dependency questions about a hive graph.json from the command line,
+// with the same queries the explorer's details and diagnostics panels use.
+//
+//   node query-graph.mjs graph.json providers <object>
+//   node query-graph.mjs graph.json consumers <object>
+//   node query-graph.mjs graph.json dependents <module>
+//   node query-graph.mjs graph.json unresolved [module]
+//     [--format text|json] [--output file] [--hive-supplied type,...]
+//
+// Objects are named by type ("*statedb.DB"), by label as the explorer shows
+// it ("[]hive.ScriptCmd [group=script-commands]") or by signature
+// ("type|name|group"). A value group slice matches the group members.
+// Dependents are the modules outside <module> and its submodules consuming
+// objects it provides. Unresolved inputs are those no object provides,
+// optionally limited to <module> and its submodules. Inputs of the types the
+// hive supplies itself are not unresolved; --hive-supplied replaces the list
+// the dump names or graph-model.mjs assumes (an empty value clears it). When
+// the assumed list hides inputs, stderr says which.
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { createGraphQuery } from "./graph-model.mjs";
+
+const COMMANDS = ["providers", "consumers", "dependents", "unresolved"];
+
+function usage(message) {
+  if (message) {
+    console.error(`query-graph: ${message}`);
+  }
+  console.error(
+    "usage: node query-graph.mjs graph.json providers|consumers <object>\n" +
+      "       node query-graph.mjs graph.json dependents <module>\n" +
+      "       node query-graph.mjs graph.json unresolved [module]\n" +
+      "         [--format text|json] [--output file] [--hive-supplied type,...]"
+  );
+  process.exit(2);
+}
+
+function fail(message) {
+  console.error(`query-graph: ${message}`);
+  process.exit(1);
+}
+
+function describeEntity({ kind, name, modulePath }) {
+  return `${kind} ${name} in ${modulePath || "root"}`;
+}
+
+function findObjects(query, text) {
+  const signatures = query.findObjects(text);
+  if (signatures.length === 0) {
+    fail(`no object matches ${text}`);
+  }
+  return signatures;
+}
+
+function objectLabel(query, signature) {
+  const entries = query.objectsBySignature.get(signature);
+  if (entries && entries.length > 0) {
+    return entries[0].label;
+  }
+  const [type, name, group] = signature.split("|");
+  return query.refInfo({ type, name, group }).label;
+}
+
+// Each command returns its JSON result and the text lines printing it.
+const RUNNERS = {
+  providers(query, [text]) {
+    const result = findObjects(query, text).map((signature) => ({
+      object: objectLabel(query, signature),
+      signature,
+      modules: query.providersOf(signature),
+      providers: query.providingEntities(signature),
+    }));
+    const lines = result.flatMap(({ object, providers }) => [
+      object,
+      ...(providers.length > 0 ? providers.map((p) => `  ${describeEntity(p)}`) : ["  (none)"]),
+    ]);
+    return { result, lines };
+  },
+
+  consumers(query, [text]) {
+    const result = findObjects(query, text).map((signature) => ({
+      object: objectLabel(query, signature),
+      signature,
+      modules: query.consumerModulesOf(signature),
+      consumers: query.consumersOf(signature),
+    }));
+    const lines = result.flatMap(({ object, consumers }) => [
+      object,
+      ...(consumers.length > 0
+        ? consumers.map((c) => `  ${describeEntity(c)}${c.optional ? " (optional)" : ""}`)
+        : ["  (none)"]),
+    ]);
+    return { result, lines };
+  },
+
+  dependents(query, [modulePath]) {
+    const result = query.dependentModules(modulePath);
+    return { result, lines: result };
+  },
+
+  unresolved(query, [modulePath]) {
+    const subtree = modulePath ? query.moduleSubtree(modulePath) : null;
+    const result = query
+      .unresolvedInputs()
+      .filter((item) => !subtree || subtree.has(item.modulePath))
+      .map(({ label, signature, optional, group, consumer }) => ({
+        object: label,
+        signature,
+        optional,
+        group,
+        consumer,
+      }));
+    const lines = result.map(({ object, optional, group, consumer }) => {
+      const note = group ? " (empty value group)" : optional ? " (optional)" : "";
+      return `${object}${note}: needed by ${describeEntity(consumer)}`;
+    });
+    return { result, lines };
+  },
+};
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string", default: "text" },
+        output: { type: "string", short: "o", default: "" },
+        "hive-supplied": { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    usage("");
+  }
+  const [file, command, ...args] = positionals;
+  if (!file || !command) {
+    usage("expected a graph.json and a command");
+  }
+  if (!COMMANDS.includes(command)) {
+    usage(`unknown command ${command}`);
+  }
+  const wanted = command === "unresolved" ? args.length <= 1 : args.length === 1;
+  if (!wanted) {
+    usage(`wrong number of arguments for ${command}`);
+  }
+  if (!["text", "json"].includes(values.format)) {
+    usage(`unknown format ${values.format}`);
+  }
+
+  let graph;
+  try {
+    graph = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    fail(`cannot read ${file}: ${err.message}`);
+  }
+  if (!graph || !graph.modules) {
+    fail(`${file} is not a hive graph (no modules)`);
+  }
+  if ((command === "dependents" || command === "unresolved") && args[0] && !graph.modules[args[0]]) {
+    fail(`unknown module ${args[0]}`);
+  }
+
+  const supplied = values["hive-supplied"];
+  const query = createGraphQuery(graph, {
+    hiveSupplied:
+      supplied === undefined ? null : supplied.split(",").map((type) => type.trim()).filter(Boolean),
+  });
+  const { result, lines } = RUNNERS[command](query, args);
+  const output =
+    values.format === "json"
+      ? `${JSON.stringify(result, null, 2)}\n`
+      : lines.map((line) => `${line}\n`).join("");
+  if (values.output) {
+    writeFileSync(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+  // Only the assumed defaults are worth a note, and only when they hide inputs.
+  if (command === "unresolved" && supplied === undefined && !Array.isArray(graph.hiveSupplied)) {
+    const subtree = args[0] ? query.moduleSubtree(args[0]) : null;
+    const hidden = new Set(
+      query
+        .suppliedInputs()
+        .filter((item) => !subtree || subtree.has(item.modulePath))
+        .map((item) => item.label)
+    );
+    if (hidden.size > 0) {
+      console.error(
+        `query-graph: left out ${Array.from(hidden).sort().join(", ")} as supplied by the hive` +
+          " (see --hive-supplied)"
+      );
+    }
+  }
+}
+
+main();
@@ -0,0 +1,388 @@
+// Rasterizes an explorer view (see export.mjs) to RGBA pixels without a
+// canvas and encodes them as PNG, for the Node entry point. Shapes are drawn
+// from their signed distance with a pixel of antialiasing. Labels use a
+// built-in 5x7 bitmap font, as Node has no text renderer.
+//
+//   const image = rasterizeView(view, { scale: 6 });
+//   writeFileSync("view.png", encodePng(image, deflateSync));
+
+import {
+  BACKGROUND,
+  NODE_STYLES,
+  TEXT_COLOR,
+  multiplyColor,
+  parseColor,
+  viewBounds,
+} from "./export.mjs";
+
+const CURVE_SEGMENTS = 28;
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Glyphs for the printable ASCII characters from the space on, seven rows
+// of five bits each, top row first and the 0x10 bit leftmost.
+const GLYPHS = [
+  "00000000000000", "04040404040004", "0a0a0000000000", "0a0a1f0a1f0a0a", "040f140e051e04", "18190204081303", // space ! " # $ %
+  "0c12140815120d", "04040000000000", "02040808080402", "08040202020408", "0004150e150400", "0004041f040400", // & ' ( ) * +
+  "000000000c0408", "0000001f000000", "00000000000c0c", "00010204081000", "0e11131519110e", "040c040404040e", // , - . / 0 1
+  "0e11010204081f", "1f02040201110e", "02060a121f0202", "1f101e0101110e", "0608101e11110e", "1f010204080808", // 2 3 4 5 6 7
+  "0e11110e11110e", "0e11110f01020c", "000c0c000c0c00", "000c0c000c0408", "02040810080402", "00001f001f0000", // 8 9 : ; < =
+  "08040201020408", "0e110102040004", "0e11010d15150e", "0e1111111f1111", "1e11111e11111e", "0e11101010110e", // > ? @ A B C
+  "1c12111111121c", "1f10101e10101f", "1f10101e101010", "0e11101711110f", "1111111f111111", "0e04040404040e", // D E F G H I
+  "0702020202120c", "11121418141211", "1010101010101f", "111b1515111111", "11111915131111", "0e11111111110e", // J K L M N O
+  "1e11111e101010", "0e11111115120d", "1e11111e141211", "0f10100e01011e", "1f040404040404", "1111111111110e", // P Q R S T U
+  "11111111110a04", "1111111515150a", "11110a040a1111", "1111110a040404", "1f01020408101f", "0e08080808080e", // V W X Y Z [
+  "00100804020100", "0e02020202020e", "040a1100000000", "0000000000001f", "08040200000000", "00000e010f110f", // \ ] ^ _ ` a
+  "1010161911111e", "00000e1010110e", "01010d1311110f", "00000e111f100e", "0609081c080808", "000f11110f010e", // b c d e f g
+  "10101619111111", "04000c0404040e", "0200060202120c", "10101214181412", "0c04040404040e", "00001a15151111", // h i j k l m
+  "00001619111111", "00000e1111110e", "00001e111e1010", "00000d130f0101", "00001619101010", "00000e100e011e", // n o p q r s
+  "08081c08080906", "0000111111130d", "00001111110a04", "0000111115150a", "0000110a040a11", "000011110f010e", // t u v w x y
+  "00001f0204081f", "02040408040402", "04040404040404", "08040402040408", "00000815020000", // z { | } ~
+];
+// Letters with descenders, drawn two rows lower than the others.
+const DESCENDERS = {
+  g: "0f11110f01110e",
+  p: "1e11111e101010",
+  q: "0f11110f010101",
+  y: "1111110f01110e",
+};
+const DESCENT_ROWS = 2;
+const MISSING_GLYPH = "1f11111111111f";
+const GLYPH_ROWS = 7;
+const GLYPH_COLUMNS = 5;
+const GLYPH_ADVANCE = 6;
+
+let crcTable = null;
+
+// rasterizeView draws the view like renderSvg, at `scale` pixels per scene
+// unit, shrinking the scale when either side would exceed `maxSize`.
+export function rasterizeView(
+  view,
+  { scale = 3, padding = 12, background = BACKGROUND, maxSize = Infinity } = {}
+) {
+  const bounds = viewBounds(view, padding);
+  scale = Math.min(scale, maxSize / bounds.width, maxSize / bounds.height);
+  const width = Math.max(1, Math.ceil(bounds.width * scale));
+  const height = Math.max(1, Math.ceil(bounds.height * scale));
+  const image = { width, height, pixels: new Uint8ClampedArray(width * height * 4) };
+  const fill = parseColor(background);
+  for (let offset = 0; offset < image.pixels.length; offset += 4) {
+    image.pixels[offset] = fill.r;
+    image.pixels[offset + 1] = fill.g;
+    image.pixels[offset + 2] = fill.b;
+    image.pixels[offset + 3] = 255;
+  }
+  const toPixel = ({ x, y }) => ({ x: (x - bounds.minX) * scale, y: (-y - bounds.minY) * scale });
+  view.edges.forEach((edge) => {
+    const color = parseColor(edge.color);
+    const points = edge.points.map(toPixel);
+    const line = points.length === 3 ? sampleCurve(points) : points;
+    paint(image, strokeCoverage(image, line, edge.width * scale), color, color.a * edge.opacity);
+  });
+  view.nodes.forEach((node) => drawNode(image, node, toPixel(node), scale));
+  return image;
+}
+
+function drawNode(image, node, center, scale) {
+  const style = NODE_STYLES[node.kind] || NODE_STYLES.module;
+  const tint = parseColor(node.tint || "#ffffff");
+  const fill = multiplyColor(parseColor(style.fill), tint);
+  const stroke = multiplyColor(parseColor(style.stroke), tint);
+  // Pixels per sprite canvas pixel, the unit NODE_STYLES sizes are given in.
+  const unit = style.scale * scale;
+  const inset = 2 * unit;
+  const halfWidth = (node.width * scale) / 2 - inset;
+  const halfHeight = (node.height * scale) / 2 - inset;
+  let distance;
+  let outline;
+  if (style.shape === "circle") {
+    const radius = (style.size / 2 - 6) * unit;
+    distance = (x, y) => Math.hypot(x - center.x, y - center.y) - radius;
+    outline = null;
+  } else if (style.shape === "hexagon") {
+    const x0 = center.x - halfWidth;
+    const y0 = center.y - halfHeight;
+    const w = halfWidth * 2;
+    const h = halfHeight * 2;
+    outline = [
+      { x: x0 + h / 2, y: y0 },
+      { x: x0 + w - h / 2, y: y0 },
+      { x: x0 + w, y: y0 + h / 2 },
+      { x: x0 + w - h / 2, y: y0 + h },
+      { x: x0 + h / 2, y: y0 + h },
+      { x: x0, y: y0 + h / 2 },
+    ];
+    distance = (x, y) => polygonDistance(outline, x, y);
+  } else {
+    const radius = style.shape === "pill" ? halfHeight : style.radius * unit;
+    distance = (x, y) => roundedRectDistance(x - center.x, y - center.y, halfWidth, halfHeight, radius);
+    outline = [
+      { x: center.x - halfWidth, y: center.y - halfHeight },
+      { x: center.x + halfWidth, y: center.y - halfHeight },
+      { x: center.x + halfWidth, y: center.y + halfHeight },
+      { x: center.x - halfWidth, y: center.y + halfHeight },
+    ];
+  }
+  const lineWidth = style.lineWidth * unit;
+  const dash = (node.dashed || style.dashed) && outline ? [5 * unit, 3 * unit] : null;
+  const reach = Math.max(halfWidth, halfHeight) + lineWidth + 1;
+  const fillCoverage = new Map();
+  const strokeCoverageMap = new Map();
+  const top = Math.max(0, Math.floor(center.y - reach));
+  const bottom = Math.min(image.height - 1, Math.ceil(center.y + reach));
+  const left = Math.max(0, Math.floor(center.x - reach));
+  const right = Math.min(image.width - 1, Math.ceil(center.x + reach));
+  for (let y = top; y <= bottom; y += 1) {
+    for (let x = left; x <= right; x += 1) {
+      const d = distance(x + 0.5, y + 0.5);
+      const index = y * image.width + x;
+      const inside = clamp01(0.5 - d);
+      if (inside > 0) {
+        fillCoverage.set(index, inside);
+      }
+      let edge = clamp01(lineWidth / 2 + 0.5 - Math.abs(d));
+      if (edge > 0 && dash && !onDash(outline, x + 0.5, y + 0.5, dash)) {
+        edge = 0;
+      }
+      if (edge > 0) {
+        strokeCoverageMap.set(index, edge);
+      }
+    }
+  }
+  paint(image, fillCoverage, fill, fill.a * node.opacity);
+  paint(image, strokeCoverageMap, stroke, stroke.a * node.opacity);
+  if (style.shape !== "circle" && node.label) {
+    const text = multiplyColor(parseColor(TEXT_COLOR), tint);
+    const x = center.x - (node.width * scale) / 2 + style.paddingX * unit;
+    paint(image, labelCoverage(image, node.label, x, center.y, style.fontSize * unit), text, text.a * node.opacity);
+  }
+}
+
+function strokeCoverage(image, points, lineWidth) {
+  const coverage = new Map();
+  const half = lineWidth / 2;
+  const reach = half + 1;
+  for (let i = 1; i < points.length; i += 1) {
+    const a = points[i - 1];
+    const b = points[i];
+    const top = Math.max(0, Math.floor(Math.min(a.y, b.y) - reach));
+    const bottom = Math.min(image.height - 1, Math.ceil(Math.max(a.y, b.y) + reach));
+    for (let y = top; y <= bottom; y += 1) {
+      const [from, to] = rowSpan(a, b, y + 0.5, reach);
+      const left = Math.max(0, Math.floor(from));
+      const right = Math.min(image.width - 1, Math.ceil(to));
+      for (let x = left; x <= right; x += 1) {
+        const c = clamp01(half + 0.5 - segmentDistance(x + 0.5, y + 0.5, a, b));
+        const index = y * image.width + x;
+        // Segments of one line overlap at their joints; count each pixel once.
+        if (c > 0 && !(coverage.get(index) >= c)) {
+          coverage.set(index, c);
+        }
+      }
+    }
+  }
+  return coverage;
+}
+
+// rowSpan bounds the x range of the segment's points within `reach` of the
+// row at y, widened by `reach`.
+function rowSpan(a, b, y, reach) {
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  if (Math.abs(dy) > 1e-9) {
+    const ta = (y - reach - a.y) / dy;
+    const tb = (y + reach - a.y) / dy;
+    t0 = Math.max(0, Math.min(ta, tb));
+    t1 = Math.min(1, Math.max(ta, tb));
+  }
+  const xa = a.x + (b.x - a.x) * t0;
+  const xb = a.x + (b.x - a.x) * t1;
+  return [Math.min(xa, xb) - reach, Math.max(xa, xb) + reach];
+}
+
+function labelCoverage(image, label, x, centerY, fontSize) {
+  const coverage = new Map();
+  // The glyph grid matches estimateNodeSize: 0.55em per character.
+  const cellWidth = (fontSize * 0.55) / GLYPH_ADVANCE;
+  const cellHeight = fontSize * 0.1;
+  const top = centerY - (cellHeight * GLYPH_ROWS) / 2;
+  Array.from(label).forEach((char, i) => {
+    const code = char.charCodeAt(0);
+    const printable = char.length === 1 && code >= 32 && code < 127;
+    const glyph = DESCENDERS[char] || (printable ? GLYPHS[code - 32] : MISSING_GLYPH);
+    const shift = DESCENDERS[char] ? DESCENT_ROWS : 0;
+    for (let row = 0; row < GLYPH_ROWS; row += 1) {
+      const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+      for (let column = 0; column < GLYPH_COLUMNS; column += 1) {
+        if (bits & (0x10 >> column)) {
+          addBox(
+            image,
+            coverage,
+            x + (i * GLYPH_ADVANCE + column) * cellWidth,
+            top + (row + shift) * cellHeight,
+            cellWidth,
+            cellHeight
+          );
+        }
+      }
+    }
+  });
+  return coverage;
+}
+
+// addBox adds the area of a box each pixel overlaps to its coverage.
+function addBox(image, coverage, x, y, width, height) {
+  const top = Math.max(0, Math.floor(y));
+  const bottom = Math.min(image.height - 1, Math.ceil(y + height) - 1);
+  const left = Math.max(0, Math.floor(x));
+  const right = Math.min(image.width - 1, Math.ceil(x + width) - 1);
+  for (let py = top; py <= bottom; py += 1) {
+    const overlapY = Math.min(py + 1, y + height) - Math.max(py, y);
+    for (let px = left; px <= right; px += 1) {
+      const overlapX = Math.min(px + 1, x + width) - Math.max(px, x);
+      const index = py * image.width + px;
+      coverage.set(index, Math.min(1, (coverage.get(index) || 0) + overlapX * overlapY));
+    }
+  }
+}
+
+function paint(image, coverage, color, alpha) {
+  const { pixels } = image;
+  coverage.forEach((amount, index) => {
+    const a = amount * alpha;
+    if (a <= 0) {
+      return;
+    }
+    const offset = index * 4;
+    pixels[offset] += (color.r - pixels[offset]) * a;
+    pixels[offset + 1] += (color.g - pixels[offset + 1]) * a;
+    pixels[offset + 2] += (color.b - pixels[offset + 2]) * a;
+  });
+}
+
+function sampleCurve([start, control, end]) {
+  const samples = [];
+  for (let i = 0; i <= CURVE_SEGMENTS; i += 1) {
+    const t = i / CURVE_SEGMENTS;
+    const u = 1 - t;
+    samples.push({
+      x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+      y: u * u * start.y + 2 * u * t * control.y + t * t * end.y,
+    });
+  }
+  return samples;
+}
+
+function segmentDistance(x, y, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+function roundedRectDistance(x, y, halfWidth, halfHeight, radius) {
+  const r = Math.min(radius, halfWidth, halfHeight);
+  const qx = Math.abs(x) - (halfWidth - r);
+  const qy = Math.abs(y) - (halfHeight - r);
+  return Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - r;
+}
+
+function polygonDistance(points, x, y) {
+  let best = Infinity;
+  let inside = false;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    best = Math.min(best, segmentDistance(x, y, a, b));
+    if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  });
+  return inside ? -best : best;
+}
+
+// onDash tells whether the outline point nearest (x, y) falls on a dash,
+// measuring the pattern along the outline from its first corner.
+function onDash(outline, x, y, [dash, gap]) {
+  let best = Infinity;
+  let position = 0;
+  let travelled = 0;
+  outline.forEach((a, i) => {
+    const b = outline[(i + 1) % outline.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+    const t = length ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / (length * length))) : 0;
+    const d = Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    if (d < best) {
+      best = d;
+      position = travelled + t * length;
+    }
+    travelled += length;
+  });
+  return position % (dash + gap) < dash;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// encodePng encodes an image from rasterizeView as an 8-bit RGBA PNG.
+// `deflate` is zlib's deflateSync, passed in so this module does not depend
+// on Node.
+export function encodePng({ width, height, pixels }, deflate) {
+  const stride = width * 4 + 1;
+  const raw = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y += 1) {
+    // Each row starts with its filter type, 0 for none.
+    raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * stride + 1);
+  }
+  const header = new Uint8Array(13);
+  const fields = new DataView(header.buffer);
+  fields.setUint32(0, width);
+  fields.setUint32(4, height);
+  header.set([8, 6, 0, 0, 0], 8);
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", deflate(raw)),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+  const png = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return png;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const fields = new DataView(chunk.buffer);
+  fields.setUint32(0, data.length);
+  for (let i = 0; i < 4; i += 1) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  fields.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
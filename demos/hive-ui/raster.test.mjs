@@ -0,0 +1,135 @@
+// Round-trip tests for the PNG files raster.mjs writes:
+//
+//   node --test demos/hive-ui/
+//
+// The PNG is taken apart again with node:zlib and a bitwise CRC, so a
+// mistake in the encoder's own table is caught too.
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { deflateSync, inflateSync } from "node:zlib";
+import { encodePng, rasterizeView } from "./raster.mjs";
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k += 1) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// readPng checks the signature and every chunk CRC and returns the chunks.
+function readPng(png) {
+  assert.deepEqual(Array.from(png.subarray(0, 8)), SIGNATURE);
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    const crc = view.getUint32(offset + 8 + length);
+    assert.equal(crc, crc32(png.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  assert.equal(offset, png.length);
+  return chunks;
+}
+
+function readHeader(data) {
+  const fields = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  return {
+    width: fields.getUint32(0),
+    height: fields.getUint32(4),
+    bitDepth: data[8],
+    colorType: data[9],
+    interlace: data[12],
+  };
+}
+
+function solidImage(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < pixels.length; i += 1) {
+    pixels[i] = (i * 37) % 256;
+  }
+  return { width, height, pixels };
+}
+
+describe("encodePng", () => {
+  it("writes IHDR, IDAT and IEND with valid CRCs", () => {
+    const chunks = readPng(encodePng(solidImage(3, 2), deflateSync));
+    assert.deepEqual(chunks.map((chunk) => chunk.type), ["IHDR", "IDAT", "IEND"]);
+    assert.deepEqual(readHeader(chunks[0].data), {
+      width: 3,
+      height: 2,
+      bitDepth: 8,
+      colorType: 6,
+      interlace: 0,
+    });
+    assert.equal(chunks[2].data.length, 0);
+  });
+
+  it("stores one unfiltered scanline per row", () => {
+    const image = solidImage(5, 4);
+    const [, idat] = readPng(encodePng(image, deflateSync));
+    const raw = inflateSync(idat.data);
+    const stride = image.width * 4 + 1;
+    assert.equal(raw.length, stride * image.height);
+    for (let y = 0; y < image.height; y += 1) {
+      assert.equal(raw[y * stride], 0, `filter byte of row ${y}`);
+      assert.deepEqual(
+        Array.from(raw.subarray(y * stride + 1, (y + 1) * stride)),
+        Array.from(image.pixels.subarray(y * image.width * 4, (y + 1) * image.width * 4))
+      );
+    }
+  });
+});
+
+describe("rasterizeView", () => {
+  const node = (label, x, y) => ({
+    id: `module:${label}`,
+    kind: "module",
+    label,
+    x,
+    y,
+    width: 20,
+    height: 8,
+    tint: "#ffffff",
+    opacity: 1,
+  });
+  const view = {
+    title: "test",
+    nodes: [node("a", 0, 0), node("b", 40, 14)],
+    edges: [
+      {
+        from: "module:a",
+        to: "module:b",
+        kind: "tree",
+        points: [{ x: 0, y: 0 }, { x: 40, y: 14 }],
+        color: "#2f4858",
+        opacity: 1,
+        width: 0.6,
+      },
+    ],
+  };
+
+  it("encodes to a PNG of the rasterized size", () => {
+    const image = rasterizeView(view, { scale: 2 });
+    const [header, idat] = readPng(encodePng(image, deflateSync));
+    const { width, height } = readHeader(header.data);
+    assert.deepEqual({ width, height }, { width: image.width, height: image.height });
+    assert.equal(inflateSync(idat.data).length, (width * 4 + 1) * height);
+  });
+
+  it("shrinks the scale to fit maxSize", () => {
+    const image = rasterizeView(view, { scale: 100, maxSize: 64 });
+    assert.ok(image.width <= 64 && image.height <= 64);
+    assert.ok(Math.max(image.width, image.height) >= 63);
+  });
+});